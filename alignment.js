@@ -0,0 +1,355 @@
+/**
+ * alignment.js
+ * Alignement mot à mot du script original sur la transcription :
+ * distance d'édition entre les tokens (insensible aux accents et à la ponctuation),
+ * report des timings de la transcription sur l'orthographe du script,
+ * interpolation des mots manqués et rapport de qualité.
+ */
+
+const MATCH_THRESHOLD = 0.8; // Similarité minimale pour considérer deux mots comme identiques
+const MIN_INTERPOLATED_SHARE = 0.5; // Durée minimale d'un mot interpolé, en part de la durée moyenne de ses voisins
+const MAX_LENT_SHARE = 0.5; // Part maximale de sa durée qu'un mot horodaté cède aux mots interpolés voisins
+
+/**
+ * Normalise un mot pour la comparaison : minuscules, sans accents ni ponctuation.
+ * @param {string} word
+ * @returns {string}
+ */
+const normalizeToken = (word) =>
+  word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Découpe un texte en mots, en rattachant la ponctuation isolée (ex: "—", "!") au mot précédent.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenizeText = (text) => {
+  const tokens = [];
+  text.split(/\s+/).filter(Boolean).forEach((raw) => {
+    if (!normalizeToken(raw) && tokens.length) {
+      tokens[tokens.length - 1] += ` ${raw}`;
+    } else if (normalizeToken(raw)) {
+      tokens.push(raw);
+    }
+  });
+  return tokens;
+};
+
+/**
+ * Distance de Levenshtein entre deux chaînes.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarité entre deux mots normalisés (1 = identiques, 0 = rien en commun).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const tokenSimilarity = (a, b) => {
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * Aligne deux séquences de tokens normalisés par programmation dynamique.
+ * Une substitution coûte 1 - similarité : deux mots proches ("gigantesque" / "gigantesques")
+ * s'alignent presque gratuitement, alors qu'un mot sans rapport coûte autant qu'une omission.
+ *
+ * @param {Array<string>} transcriptTokens
+ * @param {Array<string>} scriptTokens
+ * @returns {Array<{type: string, transcriptIndex: number|null, scriptIndex: number|null, similarity: number}>}
+ *   type : "match", "substitute", "missing" (mot du script absent de la transcription)
+ *   ou "extra" (mot transcrit absent du script)
+ */
+const alignTokens = (transcriptTokens, scriptTokens) => {
+  const n = transcriptTokens.length;
+  const m = scriptTokens.length;
+  const width = m + 1;
+  const cost = new Float64Array((n + 1) * width);
+  const moves = new Uint8Array((n + 1) * width); // 1 = diagonale, 2 = extra, 3 = missing
+
+  for (let i = 1; i <= n; i++) { cost[i * width] = i; moves[i * width] = 2; }
+  for (let j = 1; j <= m; j++) { cost[j] = j; moves[j] = 3; }
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const similarity = tokenSimilarity(transcriptTokens[i - 1], scriptTokens[j - 1]);
+      const diagonal = cost[(i - 1) * width + j - 1] + (1 - similarity);
+      const extra = cost[(i - 1) * width + j] + 1;
+      const missing = cost[i * width + j - 1] + 1;
+
+      let best = diagonal;
+      let move = 1;
+      if (extra < best) { best = extra; move = 2; }
+      if (missing < best) { best = missing; move = 3; }
+      cost[i * width + j] = best;
+      moves[i * width + j] = move;
+    }
+  }
+
+  const ops = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const move = moves[i * width + j];
+    if (move === 1) {
+      const similarity = tokenSimilarity(transcriptTokens[i - 1], scriptTokens[j - 1]);
+      ops.push({
+        type: similarity >= MATCH_THRESHOLD ? 'match' : 'substitute',
+        transcriptIndex: i - 1,
+        scriptIndex: j - 1,
+        similarity,
+      });
+      i--; j--;
+    } else if (move === 2) {
+      ops.push({ type: 'extra', transcriptIndex: i - 1, scriptIndex: null, similarity: 0 });
+      i--;
+    } else {
+      ops.push({ type: 'missing', transcriptIndex: null, scriptIndex: j - 1, similarity: 0 });
+      j--;
+    }
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Interpole les timings des mots qui n'en ont pas, en répartissant l'intervalle libre
+ * entre les voisins au prorata de la longueur des mots.
+ * Un mot interpolé dure au moins la moitié de la durée moyenne des mots horodatés qui encadrent son groupe :
+ * si l'intervalle libre est plus court (mots collés dans la transcription), il est élargi aux dépens de ces
+ * voisins, qui cèdent chacun au plus la moitié de leur durée.
+ * @param {Array<{word: string, start: number|null, end: number|null}>} words - Modifiés sur place
+ * @param {number} totalEnd - Fin de la piste (durée de l'audio), utilisée si les derniers mots n'ont pas de timing
+ */
+const interpolateMissingTimings = (words, totalEnd) => {
+  let i = 0;
+  while (i < words.length) {
+    if (words[i].start !== null) { i++; continue; }
+
+    let j = i;
+    while (j < words.length && words[j].start === null) j++;
+
+    const previous = i > 0 ? words[i - 1] : null;
+    const next = j < words.length ? words[j] : null;
+    let gapStart = previous ? previous.end : 0;
+    let gapEnd = next ? next.start : Math.max(totalEnd, gapStart);
+
+    const neighbours = [previous, next].filter((w) => w && w.end > w.start);
+    if (neighbours.length) {
+      const meanDuration = neighbours.reduce((sum, w) => sum + (w.end - w.start), 0) / neighbours.length;
+      const shortfall = (j - i) * meanDuration * MIN_INTERPOLATED_SHARE - (gapEnd - gapStart);
+      const available = neighbours.reduce((sum, w) => sum + (w.end - w.start) * MAX_LENT_SHARE, 0);
+      if (shortfall > 0 && available > 0) {
+        // Chaque voisin cède au prorata de ce qu'il peut céder
+        const taken = Math.min(shortfall, available) / available;
+        if (previous && previous.end > previous.start) {
+          previous.end -= (previous.end - previous.start) * MAX_LENT_SHARE * taken;
+          gapStart = previous.end;
+        }
+        if (next && next.end > next.start) {
+          next.start += (next.end - next.start) * MAX_LENT_SHARE * taken;
+          gapEnd = next.start;
+        }
+      }
+    }
+
+    const span = Math.max(gapEnd - gapStart, 0);
+    const weights = words.slice(i, j).map((w) => Math.max(normalizeToken(w.word).length, 1));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    let cursor = gapStart;
+    for (let k = i; k < j; k++) {
+      const duration = (span * weights[k - i]) / totalWeight;
+      words[k].start = cursor;
+      words[k].end = cursor + duration;
+      cursor += duration;
+    }
+    i = j;
+  }
+};
+
+/**
+ * Aligne le script sur des mots transcrits horodatés.
+ *
+ * @param {Array<{word: string, start: number, end: number}>} transcriptWords - Mots issus de la transcription
+ * @param {string} scriptText - Texte du script original
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Durée de l'audio : borne des mots interpolés après le dernier mot transcrit
+ *   (défaut : fin du dernier mot transcrit)
+ * @returns {{words: Array<{word: string, start: number, end: number, status: string}>, report: Object}}
+ *   status : "match", "substitute" ou "interpolated"
+ */
+const alignScriptToTranscript = (transcriptWords, scriptText, { duration = 0 } = {}) => {
+  const scriptTokens = tokenizeText(scriptText);
+  const ops = alignTokens(
+    transcriptWords.map((w) => normalizeToken(w.word)),
+    scriptTokens.map(normalizeToken)
+  );
+
+  const words = scriptTokens.map((word) => ({ word, start: null, end: null, status: 'interpolated' }));
+  ops.forEach((op) => {
+    if (op.scriptIndex === null || op.transcriptIndex === null) return;
+    const source = transcriptWords[op.transcriptIndex];
+    Object.assign(words[op.scriptIndex], { start: source.start, end: source.end, status: op.type });
+  });
+
+  const lastEnd = transcriptWords.length ? transcriptWords[transcriptWords.length - 1].end : 0;
+  interpolateMissingTimings(words, Math.max(duration || 0, lastEnd));
+
+  return { words, report: buildAlignmentReport(ops, scriptTokens, transcriptWords) };
+};
+
+/**
+ * Construit le rapport de qualité de l'alignement.
+ * @param {Array<Object>} ops - Opérations renvoyées par alignTokens
+ * @param {Array<string>} scriptTokens
+ * @param {Array<Object>} transcriptWords
+ * @returns {Object}
+ */
+const buildAlignmentReport = (ops, scriptTokens, transcriptWords) => {
+  const count = (type) => ops.filter((op) => op.type === type).length;
+  const matched = count('match');
+  const substituted = count('substitute');
+  const missing = count('missing');
+  const extra = count('extra');
+
+  let longestMissingRun = 0;
+  let run = 0;
+  ops.forEach((op) => {
+    if (op.type === 'missing') {
+      run++;
+      longestMissingRun = Math.max(longestMissingRun, run);
+    } else if (op.type !== 'extra') {
+      run = 0;
+    }
+  });
+
+  const total = Math.max(scriptTokens.length, transcriptWords.length, 1);
+  return {
+    scriptWords: scriptTokens.length,
+    transcriptWords: transcriptWords.length,
+    matched,
+    substituted,
+    missing,
+    extra,
+    longestMissingRun,
+    // Proportion de mots du script retrouvés tels quels dans la transcription
+    wordAccuracy: scriptTokens.length ? matched / scriptTokens.length : 0,
+    // 1 - (distance d'édition en mots / longueur de la plus longue séquence)
+    score: 1 - (substituted + missing + extra) / total,
+    differences: ops
+      .filter((op) => op.type !== 'match')
+      .map((op) => ({
+        type: op.type,
+        script: op.scriptIndex !== null ? scriptTokens[op.scriptIndex] : null,
+        transcript: op.transcriptIndex !== null ? transcriptWords[op.transcriptIndex].word : null,
+      })),
+  };
+};
+
+/**
+ * Vérifie un rapport d'alignement par rapport à des seuils.
+ * @param {Object} report - Rapport renvoyé par alignScriptToTranscript
+ * @param {Object} [thresholds]
+ * @param {number} [thresholds.minScore=0.6] - Score minimal
+ * @param {number} [thresholds.maxMissingRun=8] - Nombre maximal de mots consécutifs interpolés
+ * @returns {Array<string>} - Liste des problèmes (vide si l'alignement est acceptable)
+ */
+const checkAlignmentQuality = (report, thresholds = {}) => {
+  const { minScore = 0.6, maxMissingRun = 8 } = thresholds;
+  const problems = [];
+  if (report.score < minScore) {
+    problems.push(`score d'alignement ${report.score.toFixed(2)} inférieur au minimum ${minScore}`);
+  }
+  if (report.longestMissingRun > maxMissingRun) {
+    problems.push(`${report.longestMissingRun} mots consécutifs du script absents de la transcription (max ${maxMissingRun})`);
+  }
+  return problems;
+};
+
+/**
+ * Estime des timings par mot à partir des cues SRT quand le moteur n'en fournit pas
+ * (durée de chaque cue répartie au prorata de la longueur des mots).
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+const estimateWordsFromCues = (cues) => {
+  const words = [];
+  cues.forEach((cue) => {
+    const cueWords = tokenizeText(cue.text).map((word) => ({ word, start: null, end: null }));
+    if (!cueWords.length) return;
+    // Les timings de la cue servent de bornes à l'interpolation
+    const before = { word: '', start: cue.start, end: cue.start };
+    const after = { word: '', start: cue.end, end: cue.end };
+    const block = [before, ...cueWords, after];
+    interpolateMissingTimings(block, cue.end);
+    words.push(...cueWords);
+  });
+  return words;
+};
+
+/**
+ * Répartit des mots alignés dans les cues de la transcription (chaque mot va dans la cue
+ * qui contient son milieu, ou la plus proche). Les cues vides sont supprimées.
+ * @param {Array<{word: string, start: number, end: number}>} words
+ * @param {Array<{start: number, end: number}>} cues
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+const regroupWordsIntoCues = (words, cues) => {
+  const buckets = cues.map(() => []);
+  words.forEach((word) => {
+    const middle = (word.start + word.end) / 2;
+    let bestIndex = 0;
+    let bestDistance = Infinity;
+    cues.forEach((cue, index) => {
+      const distance = middle < cue.start ? cue.start - middle : middle > cue.end ? middle - cue.end : 0;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestIndex = index;
+      }
+    });
+    buckets[bestIndex].push(word);
+  });
+
+  return cues
+    .map((cue, index) => ({ start: cue.start, end: cue.end, text: buckets[index].map((w) => w.word).join(' ') }))
+    .filter((cue) => cue.text);
+};
+
+module.exports = {
+  normalizeToken,
+  tokenizeText,
+  tokenSimilarity,
+  alignTokens,
+  alignScriptToTranscript,
+  checkAlignmentQuality,
+  estimateWordsFromCues,
+  regroupWordsIntoCues,
+};
@@ -0,0 +1,176 @@
+/**
+ * assSubtitles.js
+ * Construction des événements ASS (lignes "Dialogue") à partir de mots horodatés :
+ * découpage en blocs de quelques mots et animations (fondu, karaoké \k / \kf,
+ * surlignage du mot actif avec effet "pop").
+ */
+
+const { secondsToAssTime } = require('./subtitleFormats');
+const { tokenizeText } = require('./alignment');
+
+const DEFAULT_EVENT_OPTIONS = {
+  chunkSize: 4,              // Nombre de mots par bloc
+  maxCharsPerLine: null,     // Nombre maximal de caractères par bloc (null = pas de limite)
+  animation: 'fade',         // "fade", "karaoke" ou "highlight"
+  karaokeTag: 'kf',          // "k" (changement net) ou "kf" (remplissage progressif)
+  highlightColour: '#FFD700', // Couleur du mot actif (karaoke / highlight)
+  secondaryColour: '#FFFFFF', // Couleur des mots pas encore prononcés (karaoke ; défaut : celle du style)
+  pop: false,                // true ou { scale: 120, duration: 120 } : grossissement du mot actif (highlight)
+  fade: [200, 200],          // Fondu d'entrée/sortie en ms
+};
+
+/**
+ * Convertit une couleur "#RRGGBB" (ou déjà au format ASS) en couleur ASS de balise ("&HBBGGRR&").
+ * L'opacité d'une couleur de style "#RRGGBBAA" est ignorée.
+ * @param {string} colour
+ * @returns {string}
+ */
+const toAssColour = (colour) => {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})(?:[0-9a-f]{2})?$/i.exec(colour);
+  if (!match) return colour;
+  const [, r, g, b] = match;
+  return `&H${b}${g}${r}&`.toUpperCase();
+};
+
+/**
+ * Répartit uniformément la durée de chaque cue entre ses mots (comportement historique,
+ * utilisé quand la transcription ne fournit pas de timings par mot).
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {Array<Array<{word: string, start: number, end: number}>>} - Un bloc de mots par cue
+ */
+const splitCuesEvenly = (cues) =>
+  cues
+    .map((cue) => {
+      const words = tokenizeText(cue.text);
+      const timePerWord = (cue.end - cue.start) / words.length;
+      return words.map((word, i) => ({
+        word,
+        start: cue.start + i * timePerWord,
+        end: cue.start + (i + 1) * timePerWord,
+      }));
+    })
+    .filter((block) => block.length);
+
+/**
+ * Découpe une suite de mots en blocs affichés ensemble.
+ * Un bloc se termine après `chunkSize` mots, sur une fin de phrase,
+ * ou avant de dépasser `maxCharsPerLine` caractères.
+ * @param {Array<{word: string, start: number, end: number}>} words
+ * @param {number} chunkSize
+ * @param {number|null} [maxCharsPerLine]
+ * @returns {Array<Array<Object>>}
+ */
+const chunkWords = (words, chunkSize, maxCharsPerLine = null) => {
+  const chunks = [];
+  let current = [];
+  const length = (list) => list.map((w) => w.word).join(' ').length;
+
+  words.forEach((word) => {
+    if (maxCharsPerLine && current.length && length([...current, word]) > maxCharsPerLine) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(word);
+    if (current.length >= chunkSize || /[.!?…]$/.test(word.word)) {
+      chunks.push(current);
+      current = [];
+    }
+  });
+  if (current.length) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Texte d'un bloc en mode karaoké : chaque mot est précédé de sa durée en centisecondes.
+ * @param {Array<Object>} chunk
+ * @param {number} chunkEnd - Fin du bloc en secondes
+ * @param {Object} options
+ * @returns {string}
+ */
+const buildKaraokeText = (chunk, chunkEnd, options) => {
+  const tag = options.karaokeTag === 'k' ? 'k' : 'kf';
+  const parts = chunk.map((word, i) => {
+    const next = i + 1 < chunk.length ? chunk[i + 1].start : chunkEnd;
+    const duration = Math.max(Math.round((next - word.start) * 100), 1);
+    return `{\\${tag}${duration}}${word.word}`;
+  });
+  // \1c = couleur une fois le mot prononcé, \2c = couleur avant
+  return `{\\1c${toAssColour(options.highlightColour)}\\2c${toAssColour(options.secondaryColour)}}${parts.join(' ')}`;
+};
+
+/**
+ * Texte d'un bloc en mode surlignage, le mot `activeIndex` étant mis en valeur.
+ * @param {Array<Object>} chunk
+ * @param {number} activeIndex
+ * @param {Object} options
+ * @returns {string}
+ */
+const buildHighlightText = (chunk, activeIndex, options) => {
+  const colour = toAssColour(options.highlightColour);
+  let pop = '';
+  if (options.pop) {
+    const { scale = 120, duration = 120 } = options.pop === true ? {} : options.pop;
+    pop = `\\fscx${scale}\\fscy${scale}\\t(0,${duration},\\fscx100\\fscy100)`;
+  }
+  return chunk
+    .map((word, i) => (i === activeIndex ? `{\\c${colour}${pop}}${word.word}{\\r}` : word.word))
+    .join(' ');
+};
+
+/**
+ * Construit les lignes "Dialogue" ASS.
+ *
+ * @param {Array<Array<{word: string, start: number, end: number}>>} blocks - Blocs de mots horodatés
+ *   (un bloc par cue, ou un seul bloc avec tous les mots quand les timings par mot sont connus)
+ * @param {Object} [options] - Voir DEFAULT_EVENT_OPTIONS
+ * @param {string} [styleName='TikTokStyle'] - Nom du style ASS utilisé
+ * @returns {string} - Lignes "Dialogue", une par ligne
+ */
+const buildAssEvents = (blocks, options = {}, styleName = 'TikTokStyle') => {
+  const settings = { ...DEFAULT_EVENT_OPTIONS, ...options };
+  const [fadeIn, fadeOut] = settings.fade || [0, 0];
+  const fadeTag = fadeIn || fadeOut ? `{\\fad(${fadeIn},${fadeOut})}` : '';
+  const dialogue = (start, end, text) =>
+    `Dialogue: 0,${secondsToAssTime(start)},${secondsToAssTime(end)},${styleName},0,0,0,,${text}\n`;
+
+  let events = '';
+  blocks.forEach((block) => {
+    const chunks = chunkWords(block, settings.chunkSize, settings.maxCharsPerLine);
+
+    chunks.forEach((chunk, chunkIndex) => {
+      const chunkStart = chunk[0].start;
+      let chunkEnd = chunk[chunk.length - 1].end;
+      // Éviter le chevauchement avec le bloc suivant
+      const nextChunk = chunks[chunkIndex + 1];
+      if (nextChunk && chunkEnd > nextChunk[0].start) {
+        chunkEnd = nextChunk[0].start;
+      }
+      if (chunkEnd <= chunkStart) return;
+
+      if (settings.animation === 'karaoke') {
+        events += dialogue(chunkStart, chunkEnd, `${fadeTag}${buildKaraokeText(chunk, chunkEnd, settings)}`);
+      } else if (settings.animation === 'highlight') {
+        // Une ligne par mot : le bloc reste affiché, seul le mot actif change
+        chunk.forEach((word, i) => {
+          const start = i === 0 ? chunkStart : word.start;
+          const end = i + 1 < chunk.length ? chunk[i + 1].start : chunkEnd;
+          if (end > start) {
+            events += dialogue(start, end, buildHighlightText(chunk, i, settings));
+          }
+        });
+      } else {
+        events += dialogue(chunkStart, chunkEnd, `${fadeTag} ${chunk.map((w) => w.word).join(' ')}`);
+      }
+    });
+  });
+
+  return events;
+};
+
+module.exports = {
+  DEFAULT_EVENT_OPTIONS,
+  toAssColour,
+  splitCuesEvenly,
+  chunkWords,
+  buildAssEvents,
+};
@@ -0,0 +1,239 @@
+/**
+ * audioMix.js
+ * Mixage voix + musique de fond :
+ * - la musique baisse automatiquement quand la voix parle (sidechaincompress) ;
+ * - fondus d'entrée et de sortie de la musique ;
+ * - durée = durée de la voix + une courte traîne musicale ; une musique plus courte est bouclée,
+ *   avec un fondu enchaîné (acrossfade) à chaque raccord ;
+ * - normalisation en deux passes (loudnorm) vers la cible de volume de la plateforme (ex: -14 LUFS).
+ *
+ * Entrées FFmpeg du graphe : [0:a] la voix, [1:a] la musique (facultative) ; une musique bouclée est
+ * ouverte une fois par passage ([1:a], [2:a]...).
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const { getReporter } = require('./reporter');
+
+const DEFAULT_MIX_OPTIONS = {
+  voiceVolume: 1.0,
+  musicVolume: 0.3,
+  // Compression de la musique déclenchée par la voix
+  ducking: {
+    threshold: 0.03, // Niveau de voix (0 à 1) à partir duquel la musique baisse
+    ratio: 8,
+    attack: 20,      // ms
+    release: 400,    // ms
+  },
+  fadeIn: 1,         // s
+  fadeOut: 2,        // s
+  tail: 1.5,         // s de musique après la fin de la voix
+  loopCrossfade: 2,  // s de fondu enchaîné entre deux passages d'une musique bouclée
+  // Cible de normalisation (false pour désactiver)
+  loudness: {
+    target: -14,     // LUFS intégrés
+    truePeak: -1,    // dBTP
+    range: 11,       // LU
+  },
+  sampleRate: 48000,
+};
+
+/**
+ * Fusionne les options de mixage avec les valeurs par défaut.
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+const resolveMixOptions = (options = {}) => ({
+  ...DEFAULT_MIX_OPTIONS,
+  ...options,
+  ducking: options.ducking === false ? false : { ...DEFAULT_MIX_OPTIONS.ducking, ...options.ducking },
+  loudness: options.loudness === false ? false : { ...DEFAULT_MIX_OPTIONS.loudness, ...options.loudness },
+});
+
+/**
+ * Passages d'une musique bouclée nécessaires pour couvrir la durée du mixage,
+ * deux passages consécutifs se chevauchant sur la durée du fondu enchaîné.
+ * @param {number} duration - Durée du mixage, en secondes
+ * @param {number} loopDuration - Durée de la musique, en secondes
+ * @param {Object} options - Options résolues (voir resolveMixOptions)
+ * @returns {{crossfade: number, passes: number}}
+ */
+const planMusicLoop = (duration, loopDuration, options) => {
+  const crossfade = Math.max(0, Math.min(options.loopCrossfade, loopDuration / 2));
+  return { crossfade, passes: Math.max(2, Math.ceil((duration - crossfade) / (loopDuration - crossfade))) };
+};
+
+/**
+ * Construit le graphe de mixage, jusqu'au label `[premix]` (avant normalisation).
+ *
+ * @param {Object} params
+ * @param {number} params.duration - Durée totale du mixage (voix + traîne), en secondes
+ * @param {boolean} params.withMusic - Présence de l'entrée musique [1:a]
+ * @param {Object} params.options - Options résolues (voir resolveMixOptions)
+ * @param {number|null} [params.loopDuration=null] - Durée de la musique, si elle doit être bouclée
+ * @returns {Array<string>}
+ */
+const buildMixFilters = ({ duration, withMusic, options, loopDuration = null }) => {
+  const total = duration.toFixed(3);
+  const filters = [];
+
+  // Voix prolongée par du silence jusqu'à la fin de la traîne
+  const voice = `[0:a]aresample=${options.sampleRate},aformat=channel_layouts=stereo,volume=${options.voiceVolume},apad,atrim=0:${total}`;
+  if (!withMusic) {
+    filters.push(`${voice}[premix]`);
+    return filters;
+  }
+  filters.push(`${voice},asplit=2[voice][voicekey]`);
+
+  const fadeOutStart = Math.max(0, duration - options.fadeOut).toFixed(3);
+  const musicFades = [
+    options.fadeIn > 0 ? `afade=t=in:st=0:d=${options.fadeIn}` : null,
+    options.fadeOut > 0 ? `afade=t=out:st=${fadeOutStart}:d=${options.fadeOut}` : null,
+  ].filter(Boolean).join(',');
+
+  // Musique bouclée : assez de passages pour couvrir la durée, raccordés par des fondus enchaînés
+  let music = '[1:a]';
+  if (loopDuration) {
+    const { crossfade, passes } = planMusicLoop(duration, loopDuration, options);
+    const labels = Array.from({ length: passes }, (_, i) => `[${i + 1}:a]`);
+    if (crossfade > 0) {
+      labels.slice(1).forEach((label, i) => {
+        filters.push(`${i ? `[looped${i}]` : labels[0]}${label}acrossfade=d=${crossfade.toFixed(3)}:c1=tri:c2=tri[looped${i + 1}]`);
+      });
+      music = `[looped${passes - 1}]`;
+    } else {
+      filters.push(`${labels.join('')}concat=n=${passes}:v=0:a=1[looped]`);
+      music = '[looped]';
+    }
+  }
+  filters.push(`${music}aresample=${options.sampleRate},aformat=channel_layouts=stereo,volume=${options.musicVolume},atrim=0:${total}${musicFades ? `,${musicFades}` : ''}[music]`);
+
+  if (options.ducking) {
+    const { threshold, ratio, attack, release } = options.ducking;
+    filters.push(`[music][voicekey]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked]`);
+  } else {
+    filters.push('[voicekey]anullsink', '[music]anull[ducked]');
+  }
+
+  // normalize=0 : pas d'atténuation automatique d'amix, le niveau final vient de loudnorm
+  filters.push('[voice][ducked]amix=inputs=2:duration=first:normalize=0[premix]');
+  return filters;
+};
+
+/**
+ * Extrait les mesures JSON de loudnorm (print_format=json) d'un journal FFmpeg.
+ * @param {Array<string>} lines
+ * @returns {Object|null} - { input_i, input_tp, input_lra, input_thresh, target_offset, ... }
+ */
+const parseLoudnormStats = (lines) => {
+  const json = lines.join('\n').match(/\{[^{}]*"input_i"[^{}]*\}/);
+  return json ? JSON.parse(json[0]) : null;
+};
+
+/**
+ * Prépare la commande FFmpeg du mixage (entrées voix + musique).
+ * @param {string} voicePath
+ * @param {string|null} musicPath
+ * @param {number} [passes=1] - Nombre de passages de la musique (bouclée)
+ * @returns {Object} - Commande fluent-ffmpeg
+ */
+const mixCommand = (voicePath, musicPath, passes = 1) => {
+  const command = getReporter().track(ffmpeg()).input(voicePath);
+  if (musicPath) {
+    for (let i = 0; i < passes; i++) command.input(musicPath);
+  }
+  return command;
+};
+
+/**
+ * Première passe : mesure le volume du mixage avant normalisation.
+ * @returns {Promise<Object>} - Mesures loudnorm
+ */
+const measureMix = (voicePath, musicPath, passes, filters, options) =>
+  new Promise((resolve, reject) => {
+    const { target, truePeak, range } = options.loudness;
+    const lines = [];
+    mixCommand(voicePath, musicPath, passes)
+      .complexFilter([...filters, `[premix]loudnorm=I=${target}:TP=${truePeak}:LRA=${range}:print_format=json[aout]`])
+      .outputOptions(['-map [aout]'])
+      .format('null')
+      .on('stderr', (line) => lines.push(line))
+      .on('error', (err) => reject(new Error(`Erreur lors de la mesure du volume : ${err.message}`)))
+      .on('end', () => {
+        const stats = parseLoudnormStats(lines);
+        if (!stats) return reject(new Error('Mesure loudnorm introuvable dans la sortie FFmpeg'));
+        resolve(stats);
+      })
+      .save('-');
+  });
+
+/**
+ * Mixe la voix et la musique de fond (ducking, fondus, traîne), puis normalise le volume en deux passes.
+ *
+ * @param {string} voicePath - Fichier de voix
+ * @param {string|null} musicPath - Musique de fond (null = voix seule)
+ * @param {string} outputPath - Fichier de sortie (WAV conseillé : l'encodage final se fait au rendu)
+ * @param {Object} [options] - Voir DEFAULT_MIX_OPTIONS, plus :
+ * @param {number} [options.voiceDuration] - Durée de la voix, en secondes (mesurée si absente)
+ * @param {boolean} [options.loopMusic=false] - Boucler la musique (fondu enchaîné de `loopCrossfade` s à chaque raccord)
+ * @param {number} [options.musicDuration] - Durée de la musique, en secondes (mesurée si absente et la musique bouclée)
+ * @returns {Promise<{outputPath: string, duration: number, loudness: Object|null}>}
+ */
+const mixAudio = async (voicePath, musicPath, outputPath, options = {}) => {
+  const resolved = resolveMixOptions(options);
+  const voiceDuration = options.voiceDuration || await new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(voicePath, (err, metadata) => (err ? reject(err) : resolve(Number(metadata.format.duration))));
+  });
+  const duration = voiceDuration + (musicPath ? resolved.tail : 0);
+  const loopDuration = musicPath && options.loopMusic
+    ? options.musicDuration || await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(musicPath, (err, metadata) => (err ? reject(err) : resolve(Number(metadata.format.duration))));
+    })
+    : null;
+  const passes = loopDuration ? planMusicLoop(duration, loopDuration, resolved).passes : 1;
+  const filters = buildMixFilters({ duration, withMusic: Boolean(musicPath), options: resolved, loopDuration });
+
+  // Passe 1 : mesure ; passe 2 : normalisation linéaire à partir des mesures
+  let normalize = 'anull';
+  let measured = null;
+  if (resolved.loudness) {
+    const { target, truePeak, range } = resolved.loudness;
+    measured = await measureMix(voicePath, musicPath, passes, filters, resolved);
+    normalize = `loudnorm=I=${target}:TP=${truePeak}:LRA=${range}`
+      + `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}`
+      + `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`
+      // loudnorm travaille à 192 kHz : retour à la fréquence de sortie
+      + `,aresample=${resolved.sampleRate}`;
+  }
+
+  await new Promise((resolve, reject) => {
+    const progress = getReporter().progress('Mixage audio');
+
+    mixCommand(voicePath, musicPath, passes)
+      .complexFilter([...filters, `[premix]${normalize}[aout]`])
+      .outputOptions(['-map [aout]', `-t ${duration.toFixed(3)}`])
+      .on('progress', (info) => {
+        if (info.percent) progress.update(info.percent);
+      })
+      .on('end', () => {
+        progress.done();
+        resolve();
+      })
+      .on('error', (err) => reject(new Error(`Erreur lors du mixage audio : ${err.message}`)))
+      .save(outputPath);
+  });
+
+  getReporter().info(`✅ Mixage terminé (${duration.toFixed(1)}s${measured ? `, ${measured.input_i} -> ${resolved.loudness.target} LUFS` : ''}) : ${outputPath}`);
+  return {
+    outputPath,
+    duration,
+    loudness: measured && { measured: Number(measured.input_i), target: resolved.loudness.target },
+  };
+};
+
+module.exports = {
+  DEFAULT_MIX_OPTIONS,
+  resolveMixOptions,
+  buildMixFilters,
+  parseLoudnormStats,
+  mixAudio,
+};
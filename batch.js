@@ -0,0 +1,226 @@
+/**
+ * batch.js
+ * Rendu par lots à partir d'un manifeste JSON ou CSV.
+ * Chaque ligne décrit une VOD (source, voix, script, musique, style) ; les rendus
+ * tournent en parallèle (concurrence limitée), chacun dans son propre dossier de travail,
+ * et un rapport des succès / échecs est écrit à la fin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createFinalVod } = require('./createVod');
+const { generateVoice } = require('./tts');
+const { consoleLogger, prefixLogger, createReporter, runWithReporter } = require('./reporter');
+const { ensureDirectoriesExist } = require('./utils');
+
+/**
+ * Découpe un contenu CSV (séparateur virgule ou point-virgule, guillemets doubles) en lignes de cellules.
+ * @param {string} content
+ * @returns {Array<Array<string>>}
+ */
+const parseCsvRows = (content) => {
+  const firstLine = content.split('\n')[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some((value) => value.trim())) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  if (row.some((value) => value.trim())) rows.push(row);
+  return rows;
+};
+
+/**
+ * Charge un manifeste de rendu.
+ * JSON : tableau de jobs, ou objet { defaults, jobs }.
+ * CSV : première ligne = en-têtes (source, voice, script, scriptFile, music, style, reframe, id).
+ *
+ * @param {string} manifestPath
+ * @returns {Array<Object>} - Jobs normalisés : { id, source, voice, script, scriptFile, music, style, reframe, tts, options }
+ */
+const loadManifest = (manifestPath) => {
+  const content = fs.readFileSync(manifestPath, 'utf8');
+  const manifestDir = path.dirname(path.resolve(manifestPath));
+  let jobs;
+  let defaults = {};
+
+  if (path.extname(manifestPath).toLowerCase() === '.csv') {
+    const [header, ...rows] = parseCsvRows(content);
+    const keys = header.map((key) => key.trim());
+    jobs = rows.map((cells) =>
+      Object.fromEntries(keys.map((key, i) => [key, (cells[i] || '').trim()]).filter(([, value]) => value !== '')));
+  } else {
+    const json = JSON.parse(content);
+    jobs = Array.isArray(json) ? json : json.jobs;
+    defaults = Array.isArray(json) ? {} : json.defaults || {};
+  }
+
+  if (!Array.isArray(jobs) || !jobs.length) {
+    throw new Error(`Aucun job dans le manifeste : ${manifestPath}`);
+  }
+
+  // Les chemins relatifs qui existent à côté du manifeste sont résolus depuis son dossier,
+  // sinon ils restent des noms de fichiers dans audio/voice et audio/music
+  const resolveLocal = (value) => {
+    if (!value || path.isAbsolute(value)) return value;
+    const candidate = path.join(manifestDir, value);
+    return fs.existsSync(candidate) ? candidate : value;
+  };
+
+  const seenIds = new Set();
+  return jobs.map((raw, index) => {
+    const job = { ...defaults, ...raw };
+    if (!job.source || (!job.script && !job.scriptFile)) {
+      throw new Error(`Job ${index + 1} incomplet : "source" et "script" (ou "scriptFile") sont requis`);
+    }
+
+    let id = String(job.id || `job_${String(index + 1).padStart(3, '0')}`).replace(/[^\w.-]+/g, '_');
+    if (seenIds.has(id)) id = `${id}_${index + 1}`;
+    seenIds.add(id);
+
+    return {
+      id,
+      source: resolveLocal(job.source),
+      voice: resolveLocal(job.voice),
+      script: job.script,
+      scriptFile: resolveLocal(job.scriptFile),
+      music: resolveLocal(job.music),
+      style: resolveLocal(job.style),
+      reframe: resolveLocal(job.reframe),
+      tts: job.tts,
+      options: job.options || {},
+    };
+  });
+};
+
+/**
+ * Exécute des tâches asynchrones avec un nombre maximal de tâches simultanées.
+ * @param {Array<*>} items
+ * @param {number} concurrency
+ * @param {function(*, number): Promise<*>} worker
+ * @returns {Promise<Array<*>>} - Résultats dans l'ordre des éléments
+ */
+const runWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+  return results;
+};
+
+/**
+ * Lance le rendu de tous les jobs d'un manifeste.
+ *
+ * @param {string} manifestPath - Manifeste JSON ou CSV
+ * @param {string} baseDir - Dossier de base (audio/voice, audio/music...)
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - Nombre de rendus simultanés
+ * @param {string} [options.batchDir] - Dossier du lot (défaut : <baseDir>/batches/<manifeste>_<date>)
+ * @param {Object} [options.render] - Options communes passées à createFinalVod (ex: { resume: true })
+ * @param {Object} [options.logger] - Destinataire des messages : { info, warn, error } (défaut : la console) ;
+ *   les messages de chaque job sont préfixés par son identifiant
+ * @returns {Promise<Object>} - Rapport du lot (également écrit dans <batchDir>/report.json)
+ */
+const runBatch = async (manifestPath, baseDir, options = {}) => {
+  const jobs = loadManifest(manifestPath);
+  const concurrency = Number(options.concurrency) || 1;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const batchDir = options.batchDir
+    || path.join(baseDir, 'batches', `${path.basename(manifestPath, path.extname(manifestPath))}_${stamp}`);
+  const reportPath = path.join(batchDir, 'report.json');
+  const logger = options.logger || consoleLogger;
+  ensureDirectoriesExist([batchDir]);
+
+  logger.info(`📦 Lot de ${jobs.length} VOD (concurrence : ${concurrency}) -> ${batchDir}`);
+  const startedAt = new Date();
+
+  const results = await runWithConcurrency(jobs, concurrency, async (job) => {
+    const workDir = path.join(batchDir, 'jobs', job.id);
+    const jobStart = Date.now();
+    const jobLogger = prefixLogger(logger, `[${job.id}]`);
+    jobLogger.info(`▶️  Démarrage (${job.source})`);
+    try {
+      const textDir = path.join(workDir, 'text');
+      ensureDirectoriesExist([textDir]);
+
+      const scriptPath = path.join(textDir, 'script_original.txt');
+      const scriptText = job.scriptFile ? fs.readFileSync(job.scriptFile, 'utf8') : job.script;
+      fs.writeFileSync(scriptPath, scriptText, 'utf8');
+
+      // Sans fichier voix, la voix est synthétisée depuis le script (réglages du job, sinon du lot)
+      const tts = job.tts || job.options.tts || (options.render && options.render.tts);
+      if (!job.voice && !tts) {
+        throw new Error('Aucun fichier voix ("voice") ni synthèse vocale ("tts") configurée');
+      }
+      const voice = job.voice ? null : await runWithReporter(createReporter({ logger: jobLogger }), () =>
+        generateVoice(scriptText, path.join((options.render && options.render.cacheDir) || path.join(baseDir, '.vodcache'), 'tts'), tts));
+
+      const outputPath = await createFinalVod(job.source, voice ? voice.voicePath : job.voice, baseDir, scriptPath, {
+        ...options.render,
+        ...job.options,
+        ...(voice && { transcription: { provider: 'file', path: voice.srtPath } }),
+        workDir,
+        logger: jobLogger,
+        music: job.music || (job.options && job.options.music) || (options.render && options.render.music),
+        style: job.style || (job.options && job.options.style) || (options.render && options.render.style),
+        reframe: job.reframe || (job.options && job.options.reframe) || (options.render && options.render.reframe),
+      });
+      jobLogger.info(`✅ Terminé : ${outputPath}`);
+      return { id: job.id, status: 'success', source: job.source, outputPath, duration: (Date.now() - jobStart) / 1000 };
+    } catch (error) {
+      jobLogger.error(`❌ Échec : ${error.message}`);
+      return { id: job.id, status: 'failed', source: job.source, error: error.message, workDir, duration: (Date.now() - jobStart) / 1000 };
+    }
+  });
+
+  const report = {
+    manifest: path.resolve(manifestPath),
+    batchDir,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    total: results.length,
+    succeeded: results.filter((r) => r.status === 'success').length,
+    failed: results.filter((r) => r.status === 'failed').length,
+    jobs: results,
+  };
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+  logger.info(`📋 Lot terminé : ${report.succeeded} réussi(s), ${report.failed} échoué(s). Rapport : ${reportPath}`);
+  return report;
+};
+
+module.exports = { loadManifest, parseCsvRows, runWithConcurrency, runBatch };
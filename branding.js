@@ -0,0 +1,397 @@
+/**
+ * branding.js
+ * Habillage d'une VOD : logos et filigranes (PNG), textes animés (carton de titre, appel à s'abonner)
+ * et génériques d'intro / outro mis au format du profil de sortie.
+ *
+ * Format (option `branding` de createFinalVod : objet ou chemin d'un fichier JSON) :
+ * {
+ *   "overlays": [{ "image": "branding/logo.png", "position": "top-right", "width": 0.2, "opacity": 0.8, "start": 0, "end": null }],
+ *   "callouts": [
+ *     { "text": "Les étoiles", "start": 0, "duration": 3, "position": "center", "animation": "fade" },
+ *     { "text": "Abonne-toi pour la suite !", "at": "end", "duration": 3, "position": "bottom", "animation": "slide" }
+ *   ],
+ *   "intro": "branding/intro.mp4",
+ *   "outro": "branding/outro.mp4"
+ * }
+ *
+ * - `width` (logo), `size` (texte) et `margin` sont des fractions de la largeur / hauteur de la vidéo ;
+ * - les temps des logos et des textes sont relatifs au contenu (intro non comprise) ;
+ * - logos et textes passent sous les sous-titres ; intro et outro encadrent la vidéo sous-titrée.
+ * Les chemins relatifs d'un fichier JSON sont résolus depuis son dossier, ceux d'un objet depuis le dossier de base.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { escapeFilterPath } = require('./utils');
+const { buildEncodingOptions } = require('./outputProfiles');
+const { getReporter } = require('./reporter');
+
+const POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const ANIMATIONS = ['fade', 'slide', 'none'];
+const DEFAULT_FONT = path.join(__dirname, 'font', 'ProximaNova-Regular.ttf');
+
+const OVERLAY_DEFAULTS = { position: 'top-right', width: 0.2, opacity: 1, margin: 0.04, start: 0, end: null };
+const CALLOUT_DEFAULTS = {
+  position: 'center',
+  at: 'start',
+  start: 0,
+  duration: 3,
+  size: 0.045,
+  color: 'white',
+  box: true,
+  boxColor: 'black@0.5',
+  margin: 0.08,
+  animation: 'fade',
+  font: null,
+};
+
+/**
+ * Charge et valide l'habillage d'un rendu.
+ * @param {string|Object} [branding] - Chemin JSON ou objet
+ * @param {string} baseDir - Dossier de résolution des chemins relatifs d'un objet
+ * @returns {{overlays: Array<Object>, callouts: Array<Object>, intro: string|null, outro: string|null}|null}
+ *   null si aucun habillage n'est demandé
+ */
+const loadBranding = (branding, baseDir) => {
+  if (!branding) return null;
+  const fromFile = typeof branding === 'string';
+  const raw = fromFile ? JSON.parse(fs.readFileSync(branding, 'utf8')) : branding;
+  const rootDir = fromFile ? path.dirname(path.resolve(branding)) : baseDir;
+
+  const resolveFile = (file, label) => {
+    const filePath = path.resolve(rootDir, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Habillage : ${label} introuvable : ${filePath}`);
+    }
+    return filePath;
+  };
+  const checkPosition = (position) => {
+    if (!POSITIONS.includes(position)) {
+      throw new Error(`Habillage : position inconnue "${position}" (positions : ${POSITIONS.join(', ')})`);
+    }
+  };
+
+  const overlays = (raw.overlays || []).map((overlay) => {
+    if (!overlay.image) throw new Error('Habillage : chaque logo doit indiquer son "image"');
+    const normalized = { ...OVERLAY_DEFAULTS, ...overlay, image: resolveFile(overlay.image, 'image') };
+    checkPosition(normalized.position);
+    normalized.opacity = Math.max(0, Math.min(1, Number(normalized.opacity)));
+    return normalized;
+  });
+
+  const callouts = (raw.callouts || []).map((callout) => {
+    if (!callout.text) throw new Error('Habillage : chaque texte doit indiquer son "text"');
+    const normalized = { ...CALLOUT_DEFAULTS, ...callout };
+    checkPosition(normalized.position);
+    if (!ANIMATIONS.includes(normalized.animation)) {
+      throw new Error(`Habillage : animation inconnue "${normalized.animation}" (animations : ${ANIMATIONS.join(', ')})`);
+    }
+    normalized.font = normalized.font ? resolveFile(normalized.font, 'police') : null;
+    return normalized;
+  });
+
+  const intro = raw.intro ? resolveFile(raw.intro, 'intro') : null;
+  const outro = raw.outro ? resolveFile(raw.outro, 'outro') : null;
+  if (!overlays.length && !callouts.length && !intro && !outro) return null;
+  return { overlays, callouts, intro, outro };
+};
+
+/**
+ * Fichiers dont dépend l'habillage (pour l'empreinte du cache).
+ * @param {Object|null} branding
+ * @returns {Array<string>}
+ */
+const brandingFiles = (branding) => (branding
+  ? [...branding.overlays.map((overlay) => overlay.image), ...branding.callouts.map((callout) => callout.font),
+    branding.intro, branding.outro].filter(Boolean)
+  : []);
+
+/**
+ * L'habillage comporte-t-il des éléments incrustés sur le contenu (logos, textes) ?
+ * @param {Object|null} branding
+ * @returns {boolean}
+ */
+const hasOverlays = (branding) => Boolean(branding && (branding.overlays.length || branding.callouts.length));
+
+/**
+ * Expressions x / y d'un élément placé dans l'image.
+ * @param {string} position - Voir POSITIONS
+ * @param {number} margin - Marge en pixels
+ * @param {{frameW: string, frameH: string, itemW: string, itemH: string}} names - Variables FFmpeg du filtre
+ * @returns {{x: string, y: string}}
+ */
+const placeItem = (position, margin, { frameW, frameH, itemW, itemH }) => {
+  const horizontal = position.includes('left') ? 'left' : position.includes('right') ? 'right' : 'center';
+  const vertical = position.includes('top') ? 'top' : position.includes('bottom') ? 'bottom' : 'center';
+  const axis = (side, frame, item, start, end) => {
+    if (side === start) return String(margin);
+    if (side === end) return `${frame}-${item}-${margin}`;
+    return `(${frame}-${item})/2`;
+  };
+  return {
+    x: axis(horizontal, frameW, itemW, 'left', 'right'),
+    y: axis(vertical, frameH, itemH, 'top', 'bottom'),
+  };
+};
+
+/**
+ * Écrit le texte de chaque carton dans un fichier (lu par drawtext avec `textfile`, sans échappement à gérer).
+ * @param {Object|null} branding
+ * @param {string} dir
+ * @returns {Object|null} - Habillage dont les textes ont un `textPath`
+ */
+const prepareBranding = (branding, dir) => {
+  if (!branding) return null;
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    ...branding,
+    callouts: branding.callouts.map((callout, i) => {
+      const textPath = path.join(dir, `callout_${i}.txt`);
+      fs.writeFileSync(textPath, String(callout.text), 'utf8');
+      return { ...callout, textPath };
+    }),
+  };
+};
+
+/**
+ * Filtre drawtext d'un carton animé.
+ * @param {Object} callout - Carton préparé (voir prepareBranding)
+ * @param {Object} frame - { width, height, duration }
+ * @param {string} [defaultFont] - Police par défaut (ex: celle du style des sous-titres)
+ * @returns {string}
+ */
+const buildCalloutFilter = (callout, { width, height, duration }, defaultFont) => {
+  const length = Math.min(Number(callout.duration), duration);
+  const start = callout.at === 'end' ? Math.max(0, duration - length) : Math.max(0, Number(callout.start) || 0);
+  const end = Math.min(duration, start + length);
+  const fade = Math.min(0.5, length / 4);
+  const fontSize = Math.round(callout.size * height);
+  const place = placeItem(callout.position, Math.round(callout.margin * width), {
+    frameW: 'w', frameH: 'h', itemW: 'text_w', itemH: 'text_h',
+  });
+
+  const appear = `min(1,(t-${start.toFixed(3)})/${fade.toFixed(3)})`;
+  const alpha = callout.animation === 'none'
+    ? '1'
+    : `if(lt(t,${end.toFixed(3)}-${fade.toFixed(3)}),${appear},(${end.toFixed(3)}-t)/${fade.toFixed(3)})`;
+  // Glissement : le texte monte vers sa place pendant son apparition
+  const y = callout.animation === 'slide' ? `${place.y}+${Math.round(height * 0.05)}*(1-${appear})` : place.y;
+
+  const font = callout.font || defaultFont || (fs.existsSync(DEFAULT_FONT) ? DEFAULT_FONT : null);
+  return [
+    'drawtext=',
+    font ? `fontfile=${escapeFilterPath(font)}:` : '',
+    `textfile=${escapeFilterPath(callout.textPath)}:expansion=none`,
+    `:fontsize=${fontSize}:fontcolor=${callout.color}`,
+    callout.box ? `:box=1:boxcolor=${callout.boxColor}:boxborderw=${Math.round(fontSize * 0.4)}` : '',
+    `:x='${place.x}':y='${y}'`,
+    `:alpha='${alpha}'`,
+    `:enable='between(t,${start.toFixed(3)},${end.toFixed(3)})'`,
+  ].join('');
+};
+
+/**
+ * Construit les filtres qui incrustent logos et textes, de `[inLabel]` vers `[outLabel]`.
+ * Le logo i est lu depuis l'entrée FFmpeg `inputOffset + i` (voir brandingInputs).
+ *
+ * @param {string} inLabel
+ * @param {string} outLabel
+ * @param {Object} branding - Habillage préparé (voir prepareBranding)
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.duration - Durée du contenu
+ * @param {number} options.inputOffset - Index FFmpeg de l'entrée du premier logo
+ * @param {string} [options.fontPath] - Police par défaut des textes
+ * @returns {Array<string>}
+ */
+const buildBrandingFilters = (inLabel, outLabel, branding, { width, height, duration, inputOffset, fontPath }) => {
+  const filters = [];
+  let current = inLabel;
+
+  branding.overlays.forEach((overlay, i) => {
+    const logoWidth = Math.round((overlay.width * width) / 2) * 2;
+    const start = Math.max(0, Number(overlay.start) || 0);
+    const end = overlay.end === null || overlay.end === undefined ? duration : Math.min(duration, Number(overlay.end));
+    const place = placeItem(overlay.position, Math.round(overlay.margin * width), {
+      frameW: 'W', frameH: 'H', itemW: 'w', itemH: 'h',
+    });
+    filters.push(`[${inputOffset + i}:v]format=rgba,scale=${logoWidth}:-1,colorchannelmixer=aa=${overlay.opacity}[logo${i}]`);
+    filters.push(`[${current}][logo${i}]overlay=x=${place.x}:y=${place.y}`
+      + `:enable='between(t,${start.toFixed(3)},${end.toFixed(3)})'[logoed${i}]`);
+    current = `logoed${i}`;
+  });
+
+  branding.callouts.forEach((callout, i) => {
+    filters.push(`[${current}]${buildCalloutFilter(callout, { width, height, duration }, fontPath)}[callout${i}]`);
+    current = `callout${i}`;
+  });
+
+  filters.push(`[${current}]null[${outLabel}]`);
+  return filters;
+};
+
+/**
+ * Entrées FFmpeg des logos, dans l'ordre attendu par buildBrandingFilters.
+ * @param {Object} branding
+ * @returns {Array<{path: string, options: Array<string>}>}
+ */
+const brandingInputs = (branding) => branding.overlays.map((overlay) => ({ path: overlay.image, options: [] }));
+
+/**
+ * Durée et présence d'une piste audio d'un générique.
+ * @param {string} filePath
+ * @returns {Promise<{path: string, duration: number, hasAudio: boolean}>}
+ */
+const probeBumper = (filePath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(new Error(`Générique illisible (${filePath}) : ${err.message}`));
+      if (!metadata.streams.some((stream) => stream.codec_type === 'video')) {
+        return reject(new Error(`Le générique n'a pas de piste vidéo : ${filePath}`));
+      }
+      resolve({
+        path: filePath,
+        duration: Number(metadata.format.duration) || 0,
+        hasAudio: metadata.streams.some((stream) => stream.codec_type === 'audio'),
+      });
+    });
+  });
+
+/**
+ * Analyse l'intro et l'outro de l'habillage.
+ * @param {Object|null} branding
+ * @returns {Promise<{intro: Object|null, outro: Object|null, duration: number}>} - duration : intro + outro
+ */
+const probeBumpers = async (branding) => {
+  const [intro, outro] = await Promise.all([
+    branding && branding.intro ? probeBumper(branding.intro) : null,
+    branding && branding.outro ? probeBumper(branding.outro) : null,
+  ]);
+  return { intro, outro, duration: (intro ? intro.duration : 0) + (outro ? outro.duration : 0) };
+};
+
+/**
+ * Construit l'enchaînement intro + contenu + outro, de `[video]` / `[audio]` vers `[vout]` / `[aout]`.
+ * Les génériques sont mis au format du profil (image entière sur fond noir, cadence, audio stéréo) ;
+ * un générique sans son reçoit une piste silencieuse.
+ *
+ * @param {{video: string, audio: string}} main - Libellés du contenu
+ * @param {Object} bumpers - Voir probeBumpers
+ * @param {Object} options
+ * @param {Object} options.profile - Profil de sortie
+ * @param {number} options.inputOffset - Index FFmpeg de l'entrée du premier générique (intro, puis outro)
+ * @param {{video: string, audio: string}} [options.out] - Libellés de sortie (défaut : vout / aout)
+ * @returns {Array<string>}
+ */
+const buildBumperFilters = (main, bumpers, { profile, inputOffset, out = { video: 'vout', audio: 'aout' } }) => {
+  const { width, height, fps, audioSampleRate } = profile;
+  const audioFormat = `aresample=${audioSampleRate},aformat=sample_fmts=fltp:channel_layouts=stereo`;
+  const videoFormat = `fps=${fps},format=yuv420p,setsar=1,settb=AVTB`;
+  const filters = [
+    `[${main.video}]${videoFormat}[mainv]`,
+    `[${main.audio}]${audioFormat}[maina]`,
+  ];
+
+  [bumpers.intro, bumpers.outro].filter(Boolean).forEach((bumper, i) => {
+    const input = inputOffset + i;
+    const label = bumper === bumpers.intro ? 'intro' : 'outro';
+    const duration = bumper.duration.toFixed(3);
+    filters.push(`[${input}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,`
+      + `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,trim=duration=${duration},setpts=PTS-STARTPTS,`
+      + `${videoFormat}[${label}v]`);
+    filters.push(bumper.hasAudio
+      ? `[${input}:a]${audioFormat},apad,atrim=duration=${duration},asetpts=PTS-STARTPTS[${label}a]`
+      : `anullsrc=r=${audioSampleRate}:cl=stereo,atrim=duration=${duration}[${label}a]`);
+  });
+
+  const order = [...(bumpers.intro ? ['intro'] : []), 'main', ...(bumpers.outro ? ['outro'] : [])];
+  const inputs = order.map((part) => `[${part}v][${part}a]`).join('');
+  filters.push(`${inputs}concat=n=${order.length}:v=1:a=1[${out.video}][${out.audio}]`);
+  return filters;
+};
+
+/**
+ * Entrées FFmpeg des génériques, dans l'ordre attendu par buildBumperFilters.
+ * @param {Object} bumpers
+ * @returns {Array<{path: string, options: Array<string>}>}
+ */
+const bumperInputs = (bumpers) => [bumpers.intro, bumpers.outro].filter(Boolean).map((bumper) => ({ path: bumper.path, options: [] }));
+
+/**
+ * Exécute un graphe FFmpeg (entrées + filtres) vers un fichier, avec suivi de progression.
+ * @returns {Promise<string>}
+ */
+const runGraph = ({ inputs, filters, outputOptions, duration, outputPath, task }) =>
+  new Promise((resolve, reject) => {
+    const progress = getReporter().progress(task);
+    const command = getReporter().track(ffmpeg());
+    inputs.forEach((input) => command.input(input.path).inputOptions(input.options));
+    command
+      .complexFilter(filters)
+      .outputOptions([...outputOptions, `-t ${duration.toFixed(3)}`])
+      .on('progress', (info) => {
+        const seconds = String(info.timemark || '0').split(':').reduce((total, part) => total * 60 + Number(part), 0);
+        progress.update((seconds / duration) * 100);
+      })
+      .on('end', () => {
+        progress.done();
+        resolve(outputPath);
+      })
+      .on('error', (err) => reject(new Error(`Erreur lors de l'habillage (${task}) : ${err.message}`)))
+      .save(outputPath);
+  });
+
+/**
+ * Incruste logos et textes sur une vidéo (mode "steps").
+ * @param {string} videoPath
+ * @param {string} outputPath
+ * @param {Object} branding - Habillage préparé (voir prepareBranding)
+ * @param {Object} options - { profile, duration, fontPath }
+ * @returns {Promise<string>}
+ */
+const applyBranding = (videoPath, outputPath, branding, { profile, duration, fontPath }) =>
+  runGraph({
+    inputs: [{ path: videoPath, options: [] }, ...brandingInputs(branding)],
+    filters: buildBrandingFilters('0:v', 'vout', branding, {
+      width: profile.width, height: profile.height, duration, inputOffset: 1, fontPath,
+    }),
+    outputOptions: ['-map [vout]', '-map 0:a?', ...buildEncodingOptions(profile)],
+    duration,
+    outputPath,
+    task: 'Habillage',
+  });
+
+/**
+ * Ajoute l'intro et l'outro autour d'une vidéo (mode "steps").
+ * @param {string} videoPath
+ * @param {string} outputPath
+ * @param {Object} bumpers - Voir probeBumpers
+ * @param {Object} options - { profile, duration } : durée de la vidéo
+ * @returns {Promise<string>}
+ */
+const addBumpers = (videoPath, outputPath, bumpers, { profile, duration }) =>
+  runGraph({
+    inputs: [{ path: videoPath, options: [] }, ...bumperInputs(bumpers)],
+    filters: buildBumperFilters({ video: '0:v', audio: '0:a' }, bumpers, { profile, inputOffset: 1 }),
+    outputOptions: ['-map [vout]', '-map [aout]', ...buildEncodingOptions(profile)],
+    duration: duration + bumpers.duration,
+    outputPath,
+    task: 'Génériques',
+  });
+
+module.exports = {
+  POSITIONS,
+  loadBranding,
+  brandingFiles,
+  hasOverlays,
+  prepareBranding,
+  buildBrandingFilters,
+  brandingInputs,
+  probeBumpers,
+  buildBumperFilters,
+  bumperInputs,
+  applyBranding,
+  addBumpers,
+};
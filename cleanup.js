@@ -0,0 +1,190 @@
+/**
+ * cleanup.js
+ * Nettoyage limité à ce que VOD Creator a produit :
+ * - fichiers d'un rendu : chaque rendu note les fichiers finaux qu'il écrit (espace de travail du rendu) ;
+ *   en cas d'échec ou d'annulation, seuls ceux qu'il a écrits ou modifiés sont supprimés ;
+ * - rétention : les N derniers rendus finaux d'un dossier de sortie sont conservés, les plus anciens
+ *   supprimés avec tous leurs fichiers. Un rendu est reconnu à son manifeste `<vidéo>.render.json` :
+ *   les autres fichiers du dossier ne sont jamais touchés.
+ * En simulation (dryRun), les fichiers sont seulement listés.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getReporter } = require('./reporter');
+
+const MANIFEST_SUFFIX = '.render.json';
+
+/**
+ * Politique de nettoyage par défaut :
+ * - keepFinals : nombre de rendus finaux conservés dans le dossier de sortie (null : tous) ;
+ * - keepIntermediatesOnError : conserver le cache d'un rendu en échec (pour le reprendre avec resume) ;
+ * - dryRun : lister les fichiers sans les supprimer.
+ */
+const DEFAULT_CLEANUP = {
+  keepFinals: null,
+  keepIntermediatesOnError: true,
+  dryRun: false,
+};
+
+/**
+ * Complète et valide une politique de nettoyage.
+ * @param {Object} [cleanup]
+ * @returns {{keepFinals: number|null, keepIntermediatesOnError: boolean, dryRun: boolean}}
+ */
+const resolveCleanupOptions = (cleanup = {}) => {
+  const resolved = { ...DEFAULT_CLEANUP, ...cleanup };
+  if (resolved.keepFinals !== null && resolved.keepFinals !== undefined) {
+    if (!Number.isInteger(resolved.keepFinals) || resolved.keepFinals < 1) {
+      throw new Error(`Nombre de rendus à conserver invalide : ${resolved.keepFinals} (entier >= 1 attendu)`);
+    }
+  } else {
+    resolved.keepFinals = null;
+  }
+  return resolved;
+};
+
+/**
+ * Supprime des fichiers ou dossiers (ceux qui n'existent pas sont ignorés).
+ * @param {Array<string>} paths
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Lister sans supprimer
+ * @returns {Array<string>} - Chemins supprimés (ou qui l'auraient été)
+ */
+const removePaths = (paths, { dryRun = false } = {}) => {
+  const reporter = getReporter();
+  // lstat : un lien symbolique (source locale importée) est supprimé, pas sa cible
+  const existing = [...new Set(paths.filter(Boolean).map((item) => path.resolve(item)))]
+    .filter((item) => fs.lstatSync(item, { throwIfNoEntry: false }));
+  existing.forEach((item) => {
+    if (dryRun) {
+      reporter.info(`🗑️  (simulation) ${item}`);
+    } else {
+      fs.rmSync(item, { recursive: true, force: true });
+      reporter.info(`🗑️  Supprimé : ${item}`);
+    }
+  });
+  return existing;
+};
+
+/**
+ * Espace de travail d'un rendu : les fichiers finaux qu'il écrit (vidéo, variante, sous-titres exportés,
+ * manifeste...). En cas d'échec, seuls ceux créés ou modifiés depuis le début du rendu sont supprimés :
+ * une vidéo précédente du même nom, non encore réécrite, est conservée.
+ * @returns {{files: Array<string>, track: function(...string): void, discard: function(Object=): Array<string>}}
+ */
+const createRunWorkspace = () => {
+  const startedAt = Date.now();
+  const files = [];
+  return {
+    files,
+
+    /**
+     * Note des fichiers que le rendu va écrire.
+     * @param {...string} paths
+     */
+    track(...paths) {
+      paths.filter(Boolean).forEach((file) => {
+        if (!files.includes(file)) files.push(file);
+      });
+    },
+
+    /**
+     * Supprime les fichiers notés écrits par ce rendu (échec ou annulation).
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false]
+     * @returns {Array<string>}
+     */
+    discard({ dryRun = false } = {}) {
+      // Marge d'une seconde : précision des dates de modification de certains systèmes de fichiers
+      const written = files.filter((file) => {
+        const stat = fs.statSync(file, { throwIfNoEntry: false });
+        return stat && stat.mtimeMs >= startedAt - 1000;
+      });
+      return removePaths(written, { dryRun });
+    },
+  };
+};
+
+/**
+ * Fichiers d'un rendu terminé, d'après son manifeste : vidéo, variante sans sous-titres, sous-titres exportés,
+ * montage, manifeste et, pour un aperçu, planche contact et page de revue.
+ * @param {string} manifestPath
+ * @param {Object} manifest
+ * @returns {Array<string>}
+ */
+const listRenderFiles = (manifestPath, manifest) => {
+  const dir = path.dirname(manifestPath);
+  const basePath = manifestPath.slice(0, -MANIFEST_SUFFIX.length);
+  const captions = manifest.captions || {};
+  return [
+    manifest.output && manifest.output.file,
+    captions.cleanVariant,
+    ...(captions.files || []),
+    manifest.timeline,
+  ]
+    .filter(Boolean)
+    .map((file) => path.join(dir, file))
+    .concat(manifestPath, `${basePath}.contact.png`, `${basePath}.review.html`)
+    .filter((file) => fs.existsSync(file));
+};
+
+/**
+ * Rendus terminés d'un dossier de sortie (ceux qui ont un manifeste), du plus récent au plus ancien.
+ * @param {string} outputDir
+ * @returns {Array<{manifestPath: string, videoPath: string, createdAt: string, preview: boolean, files: Array<string>}>}
+ */
+const listFinishedRenders = (outputDir) => {
+  if (!fs.existsSync(outputDir)) return [];
+  return fs.readdirSync(outputDir)
+    .filter((file) => file.endsWith(MANIFEST_SUFFIX))
+    .flatMap((file) => {
+      const manifestPath = path.join(outputDir, file);
+      let manifest;
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      } catch (err) {
+        getReporter().warn(`⚠️ Manifeste illisible ignoré : ${manifestPath}`);
+        return [];
+      }
+      return [{
+        manifestPath,
+        videoPath: path.join(outputDir, (manifest.output && manifest.output.file) || ''),
+        createdAt: manifest.createdAt || fs.statSync(manifestPath).mtime.toISOString(),
+        preview: Boolean(manifest.preview),
+        files: listRenderFiles(manifestPath, manifest),
+      }];
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Rétention : conserve les `keepFinals` rendus finaux les plus récents d'un dossier de sortie
+ * et supprime les plus anciens avec tous leurs fichiers. Les aperçus ne sont pas comptés.
+ * @param {string} outputDir
+ * @param {Object} options
+ * @param {number} options.keepFinals
+ * @param {boolean} [options.dryRun=false]
+ * @param {Array<string>} [options.protect] - Vidéos à ne jamais supprimer (ex: celle du rendu en cours)
+ * @returns {Array<string>} - Chemins supprimés (ou qui l'auraient été)
+ */
+const applyRetention = (outputDir, { keepFinals, dryRun = false, protect = [] }) => {
+  const protectedPaths = protect.map((file) => path.resolve(file));
+  const expired = listFinishedRenders(outputDir)
+    .filter((render) => !render.preview)
+    .slice(keepFinals)
+    .filter((render) => !protectedPaths.includes(path.resolve(render.videoPath)));
+  if (!expired.length) return [];
+  getReporter().info(`Rétention : ${keepFinals} rendu(s) conservé(s), ${expired.length} plus ancien(s) ${dryRun ? 'à supprimer' : 'supprimé(s)'}`);
+  return removePaths(expired.flatMap((render) => render.files), { dryRun });
+};
+
+module.exports = {
+  DEFAULT_CLEANUP,
+  resolveCleanupOptions,
+  removePaths,
+  createRunWorkspace,
+  listRenderFiles,
+  listFinishedRenders,
+  applyRetention,
+};
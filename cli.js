@@ -0,0 +1,760 @@
+/**
+ * cli.js
+ * Interface en ligne de commande : sous-commandes, options et fichier de configuration du projet.
+ *
+ * Les réglages sont fusionnés dans cet ordre (le dernier l'emporte) :
+ * valeurs par défaut des modules < `vodcreator.config.json` < variables d'environnement < options de la ligne de commande.
+ *
+ * Le fichier de configuration reprend la forme des options de createFinalVod, plus les réglages propres
+ * à la CLI (voice, scriptFile, concurrency...). Exemple :
+ * { "profile": "tiktok", "style": "karaoke", "audio": { "musicVolume": 0.25 }, "transcription": { "provider": "cli" } }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { parseArgs } = require('util');
+const cliProgress = require('cli-progress');
+const { createVodJob, adaptStyleToProfile, RENDER_STAGES } = require('./createVod');
+const { runBatch } = require('./batch');
+const { createRenderServer, DEFAULT_PORT, DEFAULT_HOST } = require('./server');
+const { listOutputProfiles, loadOutputProfile } = require('./outputProfiles');
+const { loadMusicLibrary } = require('./musicLibrary');
+const { loadMediaLibrary } = require('./mediaLibrary');
+const { generateVoice } = require('./tts');
+const { loadStylePreset } = require('./stylePresets');
+const downloadVideoOnly = require('./downloadVideo');
+const { ensureDirectoriesExist, getFileDuration, generateSubtitles, correctSubtitles, convertSrtToAss } = require('./utils');
+const { exportSubtitles } = require('./subtitleFormats');
+const { readManifest, checkManifestInputs, manifestToRender } = require('./manifest');
+const { runPreflight, formatPreflightReport } = require('./preflight');
+const { resolveMixOptions } = require('./audioMix');
+const { resolveCleanupOptions, removePaths, listFinishedRenders, applyRetention } = require('./cleanup');
+const { createReporter, runWithReporter } = require('./reporter');
+
+const CONFIG_FILE = 'vodcreator.config.json';
+
+// Réglages propres à la CLI, retirés avant l'appel à createFinalVod
+const CLI_SETTINGS = ['voice', 'script', 'scriptFile', 'concurrency', 'batchDir', 'tts', 'server', 'cleanCache'];
+
+const toList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Options de la ligne de commande, regroupées par thème.
+ * `setting` est le chemin du réglage (forme des options de createFinalVod), `parse` convertit la valeur.
+ */
+const OPTION_GROUPS = {
+  general: [
+    { name: 'config', type: 'string', value: '<fichier>', description: `Fichier de configuration (défaut : ./${CONFIG_FILE})` },
+    { name: 'help', short: 'h', type: 'boolean', description: 'Affiche l\'aide' },
+  ],
+  source: [
+    { name: 'format', type: 'string', value: '<yt-dlp>', setting: 'download.format', description: 'Sélecteur de format yt-dlp' },
+    { name: 'cookies', type: 'string', value: '<fichier>', setting: 'download.cookiesPath', description: 'Fichier de cookies yt-dlp' },
+    { name: 'copy', type: 'boolean', setting: 'download.linkMode', parse: () => 'copy', description: 'Copier les fichiers locaux au lieu d\'un lien symbolique' },
+  ],
+  voice: [
+    { name: 'voice', type: 'string', value: '<fichier>', setting: 'voice', description: 'Fichier voix (dans audio/voice ou chemin)' },
+    { name: 'script', type: 'string', value: '<texte>', setting: 'script', description: 'Texte du script' },
+    { name: 'script-file', type: 'string', value: '<fichier>', setting: 'scriptFile', description: 'Fichier texte du script' },
+    { name: 'tts', type: 'string', value: '<piper|espeak-ng|http>', setting: 'tts.engine', description: 'Générer la voix depuis le script (sans fichier voix)' },
+    { name: 'tts-voice', type: 'string', value: '<voix>', setting: 'tts.voice', description: 'Voix de synthèse (modèle .onnx pour Piper)' },
+    { name: 'tts-speed', type: 'string', value: '<vitesse>', setting: 'tts.speed', parse: Number, description: 'Vitesse de lecture (1 = normale)' },
+    { name: 'tts-language', type: 'string', value: '<langue>', setting: 'tts.language', description: 'Langue de la synthèse (ex: fr)' },
+  ],
+  subtitles: [
+    { name: 'transcription', type: 'string', value: '<http|cli|file>', setting: 'transcription.provider', description: 'Fournisseur de transcription' },
+    { name: 'whisper-url', type: 'string', value: '<url>', setting: 'transcription.url', description: 'URL du service Whisper HTTP' },
+    { name: 'whisper-engine', type: 'string', value: '<whisper|whisper.cpp>', setting: 'transcription.engine', description: 'Binaire whisper local' },
+    { name: 'whisper-model', type: 'string', value: '<modèle>', setting: 'transcription.model', description: 'Modèle whisper ou fichier ggml' },
+    { name: 'language', type: 'string', value: '<langue>', setting: 'transcription.language', description: 'Langue de la voix (ex: fr)' },
+    { name: 'subtitles-file', type: 'string', value: '<fichier>', setting: 'transcription.path', description: 'Sous-titres déjà transcrits (.srt/.json)' },
+    { name: 'min-score', type: 'string', value: '<0-1>', setting: 'alignment.minScore', parse: Number, description: 'Score minimal de l\'alignement script/transcription' },
+    { name: 'style', type: 'string', value: '<préréglage>', setting: 'style', description: 'Style des sous-titres (nom dans styles/ ou fichier)' },
+    { name: 'animation', type: 'string', value: '<fade|karaoke|highlight>', setting: 'subtitles.animation', description: 'Animation des sous-titres' },
+    { name: 'chunk-size', type: 'string', value: '<n>', setting: 'subtitles.chunkSize', parse: Number, description: 'Nombre de mots par bloc de sous-titres' },
+  ],
+  captions: [
+    { name: 'captions', type: 'string', value: '<srt,vtt,ass|none>', setting: 'captions.formats', parse: (value) => (value === 'none' ? [] : toList(value)), description: 'Sous-titres exportés à côté de la vidéo (défaut : srt,vtt,ass)' },
+    { name: 'soft-subtitles', type: 'boolean', setting: 'captions.softTrack', description: 'Ajouter une piste de sous-titres désactivables au MP4' },
+    { name: 'clean-variant', type: 'boolean', setting: 'captions.cleanVariant', description: 'Rendre aussi <vidéo>.clean.mp4, sans sous-titres incrustés' },
+  ],
+  render: [
+    { name: 'profile', type: 'string', value: '<profil|fichier.json>', setting: 'profile', description: `Profil de sortie (${listOutputProfiles().join(', ')})` },
+    { name: 'reframe', type: 'string', value: '<center|blur|auto|manual:x|fichier.json>', setting: 'reframe', description: 'Recadrage' },
+    { name: 'timeline', type: 'string', value: '<fichier.json>', setting: 'timeline', description: 'Montage multi-extraits' },
+    { name: 'broll', type: 'boolean', setting: 'broll.enabled', description: 'Illustrer chaque phrase du script par un extrait de media/' },
+    { name: 'broll-dir', type: 'string', value: '<dossier>', setting: 'broll.dir', description: 'Bibliothèque d\'extraits (défaut : media/, implique --broll)' },
+    { name: 'broll-tags', type: 'string', value: '<tag,tag>', setting: 'broll.tags', parse: toList, description: 'Tags requis pour les extraits' },
+    { name: 'branding', type: 'string', value: '<fichier.json>', setting: 'branding', description: 'Habillage : logos, textes animés, intro / outro' },
+    { name: 'title', type: 'string', value: '<titre>', setting: 'title', description: 'Titre écrit dans les métadonnées du MP4' },
+    { name: 'render-mode', type: 'string', value: '<single|steps>', setting: 'renderMode', description: 'Rendu en une passe ou étape par étape' },
+    { name: 'music', type: 'string', value: '<fichier>', setting: 'music.file', description: 'Musique imposée (dans audio/music ou chemin)' },
+    { name: 'music-tags', type: 'string', value: '<tag,tag>', setting: 'music.tags', parse: toList, description: 'Tags requis pour le choix de la musique' },
+    { name: 'music-seed', type: 'string', value: '<graine>', setting: 'music.seed', description: 'Graine du tirage de la musique' },
+    { name: 'music-fit', type: 'string', value: '<loop|skip>', setting: 'music.fit', description: 'Musique trop courte : bouclée ou écartée' },
+    { name: 'voice-volume', type: 'string', value: '<volume>', setting: 'audio.voiceVolume', parse: Number, description: 'Volume de la voix (1 = 100 %)' },
+    { name: 'music-volume', type: 'string', value: '<volume>', setting: 'audio.musicVolume', parse: Number, description: 'Volume de la musique (0.3 = 30 %)' },
+    { name: 'no-ducking', type: 'boolean', setting: 'audio.ducking', parse: () => false, description: 'Ne pas baisser la musique sous la voix' },
+    { name: 'fade-in', type: 'string', value: '<s>', setting: 'audio.fadeIn', parse: Number, description: 'Fondu d\'entrée de la musique' },
+    { name: 'fade-out', type: 'string', value: '<s>', setting: 'audio.fadeOut', parse: Number, description: 'Fondu de sortie de la musique' },
+    { name: 'tail', type: 'string', value: '<s>', setting: 'audio.tail', parse: Number, description: 'Musique après la fin de la voix' },
+    { name: 'loudness', type: 'string', value: '<LUFS>', setting: 'audio.loudness.target', parse: Number, description: 'Cible de normalisation du volume' },
+    { name: 'skip-preflight', type: 'boolean', setting: 'preflight', parse: () => false, description: 'Ne pas faire les vérifications préalables' },
+    { name: 'resume', type: 'boolean', setting: 'resume', description: 'Réutiliser les étapes en cache inchangées' },
+    { name: 'from-stage', type: 'string', value: '<étape>', setting: 'fromStage', description: 'Relancer à partir de cette étape' },
+    { name: 'keep-intermediates', type: 'boolean', setting: 'keepIntermediates', description: 'Conserver les fichiers intermédiaires' },
+    { name: 'cache-dir', type: 'string', value: '<dossier>', setting: 'cacheDir', description: 'Dossier du cache (défaut : .vodcache)' },
+    { name: 'keep-finals', type: 'string', value: '<n>', setting: 'cleanup.keepFinals', parse: Number, description: 'Ne conserver que les n derniers rendus finaux du dossier de sortie' },
+    { name: 'clean-on-error', type: 'boolean', setting: 'cleanup.keepIntermediatesOnError', parse: () => false, description: 'Supprimer aussi le cache d\'un rendu en échec ou annulé' },
+    { name: 'cleanup-dry-run', type: 'boolean', setting: 'cleanup.dryRun', description: 'Lister les fichiers à supprimer sans les supprimer' },
+  ],
+  batch: [
+    { name: 'concurrency', type: 'string', value: '<n>', setting: 'concurrency', parse: Number, description: 'Nombre de rendus simultanés' },
+    { name: 'batch-dir', type: 'string', value: '<dossier>', setting: 'batchDir', description: 'Dossier du lot (défaut : batches/<manifeste>_<date>)' },
+  ],
+  server: [
+    { name: 'port', type: 'string', value: '<port>', setting: 'server.port', parse: Number, description: `Port d'écoute (défaut : ${DEFAULT_PORT})` },
+    { name: 'host', type: 'string', value: '<adresse>', setting: 'server.host', description: `Adresse d'écoute (défaut : ${DEFAULT_HOST})` },
+    { name: 'queue-dir', type: 'string', value: '<dossier>', setting: 'server.queueDir', description: 'Dossier de la file de jobs (défaut : server/)' },
+  ],
+};
+
+const outputOption = (description) =>
+  ({ name: 'output', short: 'o', type: 'string', value: '<chemin>', setting: 'outputPath', description });
+
+/**
+ * Sous-commandes : usage, options acceptées et exécution.
+ */
+const COMMANDS = {
+  render: {
+    usage: 'render <source> [voice_file] ["<script>"]',
+    description: 'Crée une VOD (source vidéo + voix + script)',
+    options: [...OPTION_GROUPS.voice, outputOption('Fichier final'), ...OPTION_GROUPS.source, ...OPTION_GROUPS.subtitles, ...OPTION_GROUPS.captions, ...OPTION_GROUPS.render],
+    run: (settings, args, baseDir) => runRender(settings, args, baseDir),
+  },
+  preview: {
+    usage: 'preview <source> [voice_file] ["<script>"]',
+    description: 'Aperçu 360p, planche contact et page de revue, à valider avant le rendu final',
+    options: [...OPTION_GROUPS.voice, outputOption('Fichier de l\'aperçu'), ...OPTION_GROUPS.source, ...OPTION_GROUPS.subtitles, ...OPTION_GROUPS.render],
+    run: (settings, args, baseDir) => runRender(settings, args, baseDir, { preview: true }),
+  },
+  rerender: {
+    usage: 'rerender <vidéo.render.json>',
+    description: 'Reproduit un rendu depuis son manifeste (mêmes entrées, même musique, mêmes options)',
+    options: [outputOption('Fichier final (défaut : <vidéo>_rerender.mp4)'),
+      ...OPTION_GROUPS.render.filter((option) => ['resume', 'keep-intermediates', 'cache-dir', 'keep-finals', 'clean-on-error', 'cleanup-dry-run'].includes(option.name))],
+    run: (settings, args, baseDir) => runRerender(settings, args, baseDir),
+  },
+  batch: {
+    usage: 'batch <manifest.json|manifest.csv>',
+    description: 'Rendu par lots depuis un manifeste',
+    options: [...OPTION_GROUPS.batch, ...OPTION_GROUPS.voice.filter((option) => option.name.startsWith('tts')),
+      ...OPTION_GROUPS.source, ...OPTION_GROUPS.subtitles, ...OPTION_GROUPS.captions, ...OPTION_GROUPS.render],
+    run: (settings, args, baseDir) => runBatchCommand(settings, args, baseDir),
+  },
+  download: {
+    usage: 'download <source>',
+    description: 'Télécharge une vidéo (sans audio) dans vod/',
+    options: [outputOption('Dossier de destination (défaut : vod/)'), ...OPTION_GROUPS.source],
+    run: (settings, args, baseDir) => runDownload(settings, args, baseDir),
+  },
+  subtitles: {
+    usage: 'subtitles [voice_file] ["<script>"]',
+    description: 'Génère les sous-titres (.srt corrigé, .vtt et .ass stylisé) sans rendu vidéo',
+    options: [...OPTION_GROUPS.voice, outputOption('Dossier de sortie (défaut : output/subtitles_<voix>)'), ...OPTION_GROUPS.subtitles,
+      OPTION_GROUPS.render.find((option) => option.name === 'profile')],
+    run: (settings, args, baseDir) => runSubtitles(settings, args, baseDir),
+  },
+  serve: {
+    usage: 'serve',
+    description: 'Serveur HTTP local : dépôt de fichiers, file de rendus, suivi et annulation',
+    options: [...OPTION_GROUPS.server, OPTION_GROUPS.batch.find((option) => option.name === 'concurrency'),
+      ...OPTION_GROUPS.source, ...OPTION_GROUPS.subtitles, ...OPTION_GROUPS.captions, ...OPTION_GROUPS.render],
+    run: (settings, args, baseDir) => runServe(settings, baseDir),
+  },
+  doctor: {
+    usage: 'doctor [source] [voice_file]',
+    description: 'Vérifie l\'installation (outils, filtres FFmpeg, musiques, espace disque) et, si fournies, une source et une voix',
+    options: [...OPTION_GROUPS.source,
+      ...OPTION_GROUPS.render.filter((option) => ['profile', 'music', 'branding', 'tail', 'broll', 'broll-dir'].includes(option.name))],
+    run: (settings, args, baseDir) => runDoctor(settings, args, baseDir),
+  },
+  clean: {
+    usage: 'clean [dossier]',
+    description: 'Supprime les rendus finaux les plus anciens d\'un dossier de sortie (défaut : output/) et, avec --cache, le cache',
+    options: [OPTION_GROUPS.render.find((option) => option.name === 'keep-finals'),
+      { name: 'dry-run', type: 'boolean', setting: 'cleanup.dryRun', description: 'Lister les fichiers à supprimer sans les supprimer' },
+      { name: 'cache', type: 'boolean', setting: 'cleanCache', description: 'Supprimer aussi le cache des étapes' },
+      OPTION_GROUPS.render.find((option) => option.name === 'cache-dir')],
+    run: (settings, args, baseDir) => runClean(settings, args, baseDir),
+  },
+  music: {
+    usage: 'music',
+    description: 'Indexe audio/music et liste les morceaux',
+    options: [],
+    run: (settings, args, baseDir) => runMusic(baseDir),
+  },
+  media: {
+    usage: 'media [dossier]',
+    description: 'Indexe la bibliothèque d\'extraits (défaut : media/) et liste les extraits',
+    options: [],
+    run: (settings, args, baseDir) => runMedia(args, baseDir),
+  },
+};
+
+/**
+ * Affiche les événements "stage:progress" d'un job sous forme de barres de progression (une par tâche).
+ * @param {EventEmitter} emitter
+ */
+const attachProgressBars = (emitter) => {
+  let bar = null;
+  let task = null;
+  const stop = () => {
+    if (bar) bar.stop();
+    bar = null;
+    task = null;
+  };
+
+  emitter.on('stage:progress', (event) => {
+    if (event.task !== task) {
+      stop();
+      task = event.task;
+      bar = new cliProgress.SingleBar(
+        { format: `${task} |{bar}| {percentage}% | ETA: {eta}s{details}` },
+        cliProgress.Presets.shades_classic
+      );
+      bar.start(100, 0, { details: '' });
+    }
+    // Détails fournis par la tâche (ex: taille et débit du téléchargement)
+    const details = Object.values(event.details || {}).map((value) => ` | ${value}`).join('');
+    bar.update(Math.round(event.percent), { details });
+    if (event.percent >= 100) stop();
+  });
+  emitter.on('stage:end', stop);
+  emitter.on('error', stop);
+};
+
+/**
+ * Annule le rendu au premier Ctrl+C (ou SIGTERM) : ses processus sont arrêtés et ses fichiers nettoyés
+ * selon la politique de nettoyage. Un second signal quitte immédiatement.
+ * @param {function(): void} cancel
+ * @returns {function(): void} - Retire les gestionnaires de signaux
+ */
+const cancelOnInterrupt = (cancel) => {
+  let interrupted = false;
+  const onSignal = () => {
+    if (interrupted) process.exit(130);
+    interrupted = true;
+    console.log('\n⏹️  Annulation du rendu et nettoyage (Ctrl+C à nouveau pour quitter immédiatement)...');
+    cancel();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  return () => {
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+  };
+};
+
+/**
+ * Exécute une commande hors rendu (téléchargement, sous-titres) avec les barres de progression.
+ * @param {Function} fn
+ * @returns {Promise<*>}
+ */
+const withProgressBars = (fn) => {
+  const emitter = new EventEmitter();
+  attachProgressBars(emitter);
+  return runWithReporter(createReporter({ emitter }), fn);
+};
+
+/**
+ * Écrit une valeur dans un objet à partir d'un chemin ("audio.musicVolume").
+ * @param {Object} target
+ * @param {string} settingPath
+ * @param {*} value
+ */
+const setSetting = (target, settingPath, value) => {
+  const keys = settingPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+/**
+ * Fusion récursive des réglages (les tableaux et valeurs simples sont remplacés).
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+const mergeSettings = (base, overrides) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    const isObject = (item) => item && typeof item === 'object' && !Array.isArray(item);
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeSettings(base[key], value) : value;
+  });
+  return merged;
+};
+
+/**
+ * Charge le fichier de configuration du projet : chemin explicite, sinon `vodcreator.config.json`
+ * dans le dossier courant, puis dans le dossier de base.
+ * @param {string} baseDir
+ * @param {string} [configPath]
+ * @returns {Object}
+ */
+const loadConfig = (baseDir, configPath) => {
+  const candidates = configPath
+    ? [path.resolve(configPath)]
+    : [path.resolve(CONFIG_FILE), path.join(baseDir, CONFIG_FILE)];
+  const found = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!found) {
+    if (configPath) throw new Error(`Fichier de configuration introuvable : ${configPath}`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(found, 'utf8'));
+  } catch (err) {
+    throw new Error(`Fichier de configuration invalide (${found}) : ${err.message}`);
+  }
+};
+
+/**
+ * Réglages issus des variables d'environnement (compatibles avec les versions précédentes).
+ * @param {Object} env
+ * @returns {Object}
+ */
+const settingsFromEnv = (env) => ({
+  style: env.SUBTITLE_STYLE,
+  transcription: {
+    provider: env.TRANSCRIPTION_PROVIDER,
+    url: env.WHISPER_API_URL,
+    engine: env.WHISPER_ENGINE,
+    binary: env.WHISPER_BINARY,
+    model: env.WHISPER_MODEL,
+    language: env.WHISPER_LANGUAGE,
+    path: env.SUBTITLES_FILE,
+  },
+  tts: {
+    voice: env.TTS_VOICE,
+    language: env.TTS_LANGUAGE,
+    binary: env.TTS_BINARY,
+  },
+});
+
+/**
+ * Texte d'aide général, ou d'une sous-commande.
+ * @param {string} [commandName]
+ * @returns {string}
+ */
+const formatHelp = (commandName) => {
+  const command = COMMANDS[commandName];
+  if (!command) {
+    return [
+      'Usage: node index.js <commande> [options]',
+      '',
+      'Commandes :',
+      ...Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(10)} ${description}`),
+      '',
+      `Sans commande, les arguments sont ceux de "render" : node index.js <source> <voice_file> "<script>"`,
+      `Les réglages par défaut de l'équipe peuvent être placés dans ${CONFIG_FILE}.`,
+      'Aide d\'une commande : node index.js <commande> --help',
+    ].join('\n');
+  }
+
+  const lines = [`Usage: node index.js ${command.usage} [options]`, '', command.description, '', 'Options :'];
+  [...command.options, ...OPTION_GROUPS.general].forEach((option) => {
+    const flag = `${option.short ? `-${option.short}, ` : '    '}--${option.name}${option.value ? ` ${option.value}` : ''}`;
+    lines.push(`  ${flag.padEnd(48)} ${option.description}`);
+  });
+  if (['render', 'preview'].includes(commandName)) {
+    lines.push('', ...Object.entries(RENDER_STAGES).map(([mode, stages]) => `Étapes (${mode}) : ${stages.join(', ')}`));
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Analyse les arguments d'une sous-commande et fusionne config, environnement et options.
+ * @param {string} commandName
+ * @param {Array<string>} argv
+ * @param {string} baseDir
+ * @param {Object} [env=process.env]
+ * @returns {{settings: Object, args: Array<string>, help: boolean}}
+ */
+const parseCommandLine = (commandName, argv, baseDir, env = process.env) => {
+  const command = COMMANDS[commandName];
+  const definitions = [...command.options, ...OPTION_GROUPS.general];
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    strict: true,
+    options: Object.fromEntries(definitions.map((option) => [
+      option.name,
+      { type: option.type, ...(option.short && { short: option.short }) },
+    ])),
+  });
+
+  const flags = {};
+  definitions.forEach((option) => {
+    if (!option.setting || values[option.name] === undefined || values[option.name] === false) return;
+    setSetting(flags, option.setting, option.parse ? option.parse(values[option.name]) : values[option.name]);
+  });
+
+  const config = loadConfig(baseDir, values.config);
+  const settings = mergeSettings(mergeSettings(config, settingsFromEnv(env)), flags);
+  return { settings, args: positionals, help: Boolean(values.help) };
+};
+
+/**
+ * Options passées à createFinalVod / runBatch (réglages propres à la CLI retirés).
+ * @param {Object} settings
+ * @returns {Object}
+ */
+const toRenderOptions = (settings) =>
+  Object.fromEntries(Object.entries(settings).filter(([key]) => !CLI_SETTINGS.includes(key)));
+
+/**
+ * Réglages de synthèse vocale, s'ils sont actifs (un moteur doit être choisi).
+ * @param {Object} settings
+ * @returns {Object|null}
+ */
+const getTtsSettings = (settings) => (settings.tts && settings.tts.engine ? settings.tts : null);
+
+/**
+ * Résout la voix et le script d'un rendu : options, puis arguments positionnels
+ * (`<voice_file> "<script>"`, ou seulement `"<script>"` avec la synthèse vocale ou --voice).
+ * Un script passé en texte est écrit dans un fichier temporaire, supprimé par `dispose()`.
+ *
+ * @param {Object} settings
+ * @param {Array<string>} args - Arguments positionnels restants
+ * @param {string} baseDir
+ * @returns {Promise<{voicePath: string, scriptPath: string, transcription: Object, dispose: Function}>}
+ */
+const resolveVoiceAndScript = async (settings, args, baseDir) => {
+  const rest = [...args];
+  const tts = getTtsSettings(settings);
+  const voiceFile = settings.voice || (tts ? null : rest.shift());
+  const scriptText = settings.scriptFile ? null : settings.script || rest.join(' ');
+
+  if (!tts && !voiceFile) {
+    throw new Error('Fichier voix manquant (argument, --voice ou --tts <moteur>)');
+  }
+  if (!settings.scriptFile && !scriptText) {
+    throw new Error('Script manquant (argument, --script ou --script-file)');
+  }
+  if (settings.scriptFile && !fs.existsSync(settings.scriptFile)) {
+    throw new Error(`Fichier script introuvable : ${settings.scriptFile}`);
+  }
+
+  let tempDir = null;
+  let scriptPath = settings.scriptFile && path.resolve(settings.scriptFile);
+  if (!scriptPath) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodcreator-'));
+    scriptPath = path.join(tempDir, 'script.txt');
+    fs.writeFileSync(scriptPath, scriptText, 'utf8');
+  }
+  const dispose = () => {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  };
+
+  try {
+    // Voix de synthèse : ses sous-titres (texte exact, mots horodatés) remplacent la transcription
+    if (tts && !voiceFile) {
+      // Voix générées rangées dans le cache (réutilisées tant que le script et les réglages sont inchangés)
+      const ttsDir = path.join(settings.cacheDir || path.join(baseDir, '.vodcache'), 'tts');
+      const voice = await generateVoice(fs.readFileSync(scriptPath, 'utf8'), ttsDir, tts);
+      return { voicePath: voice.voicePath, scriptPath, transcription: { provider: 'file', path: voice.srtPath }, dispose };
+    }
+    return {
+      voicePath: path.resolve(baseDir, 'audio', 'voice', voiceFile),
+      scriptPath,
+      transcription: settings.transcription || {},
+      dispose,
+    };
+  } catch (err) {
+    dispose();
+    throw err;
+  }
+};
+
+/**
+ * render / preview : crée une VOD (ou un aperçu rapide).
+ */
+const runRender = async (settings, args, baseDir, { preview = false } = {}) => {
+  const [source, ...rest] = args;
+  if (!source) {
+    throw new Error(`Source vidéo manquante\n\n${formatHelp(preview ? 'preview' : 'render')}`);
+  }
+  const voice = await resolveVoiceAndScript(settings, rest, baseDir);
+  let release = () => {};
+  try {
+    const options = { ...toRenderOptions(settings), transcription: voice.transcription };
+    if (preview) options.preview = true;
+    const job = createVodJob(source, voice.voicePath, baseDir, voice.scriptPath, options);
+    release = cancelOnInterrupt(job.cancel);
+    attachProgressBars(job);
+    const finalPath = await job.result;
+    console.log(`✅ ${preview ? 'Aperçu créé' : 'VOD finale créée avec succès'} :`, finalPath);
+    return finalPath;
+  } finally {
+    release();
+    voice.dispose();
+  }
+};
+
+/**
+ * rerender : reproduit un rendu depuis son manifeste `<vidéo>.render.json`.
+ * Les options du rendu viennent du manifeste seul : la configuration du projet ne s'applique pas,
+ * seuls la sortie et le cache se règlent en ligne de commande.
+ */
+const runRerender = async (settings, args, baseDir) => {
+  if (!args[0]) {
+    throw new Error(`Manifeste manquant\n\n${formatHelp('rerender')}`);
+  }
+  const manifestPath = path.resolve(args[0]);
+  const manifest = readManifest(manifestPath);
+  const { missing, changed } = await checkManifestInputs(manifest);
+  if (missing.length) {
+    throw new Error(`Entrées du rendu introuvables : ${missing.join(', ')}`);
+  }
+  changed.forEach((file) => console.warn(`⚠️ Fichier modifié depuis le rendu d'origine : ${file}`));
+
+  const render = manifestToRender(manifest);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodcreator-'));
+  const scriptPath = path.join(tempDir, 'script.txt');
+  fs.writeFileSync(scriptPath, render.scriptText, 'utf8');
+  let release = () => {};
+  try {
+    const job = createVodJob(render.source, render.voicePath, baseDir, scriptPath, {
+      ...render.options,
+      outputPath: settings.outputPath || `${manifestPath.replace(/(\.render)?\.json$/i, '')}_rerender.mp4`,
+      resume: settings.resume,
+      keepIntermediates: settings.keepIntermediates,
+      cacheDir: settings.cacheDir,
+      cleanup: settings.cleanup,
+    });
+    release = cancelOnInterrupt(job.cancel);
+    attachProgressBars(job);
+    const finalPath = await job.result;
+    console.log('✅ Rendu reproduit :', finalPath);
+    return finalPath;
+  } finally {
+    release();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * batch : rendu par lots depuis un manifeste.
+ */
+const runBatchCommand = async (settings, args, baseDir) => {
+  if (!args[0]) {
+    throw new Error(`Manifeste manquant\n\n${formatHelp('batch')}`);
+  }
+  // Ctrl+C annule les rendus en cours (nettoyés comme un échec) ; le rapport du lot est tout de même écrit
+  const controller = new AbortController();
+  const release = cancelOnInterrupt(() => controller.abort());
+  try {
+    const report = await runBatch(args[0], baseDir, {
+      concurrency: settings.concurrency,
+      batchDir: settings.batchDir,
+      render: { ...toRenderOptions(settings), tts: getTtsSettings(settings) || undefined, signal: controller.signal },
+    });
+    if (report.failed) process.exitCode = 1;
+    return report;
+  } finally {
+    release();
+  }
+};
+
+/**
+ * download : récupère une vidéo sans audio.
+ */
+const runDownload = async (settings, args, baseDir) => {
+  if (!args[0]) {
+    throw new Error(`Source vidéo manquante\n\n${formatHelp('download')}`);
+  }
+  const outputDir = settings.outputPath || path.join(baseDir, 'vod');
+  ensureDirectoriesExist([outputDir]);
+  const videoPath = await withProgressBars(() => downloadVideoOnly(args[0], outputDir, settings.download));
+  console.log('✅ Vidéo téléchargée :', videoPath);
+  return videoPath;
+};
+
+/**
+ * subtitles : transcription (ou synthèse vocale), correction avec le script et sous-titres ASS, sans rendu.
+ */
+const runSubtitles = (settings, args, baseDir) => withProgressBars(async () => {
+  const voice = await resolveVoiceAndScript(settings, args, baseDir);
+  try {
+    const outputDir = settings.outputPath
+      || path.join(baseDir, 'output', `subtitles_${path.parse(voice.voicePath).name}`);
+    ensureDirectoriesExist([outputDir]);
+
+    const transcript = await generateSubtitles(voice.voicePath, outputDir, voice.transcription);
+    const corrected = await correctSubtitles(transcript.srtPath, voice.scriptPath, outputDir, {
+      ...settings.alignment,
+      duration: await getFileDuration(voice.voicePath),
+    });
+
+    // Résolution de référence du style adaptée au profil (comme au rendu)
+    const style = adaptStyleToProfile(loadStylePreset(settings.style), loadOutputProfile(settings.profile));
+    const assPath = await convertSrtToAss(corrected.srtPath, outputDir, { ...settings.subtitles, style });
+    const { vtt: vttPath } = exportSubtitles({ srtPath: corrected.srtPath }, corrected.srtPath, { formats: ['vtt'] });
+
+    console.log(`✅ Sous-titres : ${corrected.srtPath}, ${vttPath}, ${assPath}`);
+    return { srtPath: corrected.srtPath, wordsPath: corrected.wordsPath, vttPath, assPath };
+  } finally {
+    voice.dispose();
+  }
+});
+
+/**
+ * serve : serveur HTTP de rendu, jusqu'à Ctrl+C (les rendus en cours sont repris au redémarrage).
+ */
+const runServe = async (settings, baseDir) => {
+  const { port = Number(process.env.PORT) || DEFAULT_PORT, host = DEFAULT_HOST, queueDir } = settings.server || {};
+  const renderServer = createRenderServer({
+    baseDir,
+    queueDir: queueDir && path.resolve(queueDir),
+    concurrency: settings.concurrency || 1,
+    render: toRenderOptions(settings),
+  });
+  const url = await renderServer.listen(port, host);
+  console.log(`🌐 Serveur de rendu à l'écoute : ${url} (Ctrl+C pour arrêter)`);
+
+  await new Promise((resolve) => {
+    const shutdown = () => {
+      process.removeListener('SIGINT', shutdown);
+      process.removeListener('SIGTERM', shutdown);
+      console.log('⏹️  Arrêt du serveur...');
+      renderServer.close().then(resolve);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  });
+  return url;
+};
+
+/**
+ * doctor : vérifications préalables sans rendu ; code de sortie 1 en cas de problème bloquant.
+ */
+const runDoctor = async (settings, args, baseDir) => {
+  const [source, voiceFile = settings.voice] = args;
+  const report = await runPreflight({
+    sources: source ? [source] : [],
+    voicePath: voiceFile ? path.resolve(baseDir, 'audio', 'voice', voiceFile) : null,
+    musicDir: path.join(baseDir, 'audio', 'music'),
+    music: settings.music || {},
+    profile: loadOutputProfile(settings.profile),
+    extraDuration: resolveMixOptions(settings.audio || {}).tail,
+    mediaDir: settings.broll && settings.broll.enabled !== false
+      ? path.resolve(settings.broll.dir || path.join(baseDir, 'media'))
+      : null,
+    download: settings.download || {},
+    filters: settings.branding ? ['ass', 'drawtext'] : ['ass'],
+    workDir: baseDir,
+  });
+  formatPreflightReport(report).forEach((line) => console.log(line));
+  if (report.errors.length) {
+    console.log(`❌ ${report.errors.length} problème(s) bloquant(s).`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ Prêt pour le rendu${report.warnings.length ? ` (${report.warnings.length} avertissement(s))` : ''}.`);
+  }
+  return report;
+};
+
+/**
+ * clean : rétention des rendus finaux d'un dossier de sortie (ceux qui ont un manifeste) et, sur demande,
+ * suppression du cache. Les autres fichiers du dossier ne sont jamais supprimés.
+ */
+const runClean = async (settings, args, baseDir) => {
+  const outputDir = path.resolve(args[0] || path.join(baseDir, 'output'));
+  const { keepFinals, dryRun } = resolveCleanupOptions(settings.cleanup);
+  if (!keepFinals && !settings.cleanCache) {
+    throw new Error(`Rien à nettoyer : précisez --keep-finals <n> et/ou --cache\n\n${formatHelp('clean')}`);
+  }
+
+  const removed = [];
+  if (keepFinals) {
+    const finals = listFinishedRenders(outputDir).filter((render) => !render.preview);
+    console.log(`📂 ${finals.length} rendu(s) final(s) dans ${outputDir}, ${Math.min(keepFinals, finals.length)} conservé(s).`);
+    removed.push(...applyRetention(outputDir, { keepFinals, dryRun }));
+  }
+  if (settings.cleanCache) {
+    removed.push(...removePaths([settings.cacheDir || path.join(baseDir, '.vodcache')], { dryRun }));
+  }
+  console.log(dryRun
+    ? `🔎 Simulation : ${removed.length} élément(s) seraient supprimés.`
+    : `✅ ${removed.length} élément(s) supprimé(s).`);
+  return removed;
+};
+
+/**
+ * music : indexe la bibliothèque musicale et liste les morceaux.
+ */
+const runMusic = async (baseDir) => {
+  const library = await loadMusicLibrary(path.join(baseDir, 'audio', 'music'));
+  Object.values(library.tracks).forEach((track) => {
+    console.log(`${track.file} | ${track.duration.toFixed(1)}s | ${track.loudness ?? '?'} LUFS | ${track.bpm ?? '?'} BPM | ${track.tags.join(', ')}`);
+  });
+  return library;
+};
+
+/**
+ * media : indexe la bibliothèque d'extraits et liste les extraits.
+ */
+const runMedia = async (args, baseDir) => {
+  const library = await loadMediaLibrary(path.resolve(args[0] || path.join(baseDir, 'media')));
+  Object.values(library.clips).forEach((clip) => {
+    console.log(`${clip.file} | ${clip.duration.toFixed(1)}s | ${clip.width}x${clip.height} | ${clip.fps ?? '?'} i/s | `
+      + `${[...clip.tags, ...(clip.keywords || [])].join(', ')}`);
+  });
+  return library;
+};
+
+/**
+ * Point d'entrée de la CLI.
+ * @param {Array<string>} argv - Arguments (sans "node index.js")
+ * @param {string} baseDir - Dossier de base (audio/voice, audio/music, output...)
+ * @returns {Promise<*>}
+ */
+const runCli = async (argv, baseDir) => {
+  if (!argv.length || (argv.length === 1 && ['--help', '-h', 'help'].includes(argv[0]))) {
+    console.log(formatHelp());
+    return null;
+  }
+
+  // Sans sous-commande : "render" (compatibilité avec `node index.js <source> <voice_file> "<script>"`)
+  const commandName = COMMANDS[argv[0]] ? argv[0] : 'render';
+  const commandArgs = COMMANDS[argv[0]] ? argv.slice(1) : argv;
+
+  let parsed;
+  try {
+    parsed = parseCommandLine(commandName, commandArgs, baseDir);
+  } catch (err) {
+    if (!err.code || !err.code.startsWith('ERR_PARSE_ARGS')) throw err;
+    throw new Error(`${err.message}\n\n${formatHelp(commandName)}`);
+  }
+  if (parsed.help) {
+    console.log(formatHelp(commandName));
+    return null;
+  }
+  return COMMANDS[commandName].run(parsed.settings, parsed.args, baseDir);
+};
+
+module.exports = {
+  CONFIG_FILE,
+  COMMANDS,
+  runCli,
+  parseCommandLine,
+  loadConfig,
+  mergeSettings,
+  formatHelp,
+};
@@ -3,128 +3,722 @@
  */
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const EventEmitter = require('events');
 const downloadVideoOnly = require('./downloadVideo');
+const { resolveSource } = require('./sourceResolver');
+const { loadTimeline, planTimeline, renderTimeline } = require('./timeline');
+const { normalizeReframe, resolveReframe } = require('./reframe');
+const { buildRenderGraph, renderSinglePass } = require('./renderPlanner');
+const { loadOutputProfile, buildProxyProfile, buildEncodingOptions, checkDuration, validateOutputFile } = require('./outputProfiles');
 const {
   ensureDirectoriesExist,
   getFileDuration,
-  cutVideo,
   mergeAudioWithVideo,
-  getRandomMusicFile,
-  mixVoiceAndMusic,
   checkAndResizeVideo,
-  // deleteFiles,  // On n'utilisera plus cette fonction pour le nettoyage
-  cleanDirectory,
   generateSubtitles,
   correctSubtitles,
   convertSrtToAss,
-  addStyledSubtitlesToVideo 
+  addStyledSubtitlesToVideo,
+  muxSubtitleTrack,
+  setContainerTags,
 } = require('./utils');
+const { SUBTITLE_EXPORT_FORMATS, exportSubtitles } = require('./subtitleFormats');
+const { loadStylePreset } = require('./stylePresets');
+const { createPipeline, hashValue } = require('./pipeline');
+const { loadMusicLibrary, selectMusic } = require('./musicLibrary');
+const { loadMediaLibrary, splitSentences, matchBroll } = require('./mediaLibrary');
+const { resolveMixOptions, mixAudio } = require('./audioMix');
+const {
+  loadBranding, brandingFiles, hasOverlays, prepareBranding, probeBumpers, applyBranding, addBumpers,
+} = require('./branding');
+const { createReview } = require('./review');
+const { probeSummary, serializeOptions, buildContainerTags, getManifestPath, writeManifest } = require('./manifest');
+const { PreflightError, getToolVersions, runPreflight } = require('./preflight');
+const { resolveCleanupOptions, createRunWorkspace, applyRetention } = require('./cleanup');
+const { RenderCancelledError, consoleLogger, createReporter, runWithReporter, getReporter } = require('./reporter');
+
+
+/**
+ * Étapes du pipeline pour chaque mode de rendu, dans l'ordre d'exécution (utilisées par --from-stage) :
+ * - "single" : un seul encodage vidéo (montage, recadrage, audio mixé et sous-titres dans un même graphe)
+ * - "steps"  : un fichier intermédiaire par étape, pratique pour déboguer
+ */
+const RENDER_STAGES = {
+  single: ['download', 'reframe', 'mix', 'transcribe', 'correct', 'convert', 'render', 'clean'],
+  steps: ['download', 'resize', 'mix', 'transcribe', 'correct', 'convert', 'timeline', 'merge', 'brand', 'burn', 'bumpers', 'clean'],
+};
+const DEFAULT_RENDER_MODE = 'single';
+
+/**
+ * Adapte la résolution de référence ASS d'un style au format du profil, pour que le texte
+ * garde ses proportions (ex: style pensé en 9:16 sur une sortie 16:9).
+ * @param {Object} style - Style chargé (voir stylePresets.js)
+ * @param {Object} profile - Profil de sortie
+ * @returns {Object}
+ */
+const adaptStyleToProfile = (style, profile) => {
+  if (!style.playResX || !style.playResY) return style;
+  const playResX = Math.round((style.playResY * profile.width) / profile.height);
+  return playResX === style.playResX ? style : { ...style, playResX };
+};
+
+/**
+ * Copie le résultat d'une étape vers son fichier final. Les étapes écrivent dans leur dossier, jamais dans le
+ * fichier final : une reprise vers un autre fichier de sortie (ou après qu'un autre rendu a réécrit celui-ci)
+ * retrouve un résultat en cache intact. Le clonage (copy-on-write) est utilisé si le système de fichiers le permet.
+ * @param {string} stagePath
+ * @param {string} finalPath
+ * @returns {string} - finalPath
+ */
+const deliverFile = (stagePath, finalPath) => {
+  fs.copyFileSync(stagePath, finalPath, fs.constants.COPYFILE_FICLONE);
+  return finalPath;
+};
+
+/**
+ * Rendu étape par étape (mode "steps") : montage, fusion avec l'audio mixé, habillage, incrustation des
+ * sous-titres puis intro / outro, chacun dans son propre fichier intermédiaire.
+ * Avec `cleanVideoPath`, la variante sans sous-titres incrustés est tirée de la vidéo habillée.
+ * @param {Object} params
+ * @returns {Promise<void>}
+ */
+const renderInSteps = async ({
+  pipeline, plan, sourcePaths, mixedAudioPath, profile, size, style, styledSubtitlePath, videoWithSubtitlesPath, branding, bumpers,
+  cleanVideoPath,
+}) => {
+  const reporter = getReporter();
+  // Monter les extraits à la durée de la voix
+  reporter.info('Montage des extraits à la durée de la voix...');
+  const sourceFiles = [...new Set(plan.segments.map((segment) => sourcePaths[segment.source]))];
+  const timelineVideoPath = await pipeline.run(
+    'timeline',
+    { files: sourceFiles, params: { plan, size, fps: profile.fps } },
+    async (stageDir) => {
+      const outputPath = path.join(stageDir, 'timeline.mp4');
+      await renderTimeline(plan, sourcePaths, outputPath, { ...size, fps: profile.fps });
+      return outputPath;
+    }
+  );
+
+  // Fusionner l'audio mixé avec la vidéo montée
+  reporter.info('Fusion de l\'audio mixé avec la vidéo...');
+  const finalVideoPath = await pipeline.run(
+    'merge',
+    { files: [timelineVideoPath, mixedAudioPath] },
+    async (stageDir) => {
+      const outputPath = path.join(stageDir, 'merged.mp4');
+      await mergeAudioWithVideo(timelineVideoPath, mixedAudioPath, outputPath);
+      return outputPath;
+    }
+  );
+
+  // Habillage : logos et textes animés, sous les sous-titres
+  let brandedVideoPath = finalVideoPath;
+  if (hasOverlays(branding)) {
+    reporter.info('Ajout de l\'habillage (logos, textes)...');
+    brandedVideoPath = await pipeline.run(
+      'brand',
+      { files: [finalVideoPath, style.fontPath, ...brandingFiles(branding)], params: { branding, profile } },
+      (stageDir) => applyBranding(finalVideoPath, path.join(stageDir, 'branded.mp4'), prepareBranding(branding, stageDir), {
+        profile, duration: plan.duration, fontPath: style.fontPath,
+      })
+    );
+  }
 
+  // Ajout des sous-titres stylisés
+  reporter.info('Ajout des sous-titres à la vidéo...');
+  const withIntroOrOutro = Boolean(bumpers.intro || bumpers.outro);
+  let subtitledVideoPath = await pipeline.run(
+    'burn',
+    { files: [brandedVideoPath, styledSubtitlePath], params: { profile } },
+    async (stageDir) => {
+      const outputPath = path.join(stageDir, 'subtitled.mp4');
+      await addStyledSubtitlesToVideo(brandedVideoPath, styledSubtitlePath, outputPath, {
+        fontsDir: style.fontsDir || undefined,
+        outputOptions: buildEncodingOptions(profile),
+      });
+      return outputPath;
+    }
+  );
+
+  if (withIntroOrOutro) {
+    reporter.info('Ajout de l\'intro et de l\'outro...');
+    subtitledVideoPath = await pipeline.run(
+      'bumpers',
+      { files: [subtitledVideoPath, bumpers.intro && bumpers.intro.path, bumpers.outro && bumpers.outro.path], params: { profile } },
+      (stageDir) => addBumpers(subtitledVideoPath, path.join(stageDir, 'final.mp4'), bumpers, { profile, duration: plan.duration })
+    );
+  }
+  deliverFile(subtitledVideoPath, videoWithSubtitlesPath);
+
+  if (cleanVideoPath) {
+    reporter.info('Variante sans sous-titres incrustés...');
+    const cleanStagePath = withIntroOrOutro
+      ? await pipeline.run('clean', { files: [brandedVideoPath], params: { profile } }, (stageDir) =>
+        addBumpers(brandedVideoPath, path.join(stageDir, 'clean.mp4'), bumpers, { profile, duration: plan.duration }))
+      : brandedVideoPath;
+    deliverFile(cleanStagePath, cleanVideoPath);
+  }
+};
 
 /**
  * Crée une VOD finale au ratio 9:16,
- * coupée à la durée de la voix, avec musique de fond optionnelle.
+ * montée à la durée de la voix, avec musique de fond optionnelle.
  *
- * @param {string} videoUrl   - L'URL YouTube de la vidéo
+ * Chaque étape est mise en cache dans `<baseDir>/.vodcache` : avec `resume`, une étape
+ * dont les entrées (contenu des fichiers + paramètres) n'ont pas changé n'est pas relancée.
+ *
+ * @param {string} videoUrl   - La source vidéo : URL (YouTube ou tout site pris en charge par yt-dlp), URL file:// ou chemin local
  * @param {string} voiceFile  - Nom du fichier voix (ex: "ma_voix.mp3") dans audio/voice
  * @param {string} baseDir    - Dossier de base où se trouvent "vod", "audio/voice", "audio/music", "output" (et éventuellement "text")
  * @param {string} scriptPath - Chemin vers le script original pour correction des sous-titres
+ * @param {Object} [options]
+ * @param {Object} [options.transcription] - Fournisseur de transcription (voir transcription.js), ex: { provider: 'cli' }
+ * @param {Object} [options.alignment] - Seuils de qualité de l'alignement script/transcription, ex: { minScore: 0.6 }
+ * @param {string} [options.style='tiktok'] - Préréglage de style des sous-titres (nom dans styles/ ou chemin JSON/YAML)
+ * @param {Object} [options.subtitles] - Animation des sous-titres ASS (voir assSubtitles.js), ex: { animation: 'karaoke', chunkSize: 3 }
+ * @param {'single'|'steps'} [options.renderMode='single'] - Rendu en une passe, ou étape par étape (débogage)
+ * @param {boolean} [options.resume=false] - Réutiliser les étapes en cache dont les entrées n'ont pas changé
+ * @param {string} [options.fromStage] - Relancer à partir de cette étape (voir RENDER_STAGES), les précédentes venant du cache
+ * @param {boolean} [options.keepIntermediates=false] - Conserver les fichiers intermédiaires et le cache après succès
+ * @param {string} [options.cacheDir] - Dossier du cache (défaut : <workDir>/.vodcache)
+ * @param {string} [options.workDir] - Dossier de travail isolé pour "vod", "output" et le cache (défaut : baseDir)
+ * @param {string} [options.outputPath] - Fichier final (défaut : <workDir>/output/final_with_subs_<vidéo>.mp4)
+ * @param {Object} [options.download] - Options de récupération de la vidéo : { format, cookiesPath, linkMode }
+ * @param {string|Object} [options.timeline] - Timeline de montage (chemin JSON ou objet, voir timeline.js) ;
+ *   par défaut la vidéo principale depuis 0, bouclée si elle est plus courte que la voix
+ * @param {boolean|Object} [options.broll] - Montage automatique depuis la bibliothèque d'extraits (voir mediaLibrary.js) :
+ *   chaque phrase du script montre l'extrait qui partage le plus de mots-clés avec elle, la vidéo principale sinon.
+ *   { dir: '<baseDir>/media', tags: [], minScore: 1, minSlot: 1.5, transition: null } ; incompatible avec `timeline`
+ * @param {string|Object} [options.reframe='center'] - Recadrage 9:16 : "center", "blur", "auto", "manual:<x>",
+ *   chemin JSON ou objet { mode: 'manual', keyframes: [{ time, x, y }] } (voir reframe.js)
+ * @param {string|Object} [options.profile='vertical-720'] - Profil de sortie (nom, chemin JSON ou objet, voir outputProfiles.js)
+ * @param {Object} [options.audio] - Mixage : { voiceVolume, musicVolume, ducking, fadeIn, fadeOut, tail, loudness }
+ *   (voir audioMix.js) ; la cible de volume par défaut vient du profil de sortie
+ * @param {string|Object} [options.music] - Musique imposée (nom dans audio/music ou chemin), ou critères de choix
+ *   { file, tags: ['epic'], seed, fit: 'loop'|'skip' } (voir musicLibrary.js)
+ * @param {string|Object} [options.branding] - Habillage : logos, textes animés, intro / outro (chemin JSON ou objet,
+ *   voir branding.js)
+ * @param {Object} [options.captions] - Sous-titres livrés avec la vidéo :
+ *   { formats: ['srt', 'vtt', 'ass'] (fichiers exportés à côté de la vidéo), softTrack: false (piste mov_text dans le MP4),
+ *   language: 'fra' (langue de la piste), cleanVariant: false (variante `<vidéo>.clean.mp4` sans sous-titres incrustés) }
+ * @param {string} [options.title] - Titre écrit dans les métadonnées du MP4 (défaut : nom de la vidéo source)
+ * @param {boolean} [options.preview=false] - Aperçu de revue : rendu rapide en 360p (défaut : <workDir>/output/preview_<vidéo>.mp4),
+ *   planche contact `<aperçu>.contact.png` et page `<aperçu>.review.html` (voir review.js). Le cache est conservé :
+ *   le rendu final relancé avec `resume` ne refait que l'encodage
+ * @param {boolean} [options.preflight=true] - Vérifications préalables (outils, fichiers, durées, espace disque, voir preflight.js)
+ * @param {number} [options.minFreeSpaceMB=1024] - Espace disque libre minimal dans le dossier de travail
+ * @param {Object} [options.cleanup] - Politique de nettoyage (voir cleanup.js) : { keepFinals: null (nombre de rendus
+ *   finaux conservés dans le dossier de sortie), keepIntermediatesOnError: true (cache d'un rendu en échec conservé pour
+ *   le reprendre), dryRun: false (lister les fichiers à supprimer sans les supprimer) }
+ * @param {Object} [options.logger] - Destinataire des messages : { info, warn, error } (défaut : la console)
+ * @param {AbortSignal} [options.signal] - Annule le rendu et arrête ses processus (ffmpeg, yt-dlp...)
  * @returns {Promise<string>} - Chemin de la vidéo finale
  */
-async function createFinalVod(videoUrl, voiceFile, baseDir, scriptPath) {
+async function runVod(videoUrl, voiceFile, baseDir, scriptPath, options = {}) {
+  const reporter = getReporter();
+  const cleanup = resolveCleanupOptions(options.cleanup);
+  // Fichiers finaux écrits par ce rendu : supprimés en cas d'échec ou d'annulation
+  const workspace = createRunWorkspace();
+  let pipeline = null;
   try {
-    // Définition des chemins de base
-    const vodDir = path.join(baseDir, 'vod');
+    // Définition des chemins de base (les dossiers de travail peuvent être isolés par rendu)
+    const workDir = options.workDir || baseDir;
+    const vodDir = path.join(workDir, 'vod');
     const voiceDir = path.join(baseDir, 'audio', 'voice');
     const musicDir = path.join(baseDir, 'audio', 'music');
-    const outputDir = path.join(baseDir, 'output');
-    const textDir = path.join(baseDir, 'text'); // Supposons que ce dossier existe pour stocker les fichiers textes (par exemple, scripts ou sous-titres)
+    const outputDir = path.join(workDir, 'output');
+    const cacheDir = options.cacheDir || path.join(workDir, '.vodcache');
 
     // S'assurer que les dossiers nécessaires existent
-    ensureDirectoriesExist([vodDir, voiceDir, musicDir, outputDir]);
+    ensureDirectoriesExist([vodDir, voiceDir, musicDir, outputDir, cacheDir]);
 
     // Vérifier l'existence du fichier voix
-    const voicePath = path.join(voiceDir, voiceFile);
+    const voicePath = path.resolve(voiceDir, voiceFile);
     if (!fs.existsSync(voicePath)) {
       throw new Error(`Fichier voix introuvable : ${voicePath}`);
     }
 
-    // Télécharger la vidéo (sans audio)
-    console.log('Téléchargement de la vidéo...');
-    const videoPath = await downloadVideoOnly(videoUrl, vodDir);
+    const renderMode = options.renderMode || DEFAULT_RENDER_MODE;
+    if (!RENDER_STAGES[renderMode]) {
+      throw new Error(`Mode de rendu inconnu : ${renderMode} (modes : ${Object.keys(RENDER_STAGES).join(', ')})`);
+    }
+
+    pipeline = createPipeline({
+      stages: RENDER_STAGES[renderMode],
+      cacheDir,
+      runKey: hashValue({ videoUrl, voicePath }).slice(0, 16),
+      resume: options.resume,
+      fromStage: options.fromStage,
+    });
+
+    // Montage automatique (B-roll) : les extraits sont choisis après l'alignement du script, phrase par phrase
+    const broll = options.broll && options.broll.enabled !== false
+      ? { dir: path.join(baseDir, 'media'), ...(options.broll === true ? {} : options.broll) }
+      : null;
+    if (broll && options.timeline) {
+      throw new Error('Les options "broll" et "timeline" sont incompatibles : le montage automatique construit sa propre timeline');
+    }
 
-    // Redimensionner la vidéo au ratio 9:16
-    const resizedVideoPath = path.join(outputDir, `resized_${path.basename(videoPath)}`);
-    console.log('Redimensionnement de la vidéo au ratio 9:16...');
-    const finalRatioVideoPath = await checkAndResizeVideo(videoPath, resizedVideoPath);
+    // Sources du montage : timeline fournie (plusieurs extraits), sinon la vidéo principale depuis le début
+    const timeline = options.timeline ? loadTimeline(options.timeline) : { clips: [{ source: videoUrl, in: 0 }] };
+    timeline.clips = timeline.clips.map((clip) => ({ ...clip, source: clip.source || videoUrl }));
+    const sourceInputs = [...new Set(timeline.clips.map((clip) => clip.source))];
 
-    // Récupérer les durées de la voix et de la vidéo en parallèle
-    console.log('Récupération des durées...');
-    const [voiceDuration, videoDuration] = await Promise.all([
+    // Profil de sortie : dimensions, cadence, encodage final et contraintes de la plateforme.
+    // L'aperçu est rendu en 360p, mais le recadrage et le style suivent le profil final : seul l'encodage
+    // diffère du rendu final, qui reprend donc les mêmes étapes en cache.
+    const targetProfile = loadOutputProfile(options.profile);
+    const profile = options.preview ? buildProxyProfile(targetProfile) : targetProfile;
+    const size = { width: profile.width, height: profile.height };
+    const targetSize = { width: targetProfile.width, height: targetProfile.height };
+
+    // Habillage (validé avant tout téléchargement) ; l'intro et l'outro allongent la vidéo
+    const branding = loadBranding(options.branding, baseDir);
+    const bumpers = await probeBumpers(branding);
+
+    // Options de mixage : volume cible et fréquence d'échantillonnage du profil, sauf réglage explicite
+    const audioOptions = options.audio || {};
+    const mixOptions = resolveMixOptions({
+      ...audioOptions,
+      sampleRate: profile.audioSampleRate,
+      loudness: audioOptions.loudness === false
+        ? false
+        : { target: profile.loudness, truePeak: profile.truePeak, ...audioOptions.loudness },
+    });
+    const musicCriteria = typeof options.music === 'string' ? { file: options.music } : options.music || {};
+
+    // Vérifications préalables (outils, fichiers, durées, espace disque) : tous les problèmes sont
+    // rapportés en une fois, avant tout téléchargement
+    if (options.preflight !== false) {
+      reporter.info('🩺 Vérifications préalables...');
+      const preflight = await runPreflight({
+        sources: sourceInputs,
+        voicePath,
+        musicDir,
+        music: musicCriteria,
+        profile,
+        extraDuration: mixOptions.tail + bumpers.duration,
+        download: options.download || {},
+        filters: ['ass', ...(branding && branding.callouts.length ? ['drawtext'] : [])],
+        mediaDir: broll && path.resolve(broll.dir),
+        workDir,
+        minFreeSpaceMB: options.minFreeSpaceMB,
+      });
+      preflight.warnings.forEach((warning) => reporter.warn(`⚠️ ${warning}`));
+      if (preflight.errors.length) {
+        throw new PreflightError(`Vérifications préalables en échec :\n- ${preflight.errors.join('\n- ')}`, preflight.errors);
+      }
+    }
+
+    // Télécharger chaque source, puis la recadrer (mode "steps") ou résoudre son recadrage (mode "single")
+    const reframe = normalizeReframe(options.reframe);
+    const resolvedSources = {};
+    const downloadedPaths = {};
+    const sourcePaths = {};
+    const reframes = {};
+    const prepareSource = async (input) => {
+      reporter.info(`Téléchargement de la vidéo ${input}...`);
+      const source = resolveSource(input);
+      resolvedSources[input] = source;
+      const videoPath = await pipeline.run(
+        'download',
+        { files: [source.path], params: { source: source.id, download: options.download || {} } },
+        () => downloadVideoOnly(input, vodDir, options.download)
+      );
+      downloadedPaths[input] = videoPath;
+
+      if (renderMode === 'steps') {
+        reporter.info(`Redimensionnement de la vidéo en ${profile.width}x${profile.height}...`);
+        sourcePaths[input] = await pipeline.run('resize', { files: [videoPath], params: { reframe, size } }, (stageDir) =>
+          checkAndResizeVideo(videoPath, path.join(stageDir, `resized_${path.basename(videoPath)}`), { reframe, ...size }));
+      } else {
+        sourcePaths[input] = videoPath;
+        reframes[input] = await pipeline.run('reframe', { files: [videoPath], params: { reframe, size: targetSize } }, () =>
+          resolveReframe(videoPath, reframe, targetSize));
+      }
+    };
+    for (const input of sourceInputs) {
+      await prepareSource(input);
+    }
+    const mainVideoName = path.parse(downloadedPaths[sourceInputs[0]]).name;
+
+    // Récupérer les durées de la voix et des sources en parallèle
+    reporter.info('Récupération des durées...');
+    const [voiceDuration, ...durations] = await Promise.all([
       getFileDuration(voicePath),
-      getFileDuration(finalRatioVideoPath),
+      ...sourceInputs.map((input) => getFileDuration(sourcePaths[input])),
     ]);
+    const sourceDurations = Object.fromEntries(sourceInputs.map((input, i) => [input, durations[i]]));
 
-    // // Lever une erreur si la durée de la voix dépasse celle de la vidéo
-    // if (voiceDuration > videoDuration) {
-    //   throw new Error('La durée de la voix est supérieure à celle de la vidéo.');
-    // }
-    
-    // Mixer la voix avec une musique de fond aléatoire
-    const randomMusicPath = getRandomMusicFile(musicDir);
-    const voiceFileName = path.basename(voiceFile, path.extname(voiceFile));
-    const mixedAudioName = `mixed_${voiceFileName}.m4a`;
-    const mixedAudioPath = path.join(outputDir, mixedAudioName);
-    console.log('Mixage de la voix et de la musique...');
-    await mixVoiceAndMusic(voicePath, randomMusicPath, mixedAudioPath, 1.0, 0.3);
+    checkDuration(voiceDuration + mixOptions.tail + bumpers.duration, profile);
 
-    // Découper la vidéo à la durée de la voix
-    const cutVideoPath = path.join(outputDir, `cut_${path.basename(finalRatioVideoPath)}`);
-    console.log('Découpage de la vidéo à la durée de la voix...');
-    await cutVideo(finalRatioVideoPath, cutVideoPath, 0, voiceDuration);
+    // Musique de fond : fichier imposé, tags et/ou tirage avec graine dans la bibliothèque indexée.
+    // Le choix est mémorisé pour qu'une reprise retrouve les mêmes entrées (et donc le cache).
+    const library = await loadMusicLibrary(musicDir);
+    const music = pipeline.remember(`music_${hashValue(musicCriteria).slice(0, 8)}`, () =>
+      selectMusic(library, musicDir, { ...musicCriteria, minDuration: voiceDuration + mixOptions.tail }));
+    if (!fs.existsSync(music.path)) {
+      throw new Error(`Fichier musique introuvable : ${music.path}`);
+    }
+    reporter.info(`🎵 Musique : ${music.file}${music.seed ? ` (graine ${music.seed})` : ''}${music.loop ? ', bouclée' : ''}`);
 
-    // Fusionner l'audio mixé avec la vidéo coupée
-    const finalVideoPath = path.join(outputDir, `final_${path.basename(finalRatioVideoPath)}`);
-    console.log('Fusion de l\'audio mixé avec la vidéo...');
-    await mergeAudioWithVideo(cutVideoPath, mixedAudioPath, finalVideoPath);
+    // Mixer la voix et la musique (ducking, fondus, traîne), normalisé au volume cible du profil
+    const voiceFileName = path.basename(voiceFile, path.extname(voiceFile));
+    reporter.info('Mixage de la voix et de la musique...');
+    const mix = await pipeline.run(
+      'mix',
+      { files: [voicePath, music.path], params: { mixOptions, loop: music.loop } },
+      (stageDir) => mixAudio(voicePath, music.path, path.join(stageDir, `mixed_${voiceFileName}.wav`), {
+        ...mixOptions,
+        voiceDuration,
+        loopMusic: music.loop,
+        musicDuration: music.duration,
+      })
+    );
 
-    // Génération des sous-titres via Whisper
-    console.log('Génération des sous-titres avec Whisper...');
-    const subtitlePath = await generateSubtitles(mixedAudioPath, outputDir);
+    // Génération des sous-titres via Whisper, sur la voix seule (sans la musique de fond)
+    reporter.info('Génération des sous-titres avec Whisper...');
+    const transcript = await pipeline.run(
+      'transcribe',
+      { files: [voicePath, options.transcription && options.transcription.path], params: { transcription: options.transcription || {} } },
+      (stageDir) => generateSubtitles(voicePath, stageDir, options.transcription)
+    );
 
     // Correction des sous-titres en utilisant le script original
-    console.log('Correction des sous-titres...');
-    const correctedSubtitlePath = await correctSubtitles(subtitlePath, scriptPath, outputDir);
+    reporter.info('Correction des sous-titres...');
+    const corrected = await pipeline.run(
+      'correct',
+      { files: [transcript.srtPath, transcript.wordsPath, scriptPath], params: { alignment: options.alignment || {}, voiceDuration } },
+      (stageDir) => correctSubtitles(transcript.srtPath, scriptPath, stageDir, { ...options.alignment, duration: voiceDuration })
+    );
+
+    // Montage automatique : une phrase du script (timing des sous-titres corrigés) = un extrait de la bibliothèque
+    let brollMatches = null;
+    let editTimeline = timeline;
+    if (broll) {
+      const mediaDir = path.resolve(broll.dir);
+      const mediaLibrary = await loadMediaLibrary(mediaDir);
+      const words = JSON.parse(fs.readFileSync(corrected.wordsPath, 'utf8'));
+      const edit = matchBroll(splitSentences(words), mediaLibrary, mediaDir, {
+        ...broll,
+        main: { source: videoUrl, duration: sourceDurations[videoUrl] },
+        duration: mix.duration,
+      });
+      brollMatches = edit.matches;
+      editTimeline = edit.timeline;
+      const matched = brollMatches.filter((match) => match.clip);
+      reporter.info(`🎞️  B-roll : ${matched.length}/${brollMatches.length} plan(s) illustré(s) par la bibliothèque`);
+
+      for (const file of [...new Set(matched.map((match) => match.clip))]) {
+        const input = path.resolve(mediaDir, file);
+        if (sourceInputs.includes(input)) continue;
+        sourceInputs.push(input);
+        await prepareSource(input);
+        sourceDurations[input] = mediaLibrary.clips[file].duration;
+      }
+    }
+
+    // Plan de montage couvrant exactement la durée du mixage (bouclage / ralenti si les extraits sont trop courts)
+    const plan = planTimeline({ transition: null, fill: 'loop', ...editTimeline, duration: mix.duration }, sourceDurations);
 
     // Conversion des sous-titres en ASS stylisés
-    console.log('Conversion des sous-titres en format ASS stylisé...');
-    const styledSubtitlePath = await convertSrtToAss(correctedSubtitlePath, outputDir);
+    reporter.info('Conversion des sous-titres en format ASS stylisé...');
+    const style = adaptStyleToProfile(loadStylePreset(options.style), targetProfile);
+    const styledSubtitlePath = await pipeline.run(
+      'convert',
+      { files: [corrected.srtPath, corrected.wordsPath, style.fontPath], params: { style, subtitles: options.subtitles || {} } },
+      (stageDir) => convertSrtToAss(corrected.srtPath, stageDir, { ...options.subtitles, style })
+    );
 
-    // Ajout des sous-titres stylisés à la vidéo finale
-    const videoWithSubtitlesPath = path.join(outputDir, `final_with_subs_${path.basename(finalVideoPath)}`);
-    console.log('Ajout des sous-titres à la vidéo...');
-    await addStyledSubtitlesToVideo(finalVideoPath, styledSubtitlePath, videoWithSubtitlesPath);
+    const videoWithSubtitlesPath = options.outputPath
+      ? path.resolve(options.outputPath)
+      : path.join(outputDir, `${options.preview ? 'preview' : 'final_with_subs'}_${mainVideoName}.mp4`);
+    ensureDirectoriesExist([path.dirname(videoWithSubtitlesPath)]);
 
-    // Nettoyage : suppression de tous les fichiers temporaires dans output, vod et text
-    console.log('Nettoyage des fichiers temporaires...');
+    // Sous-titres livrés avec la vidéo : fichiers exportés, piste désactivable, variante sans incrustation
+    // (rien de tout cela pour un aperçu)
+    const captions = options.preview
+      ? { formats: [], softTrack: false, cleanVariant: false }
+      : { formats: SUBTITLE_EXPORT_FORMATS, softTrack: false, language: 'fra', cleanVariant: false, ...options.captions };
+    const cleanVideoPath = captions.cleanVariant ? videoWithSubtitlesPath.replace(/\.[^.]+$/, '.clean.mp4') : null;
+    const timelinePath = videoWithSubtitlesPath.replace(/\.[^.]+$/, '.timeline.json');
+    workspace.track(videoWithSubtitlesPath, cleanVideoPath, timelinePath, getManifestPath(videoWithSubtitlesPath));
 
-    // Dans le dossier output, on conserve uniquement la VOD finale
-    cleanDirectory(outputDir, [videoWithSubtitlesPath]);
+    if (renderMode === 'steps') {
+      await renderInSteps({
+        pipeline, plan, sourcePaths, mixedAudioPath: mix.outputPath, profile, size, style, styledSubtitlePath, videoWithSubtitlesPath, branding, bumpers,
+        cleanVideoPath,
+      });
+    } else {
+      const renderFiles = [...sourceInputs.map((input) => sourcePaths[input]), mix.outputPath, style.fontPath, ...brandingFiles(branding)];
+      const renderGraph = (stageDir, subtitles) => buildRenderGraph({
+        plan,
+        sourcePaths,
+        reframes,
+        profile,
+        audioPath: mix.outputPath,
+        subtitles,
+        branding: prepareBranding(branding, stageDir),
+        bumpers,
+      });
 
-    // Dans le dossier vod, on supprime tous les fichiers
-    cleanDirectory(vodDir);
+      // Montage, recadrage, audio mixé et sous-titres en un seul encodage
+      reporter.info('Rendu de la vidéo finale en une passe...');
+      const renderedPath = await pipeline.run(
+        'render',
+        { files: [...renderFiles, styledSubtitlePath], params: { plan, reframes, profile, branding } },
+        (stageDir) => renderSinglePass(renderGraph(stageDir, {
+          assPath: styledSubtitlePath, fontsDir: style.fontsDir || undefined, fontPath: style.fontPath,
+        }), path.join(stageDir, 'final.mp4'), profile)
+      );
+      deliverFile(renderedPath, videoWithSubtitlesPath);
 
-    // Si le dossier text existe, on le nettoie entièrement
-    if (fs.existsSync(textDir)) {
-      cleanDirectory(textDir);
+      if (cleanVideoPath) {
+        reporter.info('Rendu de la variante sans sous-titres incrustés...');
+        const cleanRenderedPath = await pipeline.run(
+          'clean',
+          { files: renderFiles, params: { plan, reframes, profile, branding } },
+          (stageDir) => renderSinglePass(renderGraph(stageDir, { fontPath: style.fontPath }), path.join(stageDir, 'clean.mp4'), profile)
+        );
+        deliverFile(cleanRenderedPath, cleanVideoPath);
+      }
     }
 
-    console.log('✅ VOD finale créée avec succès :', videoWithSubtitlesPath);
+    // Vérifier que le fichier rendu respecte le profil (résolution, codecs, durée, taille) avant de le livrer :
+    // piste de sous-titres, métadonnées et manifeste ne sont ajoutés qu'à une vidéo conforme
+    const conformity = await validateOutputFile(videoWithSubtitlesPath, profile);
+    reporter.info(`✅ Profil ${profile.name} respecté : ${conformity.width}x${conformity.height}, `
+      + `${conformity.duration.toFixed(1)}s, ${conformity.sizeMB.toFixed(1)} Mo`);
+
+    // Sous-titres corrigés à côté de la vidéo, décalés de la durée de l'intro
+    const captionOffset = bumpers.intro ? bumpers.intro.duration : 0;
+    const subtitleFiles = exportSubtitles({ srtPath: corrected.srtPath, assPath: styledSubtitlePath }, videoWithSubtitlesPath, {
+      formats: captions.formats,
+      offset: captionOffset,
+    });
+    workspace.track(...Object.values(subtitleFiles));
+    if (Object.keys(subtitleFiles).length) {
+      reporter.info(`📝 Sous-titres exportés : ${Object.values(subtitleFiles).map((file) => path.basename(file)).join(', ')}`);
+    }
+
+    // Piste de sous-titres désactivable (mov_text) dans la vidéo finale et sa variante
+    if (captions.softTrack) {
+      let trackDir = null;
+      let trackSrtPath = subtitleFiles.srt;
+      if (!trackSrtPath) {
+        trackDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodcreator-'));
+        trackSrtPath = exportSubtitles({ srtPath: corrected.srtPath }, path.join(trackDir, 'track.mp4'), {
+          formats: ['srt'],
+          offset: captionOffset,
+        }).srt;
+      }
+      try {
+        for (const videoPath of [videoWithSubtitlesPath, cleanVideoPath].filter(Boolean)) {
+          await muxSubtitleTrack(videoPath, trackSrtPath, { language: captions.language });
+        }
+      } finally {
+        if (trackDir) fs.rmSync(trackDir, { recursive: true, force: true });
+      }
+    }
+
+    // Titre, source et crédit de la musique dans les métadonnées du MP4 (et de sa variante)
+    const containerTags = buildContainerTags({ title: options.title || mainVideoName, source: videoUrl, music });
+    for (const videoPath of [videoWithSubtitlesPath, cleanVideoPath].filter(Boolean)) {
+      await setContainerTags(videoPath, containerTags);
+    }
+
+    // Le montage réalisé est décrit à côté de la vidéo finale (réutilisable avec options.timeline)
+    fs.writeFileSync(timelinePath, JSON.stringify({
+      duration: plan.duration,
+      transition: plan.transition,
+      fill: plan.fill,
+      clips: plan.segments.map(({ source, in: clipIn, out, speed }) => ({ source, in: clipIn, out, speed })),
+    }, null, 2), 'utf8');
+
+    // Manifeste du rendu (entrées et leurs empreintes, choix effectués, paramètres, outils, durées des étapes,
+    // fichier produit) : la vidéo reste explicable et reproductible (commande rerender) une fois le cache nettoyé
+    const sources = [];
+    for (const input of sourceInputs) {
+      sources.push({
+        input,
+        id: resolvedSources[input].id,
+        path: resolvedSources[input].path || null,
+        file: path.basename(downloadedPaths[input]),
+        sha256: await pipeline.fingerprint(downloadedPaths[input]),
+      });
+    }
+    writeManifest(videoWithSubtitlesPath, {
+      createdAt: new Date().toISOString(),
+      output: { file: path.basename(videoWithSubtitlesPath), ...await probeSummary(videoWithSubtitlesPath) },
+      source: videoUrl,
+      sources,
+      voice: { path: voicePath, sha256: await pipeline.fingerprint(voicePath) },
+      script: { path: scriptPath, sha256: await pipeline.fingerprint(scriptPath), text: fs.readFileSync(scriptPath, 'utf8') },
+      music: {
+        file: music.file,
+        path: music.path,
+        sha256: await pipeline.fingerprint(music.path),
+        credit: music.credit || null,
+        seed: music.seed,
+        tags: music.tags,
+        duration: music.duration,
+        loudness: music.loudness,
+        bpm: music.bpm,
+        loop: music.loop,
+      },
+      audio: { ...mixOptions, measuredLoudness: mix.loudness && mix.loudness.measured },
+      style: style.name,
+      profile: profile.name,
+      preview: Boolean(options.preview),
+      renderMode,
+      reframe,
+      reframes: renderMode === 'single' ? reframes : undefined,
+      timeline: path.basename(timelinePath),
+      broll: broll ? { dir: path.resolve(broll.dir), matches: brollMatches } : undefined,
+      captions: {
+        files: Object.values(subtitleFiles).map((file) => path.basename(file)),
+        softTrack: Boolean(captions.softTrack),
+        cleanVariant: cleanVideoPath && path.basename(cleanVideoPath),
+      },
+      branding: branding && {
+        overlays: branding.overlays.map(({ image, position, start, end }) => ({ image, position, start, end })),
+        callouts: branding.callouts.map(({ text, at, start, duration }) => ({ text, at, start, duration })),
+        intro: bumpers.intro && { path: bumpers.intro.path, duration: bumpers.intro.duration },
+        outro: bumpers.outro && { path: bumpers.outro.path, duration: bumpers.outro.duration },
+      },
+      tags: containerTags,
+      options: serializeOptions(options),
+      tools: getToolVersions(),
+      stages: pipeline.timings,
+    });
+
+    // Aperçu : planche contact et page de revue, pour valider avant l'encodage final
+    let review = null;
+    if (options.preview) {
+      const basePath = videoWithSubtitlesPath.replace(/\.[^.]+$/, '');
+      workspace.track(`${basePath}.contact.png`, `${basePath}.review.html`);
+      review = await createReview(videoWithSubtitlesPath, {
+        srtPath: corrected.srtPath,
+        offset: captionOffset,
+        music,
+        reframes: renderMode === 'steps' ? Object.fromEntries(sourceInputs.map((input) => [input, reframe])) : reframes,
+        profile,
+        targetProfile,
+        details: {
+          Style: style.name,
+          'Mode de rendu': renderMode,
+          Habillage: branding ? 'oui' : 'non',
+          'B-roll': brollMatches ? `${brollMatches.filter((match) => match.clip).length}/${brollMatches.length} plan(s)` : undefined,
+        },
+      });
+      reporter.info(`🔎 Page de revue : ${review.reviewPath}`);
+    }
+
+    // Nettoyage : suppression des fichiers intermédiaires de ce rendu (cache, vidéo téléchargée).
+    // Le script et les autres fichiers fournis par l'utilisateur ne sont jamais supprimés.
+    // Le cache d'un aperçu est toujours conservé pour le rendu final.
+    if (options.keepIntermediates || options.preview) {
+      reporter.info(`Fichiers intermédiaires conservés dans ${cacheDir}`);
+    } else {
+      reporter.info(cleanup.dryRun ? 'Fichiers temporaires à supprimer (simulation) :' : 'Nettoyage des fichiers temporaires...');
+      pipeline.cleanup(workspace.files, { dryRun: cleanup.dryRun });
+    }
+
+    // Rétention : seuls les derniers rendus finaux du dossier de sortie sont conservés
+    if (cleanup.keepFinals && !options.preview) {
+      applyRetention(path.dirname(videoWithSubtitlesPath), {
+        keepFinals: cleanup.keepFinals,
+        dryRun: cleanup.dryRun,
+        protect: [videoWithSubtitlesPath],
+      });
+    }
+
+    reporter.info(options.preview ? '✅ Aperçu créé :' : '✅ VOD finale créée avec succès :', videoWithSubtitlesPath);
     return videoWithSubtitlesPath;
   } catch (error) {
-    console.error('❌ Erreur lors de la création de la VOD finale :', error.message);
+    if (error instanceof RenderCancelledError) {
+      reporter.warn('⏹️  Rendu annulé.');
+    } else {
+      reporter.error('❌ Erreur lors de la création de la VOD finale :', error.message);
+    }
+    // Fichiers finaux incomplets de ce rendu ; le cache est conservé (reprise avec resume) sauf demande contraire
+    try {
+      workspace.discard({ dryRun: cleanup.dryRun });
+      if (pipeline && !cleanup.keepIntermediatesOnError) {
+        pipeline.cleanup(workspace.files, { dryRun: cleanup.dryRun });
+      } else if (pipeline) {
+        reporter.info('Fichiers intermédiaires conservés : relancez avec resume pour reprendre le rendu.');
+      }
+    } catch (cleanupError) {
+      reporter.warn(`⚠️ Nettoyage incomplet : ${cleanupError.message}`);
+    }
     throw error;
   }
 }
 
-module.exports = { createFinalVod };
+/**
+ * Lance la création d'une VOD sous forme de job observable (mêmes paramètres que runVod).
+ *
+ * Événements émis par le job :
+ * - "stage:start", "stage:progress", "stage:end" et "log" (voir reporter.js) ;
+ * - "end" : { outputPath, duration } ;
+ * - "error" : l'erreur du rendu (émis seulement s'il est écouté ; `result` est rejetée dans tous les cas).
+ *
+ * `job.cancel()` (ou `options.signal`) arrête le rendu : les processus en cours sont tués
+ * et `result` est rejetée avec RenderCancelledError.
+ *
+ * Le rendu démarre au tour suivant de la boucle d'événements : les écouteurs ajoutés juste après l'appel
+ * reçoivent tous les événements.
+ *
+ * @returns {EventEmitter} - Le job, avec `result` : Promise du chemin de la vidéo finale
+ */
+const createVodJob = (videoUrl, voiceFile, baseDir, scriptPath, options = {}) => {
+  const job = new EventEmitter();
+  const controller = new AbortController();
+  if (options.signal) {
+    if (options.signal.aborted) controller.abort();
+    else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  job.cancel = () => controller.abort();
+
+  const reporter = createReporter({ logger: options.logger || consoleLogger, emitter: job, signal: controller.signal });
+  const startedAt = Date.now();
+
+  job.result = new Promise((resolve) => setImmediate(resolve))
+    .then(() => runWithReporter(reporter, () => runVod(videoUrl, voiceFile, baseDir, scriptPath, options)))
+    .then(
+      (outputPath) => {
+        job.emit('end', { outputPath, duration: (Date.now() - startedAt) / 1000 });
+        return outputPath;
+      },
+      (error) => {
+        const failure = controller.signal.aborted && !(error instanceof RenderCancelledError)
+          ? new RenderCancelledError()
+          : error;
+        if (job.listenerCount('error')) job.emit('error', failure);
+        throw failure;
+      }
+    );
+  // L'échec est signalé par l'événement "error" : pas de rejet non géré si `result` n'est pas attendue
+  job.result.catch(() => {});
+  return job;
+};
+
+/**
+ * Crée une VOD finale et renvoie le chemin de la vidéo (mêmes paramètres que runVod).
+ * @returns {Promise<string>}
+ */
+const createFinalVod = (videoUrl, voiceFile, baseDir, scriptPath, options = {}) =>
+  createVodJob(videoUrl, voiceFile, baseDir, scriptPath, options).result;
+
+module.exports = {
+  createFinalVod,
+  createVodJob,
+  adaptStyleToProfile,
+  RenderCancelledError,
+  PreflightError,
+  RENDER_STAGES,
+  DEFAULT_RENDER_MODE,
+};
@@ -1,62 +1,246 @@
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const cliProgress = require('cli-progress');
+const { spawn } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const { resolveSource, importLocalFile } = require('./sourceResolver');
+const { getReporter } = require('./reporter');
+
+// Format yt-dlp par défaut : 1080p mp4 sans audio (137) sur YouTube, sinon la meilleure piste vidéo
+const DEFAULT_FORMAT = '137/bestvideo[ext=mp4][height<=1080]/bestvideo';
+// Sélecteurs essayés successivement quand le format demandé n'est pas disponible
+// ("best" contient l'audio : il est retiré après le téléchargement, voir stripAudio)
+const FALLBACK_FORMATS = ['bestvideo[ext=mp4]', 'bestvideo', 'best'];
+const DEFAULT_COOKIES_PATH = 'cookies.txt';
+
+// Ligne de progression émise par yt-dlp grâce à --progress-template
+const PROGRESS_PREFIX = '[vodprogress]';
+const PROGRESS_TEMPLATE = `download:${PROGRESS_PREFIX}%(progress.downloaded_bytes)s|%(progress.total_bytes)s|`
+  + '%(progress.total_bytes_estimate)s|%(progress.speed)s|%(progress.eta)s';
+
+/**
+ * Erreur de téléchargement yt-dlp (classe de base).
+ */
+class DownloadError extends Error {
+  constructor(message, stderr = '') {
+    super(message);
+    this.name = this.constructor.name;
+    this.stderr = stderr;
+  }
+}
+
+/** Le format demandé n'existe pas pour cette vidéo. */
+class FormatUnavailableError extends DownloadError {}
+
+/** Vidéo privée, supprimée ou soumise à une limite d'âge. */
+class VideoUnavailableError extends DownloadError {
+  constructor(message, stderr, reason) {
+    super(message, stderr);
+    this.reason = reason; // "private", "age-restricted" ou "unavailable"
+  }
+}
+
+/** Cookies absents, expirés ou refusés (contrôle anti-bot). */
+class CookiesExpiredError extends DownloadError {}
+
+/** Le binaire yt-dlp est introuvable. */
+class BinaryMissingError extends DownloadError {}
+
+/**
+ * Associe la sortie d'erreur de yt-dlp à une erreur typée.
+ * @param {string} stderr
+ * @returns {DownloadError}
+ */
+const classifyYtDlpError = (stderr) => {
+  const lastError = stderr.split('\n').filter((line) => line.startsWith('ERROR')).pop() || stderr.trim().split('\n').pop() || '';
+
+  if (/Requested format is not available/i.test(stderr)) {
+    return new FormatUnavailableError(`Format vidéo indisponible : ${lastError}`, stderr);
+  }
+  if (/confirm your age|age[- ]restricted|inappropriate for some users/i.test(stderr)) {
+    return new VideoUnavailableError(`Vidéo soumise à une limite d'âge : ${lastError}`, stderr, 'age-restricted');
+  }
+  if (/cookies are no longer valid|cookies.*(expired|invalid)|not a bot|use --cookies/i.test(stderr)) {
+    return new CookiesExpiredError(`Cookies expirés ou refusés, exportez un nouveau cookies.txt : ${lastError}`, stderr);
+  }
+  if (/Private video|video is private/i.test(stderr)) {
+    return new VideoUnavailableError(`Vidéo privée : ${lastError}`, stderr, 'private');
+  }
+  if (/Video unavailable|has been removed|not available in your country|HTTP Error 404/i.test(stderr)) {
+    return new VideoUnavailableError(`Vidéo indisponible : ${lastError}`, stderr, 'unavailable');
+  }
+  return new DownloadError(`Échec du téléchargement : ${lastError}`, stderr);
+};
+
+/**
+ * Interprète une ligne de progression yt-dlp.
+ * @param {string} line
+ * @returns {{downloaded: number, total: number|null, speed: number|null, eta: number|null}|null}
+ */
+const parseProgressLine = (line) => {
+  const index = line.indexOf(PROGRESS_PREFIX);
+  if (index === -1) return null;
+  const toNumber = (value) => (value === undefined || value === 'NA' || value === 'None' ? null : Number(value));
+  const [downloaded, total, estimate, speed, eta] = line.slice(index + PROGRESS_PREFIX.length).trim().split('|').map(toNumber);
+  return { downloaded: downloaded || 0, total: total || estimate || null, speed, eta };
+};
+
+/**
+ * Formate une taille en octets (ex: "12.3 Mo").
+ * @param {number|null} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+  if (!bytes && bytes !== 0) return '?';
+  const units = ['o', 'Ko', 'Mo', 'Go'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Lance yt-dlp pour un sélecteur de format donné, en suivant la progression réelle du téléchargement.
+ * @param {Array<string>} args - Arguments yt-dlp
+ * @returns {Promise<void>}
+ */
+const runYtDlp = (args) =>
+  new Promise((resolve, reject) => {
+    const progress = getReporter().progress('Téléchargement');
+    let stderr = '';
+    let buffer = '';
+
+    const child = getReporter().track(spawn('yt-dlp', ['--newline', '--progress-template', PROGRESS_TEMPLATE, ...args]));
+
+    child.stdout.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach((line) => {
+        const info = parseProgressLine(line);
+        if (!info || !info.total) return;
+        progress.update((info.downloaded / info.total) * 100, {
+          done: formatBytes(info.downloaded),
+          size: formatBytes(info.total),
+          speed: info.speed ? `${formatBytes(info.speed)}/s` : '?',
+          eta: info.eta !== null ? `${info.eta}s` : '?',
+        });
+      });
+    });
+    child.stderr.on('data', (data) => { stderr += data; });
+
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        return reject(new BinaryMissingError('yt-dlp est introuvable : installez-le et ajoutez-le au PATH'));
+      }
+      reject(new DownloadError(err.message));
+    });
+    child.on('close', (code) => {
+      if (code !== 0) return reject(classifyYtDlpError(stderr));
+      progress.done();
+      resolve();
+    });
+  });
+
+/**
+ * Retire la piste audio d'une vidéo téléchargée dans un format qui en contient une (ex: repli "best").
+ * Le flux vidéo est copié sans réencodage dans un fichier temporaire `.video`, qui remplace ensuite l'original ;
+ * un fichier sans piste audio est laissé tel quel.
+ * @param {string} filePath - Modifié sur place
+ * @returns {Promise<string>}
+ */
+const stripAudio = (filePath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(err);
+      if (!metadata.streams.some((stream) => stream.codec_type === 'audio')) return resolve(filePath);
+
+      const tempPath = filePath.replace(/(\.[^.]+)$/, '.video$1');
+      getReporter().track(ffmpeg(filePath))
+        .outputOptions(['-map 0:v', '-c copy', '-movflags +faststart'])
+        .on('end', () => {
+          fs.renameSync(tempPath, filePath);
+          getReporter().info(`🔇 Piste audio retirée de la vidéo téléchargée : ${filePath}`);
+          resolve(filePath);
+        })
+        .on('error', (error) => {
+          fs.rmSync(tempPath, { force: true });
+          reject(new DownloadError(`Impossible de retirer l'audio de la vidéo téléchargée : ${error.message}`));
+        })
+        .save(tempPath);
+    });
+  });
 
 /**
- * Télécharge une vidéo YouTube en format "vidéo only" (sans audio) avec `yt-dlp`
- * @param {string} url - URL de la vidéo YouTube
+ * Récupère une vidéo en format "vidéo only" (sans audio) dans le dossier de sortie :
+ * - fichier local ou URL `file://` : lien symbolique (ou copie) dans le dossier
+ * - toute autre URL : téléchargement avec `yt-dlp`, en réessayant des formats de repli
+ *   si le format demandé n'est pas disponible
+ * @param {string} url - URL de la vidéo, URL `file://` ou chemin local
  * @param {string} outputDir - Dossier de sortie
+ * @param {Object} [options]
+ * @param {string} [options.format] - Sélecteur de format yt-dlp (défaut : "137/bestvideo[ext=mp4][height<=1080]/bestvideo")
+ * @param {Array<string>|false} [options.fallbackFormats] - Formats de repli (défaut : bestvideo[ext=mp4], bestvideo, best ; false pour désactiver)
+ * @param {string} [options.cookiesPath] - Fichier de cookies yt-dlp (défaut : cookies.txt s'il existe)
+ * @param {'symlink'|'copy'} [options.linkMode='symlink'] - Import des fichiers locaux
  * @returns {Promise<string>} - Chemin du fichier téléchargé
+ * @throws {FormatUnavailableError|VideoUnavailableError|CookiesExpiredError|BinaryMissingError|DownloadError}
  */
-const downloadVideoOnly = async (url, outputDir) => {
-  return new Promise((resolve, reject) => {
-    try {
-      // Extraire l'ID de la vidéo
-      const videoId = new URL(url).searchParams.get('v');
-      if (!videoId) {
-        throw new Error('Impossible d’extraire l’ID de la vidéo');
-      }
+const downloadVideoOnly = async (url, outputDir, options = {}) => {
+  try {
+    // Identifier la source (ID stable dérivé de l'entrée)
+    const source = resolveSource(url);
 
-      const fileName = `vod_${videoId}_noaudio.mp4`;
-      const outputPath = path.join(outputDir, fileName);
-      
-      console.log(`📥 Téléchargement de la vidéo sans audio : ${fileName}...\n`);
-
-      // Commande yt-dlp pour télécharger uniquement la vidéo sans audio
-      const command = `yt-dlp -f "137" --cookies cookies.txt -o "${outputPath}" "${url}"`;
-
-      // Initialisation de la barre de progression
-      const progressBar = new cliProgress.SingleBar({}, cliProgress.Presets.shades_classic);
-      progressBar.start(100, 0); 
-
-      // Exécution de la commande yt-dlp
-      const process = exec(command, (error, stdout, stderr) => {
-        progressBar.stop();
-        
-        if (error) {
-          console.error('❌ Erreur lors du téléchargement :', stderr);
-          return reject(error);
-        }
+    if (source.type === 'local') {
+      const fileName = `vod_${source.id}${path.extname(source.path)}`;
+      const outputPath = importLocalFile(source.path, path.join(outputDir, fileName), options.linkMode);
+      getReporter().info(`📁 Vidéo locale importée : ${outputPath}`);
+      return outputPath;
+    }
 
-        console.log(`✅ Téléchargement terminé : ${outputPath}`);
-        resolve(outputPath);
-      });
+    const fileName = `vod_${source.id}_noaudio.mp4`;
+    const outputPath = path.join(outputDir, fileName);
 
-      // Mise à jour de la barre de progression (fake estimation)
-      process.stdout.on('data', (data) => {
-        const match = data.match(/\[download\] +(\d+(\.\d+)?)%/);
-        if (match) {
-          const percent = parseFloat(match[1]);
-          progressBar.update(percent);
-        }
-      });
+    // Cookies : chemin explicite obligatoire, sinon cookies.txt seulement s'il existe
+    const cookiesPath = options.cookiesPath || DEFAULT_COOKIES_PATH;
+    if (options.cookiesPath && !fs.existsSync(cookiesPath)) {
+      throw new CookiesExpiredError(`Fichier de cookies introuvable : ${cookiesPath}`);
+    }
+    const cookiesArgs = fs.existsSync(cookiesPath) ? ['--cookies', cookiesPath] : [];
+
+    const fallbacks = options.fallbackFormats === false ? [] : options.fallbackFormats || FALLBACK_FORMATS;
+    const formats = [options.format || DEFAULT_FORMAT, ...fallbacks];
+
+    getReporter().info(`📥 Téléchargement de la vidéo sans audio : ${fileName}...\n`);
 
-    } catch (error) {
-      console.error('❌ Erreur lors du téléchargement :', error.message);
-      reject(error);
+    for (let i = 0; i < formats.length; i++) {
+      try {
+        await runYtDlp(['-f', formats[i], ...cookiesArgs, '-o', outputPath, source.url]);
+        await stripAudio(outputPath);
+        getReporter().info(`✅ Téléchargement terminé : ${outputPath}`);
+        return outputPath;
+      } catch (error) {
+        if (!(error instanceof FormatUnavailableError) || i === formats.length - 1) {
+          throw error;
+        }
+        getReporter().warn(`⚠️  Format "${formats[i]}" indisponible, nouvel essai avec "${formats[i + 1]}"...`);
+      }
     }
-  });
+  } catch (error) {
+    getReporter().error('❌ Erreur lors du téléchargement :', error.message);
+    throw error;
+  }
 };
 
 module.exports = downloadVideoOnly;
+Object.assign(module.exports, {
+  DownloadError,
+  FormatUnavailableError,
+  VideoUnavailableError,
+  CookiesExpiredError,
+  BinaryMissingError,
+  classifyYtDlpError,
+  parseProgressLine,
+});
@@ -0,0 +1,416 @@
+/**
+ * jobQueue.js
+ * File de rendus persistante sur disque (utilisée par le serveur HTTP, voir server.js).
+ *
+ * Chaque job a son dossier `<queueDir>/jobs/<id>/` : état (job.json), script (script.txt), journal (job.log),
+ * dossier de travail (work/) et vidéo finale (output.mp4). La file est relue au démarrage :
+ * les jobs interrompus en plein rendu (arrêt du serveur) repartent, en reprenant les étapes en cache.
+ *
+ * Statuts : "queued" → "running" → "succeeded" | "failed" | "cancelled".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createVodJob } = require('./createVod');
+const { generateVoice, listTtsEngines } = require('./tts');
+const { RenderCancelledError, consoleLogger, prefixLogger, createReporter, runWithReporter } = require('./reporter');
+const { ensureDirectoriesExist } = require('./utils');
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Nom de préréglage (style, profil) : jamais un chemin.
+ */
+const presetName = (value, key) => {
+  if (typeof value !== 'string' || !/^[\w-]+$/.test(value)) {
+    throw new Error(`Option "${key}" : nom de préréglage attendu (ex: "tiktok"), pas un chemin`);
+  }
+  return value;
+};
+
+/**
+ * Objet limité à certains champs.
+ */
+const pickFields = (allowed) => (value, key) => {
+  if (!isPlainObject(value)) {
+    throw new Error(`Option "${key}" : objet attendu`);
+  }
+  const refused = Object.keys(value).filter((field) => !allowed.includes(field));
+  if (refused.length) {
+    throw new Error(`Option "${key}" : champ(s) non autorisé(s) : ${refused.join(', ')} (autorisés : ${allowed.join(', ')})`);
+  }
+  return value;
+};
+
+const ofType = (type) => (value, key) => {
+  if (typeof value !== type) throw new Error(`Option "${key}" : ${type} attendu`);
+  return value;
+};
+
+/**
+ * Musique : fichier de la bibliothèque (chemin relatif à audio/music, sans "..") ou critères de choix.
+ */
+const musicChoice = (value, key) => {
+  const criteria = typeof value === 'string' ? { file: value } : pickFields(['file', 'tags', 'seed', 'fit'])(value, key);
+  const { file } = criteria;
+  if (file !== undefined && (typeof file !== 'string' || path.isAbsolute(file) || file.split(/[\\/]/).includes('..'))) {
+    throw new Error(`Option "${key}" : "file" doit être un fichier de la bibliothèque musicale, pas un chemin`);
+  }
+  return value;
+};
+
+/**
+ * Recadrage : mode ("center", "blur", "auto", "manual:<x>:<y>") ou objet, jamais un fichier JSON.
+ */
+const reframeChoice = (value, key) => {
+  if (typeof value === 'string') {
+    if (value.toLowerCase().endsWith('.json')) {
+      throw new Error(`Option "${key}" : fichier de recadrage non autorisé, passez l'objet`);
+    }
+    return value;
+  }
+  return pickFields(['mode', 'x', 'y', 'keyframes', 'interpolation'])(value, key);
+};
+
+/**
+ * Réglages de rendu qu'un client peut choisir. Le reste (dossiers, transcription, habillage, timeline,
+ * nettoyage...) vient de la configuration du serveur : un client ne désigne jamais un chemin, un binaire
+ * ou des arguments de ligne de commande.
+ */
+const CLIENT_OPTIONS = {
+  style: presetName,
+  profile: presetName,
+  reframe: reframeChoice,
+  subtitles: pickFields(['animation', 'chunkSize', 'maxCharsPerLine', 'karaokeTag', 'highlightColour', 'secondaryColour', 'pop', 'fade']),
+  audio: pickFields(['voiceVolume', 'musicVolume', 'ducking', 'fadeIn', 'fadeOut', 'tail', 'loopCrossfade', 'loudness']),
+  music: musicChoice,
+  broll: (value, key) => (typeof value === 'boolean' ? value
+    : pickFields(['tags', 'minScore', 'minSlot', 'transition'])(value, key)),
+  captions: pickFields(['formats', 'softTrack', 'language', 'cleanVariant']),
+  alignment: pickFields(['minScore', 'maxMissingRun']),
+  download: pickFields(['format']),
+  renderMode: ofType('string'),
+  title: ofType('string'),
+  preview: ofType('boolean'),
+};
+
+// Réglages de synthèse vocale qu'un client peut choisir (le binaire, ses arguments et l'URL du serveur
+// de synthèse viennent de la configuration du serveur)
+const CLIENT_TTS_FIELDS = ['engine', 'voice', 'speed', 'language', 'speaker', 'pause'];
+
+/**
+ * Valide les options de rendu d'un client.
+ * @param {Object} options
+ * @returns {Object}
+ */
+const validateClientOptions = (options) => {
+  if (!isPlainObject(options)) {
+    throw new Error('"options" doit être un objet');
+  }
+  return Object.fromEntries(Object.entries(options).map(([key, value]) => {
+    if (!CLIENT_OPTIONS[key]) {
+      throw new Error(`Option non autorisée : "${key}" (autorisées : ${Object.keys(CLIENT_OPTIONS).join(', ')})`);
+    }
+    return [key, CLIENT_OPTIONS[key](value, key)];
+  }));
+};
+
+/**
+ * Valide les réglages de synthèse vocale d'un client.
+ * @param {Object} tts
+ * @returns {Object}
+ */
+const validateClientTts = (tts) => {
+  pickFields(CLIENT_TTS_FIELDS)(tts, 'tts');
+  if (!listTtsEngines().includes(tts.engine)) {
+    throw new Error(`Moteur de synthèse vocale inconnu : ${tts.engine} (disponibles : ${listTtsEngines().join(', ')})`);
+  }
+  // Piper désigne sa voix par le chemin d'un modèle .onnx
+  if (tts.engine === 'piper' && tts.voice !== undefined) {
+    throw new Error('"tts.voice" : le modèle Piper est fixé par la configuration du serveur');
+  }
+  return tts;
+};
+
+/**
+ * Écrit un fichier JSON de façon atomique (fichier temporaire puis renommage) :
+ * un arrêt brutal ne laisse jamais un état à moitié écrit.
+ * @param {string} filePath
+ * @param {Object} value
+ */
+const writeJsonAtomic = (filePath, value) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Logger qui recopie les messages dans un fichier journal, en plus du logger d'origine.
+ * @param {Object} logger
+ * @param {string} logPath
+ * @returns {Object}
+ */
+const fileLogger = (logger, logPath) => {
+  const write = (level) => (message) => {
+    fs.appendFileSync(logPath, `[${new Date().toISOString()}] ${level.toUpperCase()} ${message}\n`, 'utf8');
+    logger[level](message);
+  };
+  return { info: write('info'), warn: write('warn'), error: write('error') };
+};
+
+/**
+ * Crée (ou recharge) la file de rendus.
+ *
+ * @param {Object} params
+ * @param {string} params.baseDir - Dossier de base (audio/music, styles...)
+ * @param {string} params.queueDir - Dossier de la file
+ * @param {number} [params.concurrency=1] - Nombre de rendus simultanés
+ * @param {Object} [params.render] - Options communes passées à createVodJob (ex: profil, style)
+ * @param {Object} [params.logger] - Destinataire des messages : { info, warn, error } (défaut : la console)
+ * @returns {Object}
+ */
+const createJobQueue = ({ baseDir, queueDir, concurrency = 1, render = {}, logger = consoleLogger }) => {
+  const jobsDir = path.join(queueDir, 'jobs');
+  ensureDirectoriesExist([jobsDir]);
+
+  const jobs = new Map();
+  const running = new Map(); // id -> { controller, done }
+  let stopping = false;
+
+  const jobDir = (id) => path.join(jobsDir, id);
+  const save = (job) => writeJsonAtomic(path.join(jobDir(job.id), 'job.json'), job);
+
+  // Reprise de la file : les jobs "running" ont été interrompus par l'arrêt du serveur
+  fs.readdirSync(jobsDir).forEach((id) => {
+    const statePath = path.join(jobDir(id), 'job.json');
+    if (!fs.existsSync(statePath)) return;
+    try {
+      const job = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (job.status === 'running') {
+        Object.assign(job, { status: 'queued', progress: null });
+        save(job);
+        logger.info(`🔁 Job ${job.id} interrompu, remis en file.`);
+      }
+      jobs.set(job.id, job);
+    } catch (err) {
+      logger.warn(`⚠️ État du job illisible, ignoré (${statePath}) : ${err.message}`);
+    }
+  });
+
+  /**
+   * Exécute un job : synthèse vocale éventuelle, puis rendu suivi étape par étape.
+   */
+  const execute = async (job, signal) => {
+    const dir = jobDir(job.id);
+    const jobLogger = fileLogger(prefixLogger(logger, `[${job.id}]`), path.join(dir, 'job.log'));
+    const scriptPath = path.join(dir, 'script.txt');
+
+    // Sans fichier voix, la voix est synthétisée depuis le script dans le dossier du job
+    let voicePath = job.voicePath;
+    let transcription = {};
+    if (!voicePath) {
+      // Réglages du serveur pour ce moteur (binaire, modèle, URL...), complétés par ceux du client
+      const defaults = render.tts && render.tts.engine === job.tts.engine ? render.tts : {};
+      const voice = await runWithReporter(createReporter({ logger: jobLogger, signal }), () =>
+        generateVoice(fs.readFileSync(scriptPath, 'utf8'), dir, { ...defaults, ...job.tts }));
+      voicePath = voice.voicePath;
+      transcription = { transcription: { provider: 'file', path: voice.srtPath } };
+    }
+
+    const vodJob = createVodJob(job.source, voicePath, baseDir, scriptPath, {
+      ...render,
+      ...job.options,
+      ...transcription,
+      workDir: path.join(dir, 'work'),
+      outputPath: path.join(dir, 'output.mp4'),
+      // Un job relancé après un redémarrage reprend les étapes déjà calculées
+      resume: true,
+      logger: jobLogger,
+      signal,
+    });
+
+    vodJob.on('stage:start', ({ stage, index, total, startedAt }) => {
+      job.stages[stage] = { status: 'running', startedAt };
+      job.progress = { stage, task: null, percent: 0, overall: total ? (index / total) * 100 : null };
+      save(job);
+    });
+    // La progression fine reste en mémoire : elle n'est écrite sur disque qu'avec les étapes
+    vodJob.on('stage:progress', ({ stage, task, percent, overall, details }) => {
+      job.progress = { stage, task, percent, overall, details };
+    });
+    vodJob.on('stage:end', ({ stage, duration, cached, error }) => {
+      job.stages[stage] = { ...job.stages[stage], status: error ? 'failed' : cached ? 'cached' : 'done', duration, error };
+      save(job);
+    });
+
+    return vodJob.result;
+  };
+
+  /**
+   * Démarre un job en attente.
+   */
+  const start = (job) => {
+    const controller = new AbortController();
+    Object.assign(job, {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      attempts: (job.attempts || 0) + 1,
+      stages: {},
+      progress: null,
+      error: null,
+    });
+    save(job);
+
+    const done = execute(job, controller.signal)
+      .then((outputPath) => {
+        Object.assign(job, { status: 'succeeded', outputPath, progress: { percent: 100, overall: 100 } });
+        logger.info(`✅ Job ${job.id} terminé : ${outputPath}`);
+      }, (error) => {
+        if (stopping && controller.signal.aborted) {
+          // Arrêt du serveur : le job sera repris au prochain démarrage
+          Object.assign(job, { status: 'queued', progress: null });
+          return;
+        }
+        const cancelled = error instanceof RenderCancelledError || controller.signal.aborted;
+        Object.assign(job, { status: cancelled ? 'cancelled' : 'failed', error: cancelled ? null : error.message });
+        logger.info(cancelled ? `⏹️  Job ${job.id} annulé.` : `❌ Job ${job.id} en échec : ${error.message}`);
+      })
+      .then(() => {
+        if (job.status !== 'queued') job.finishedAt = new Date().toISOString();
+        save(job);
+        running.delete(job.id);
+        schedule();
+      });
+    running.set(job.id, { controller, done });
+  };
+
+  /**
+   * Lance les jobs en attente, du plus ancien au plus récent, dans la limite de la concurrence.
+   */
+  const schedule = () => {
+    if (stopping) return;
+    const queued = [...jobs.values()]
+      .filter((job) => job.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    queued.slice(0, Math.max(0, concurrency - running.size)).forEach(start);
+  };
+
+  return {
+    /**
+     * Ajoute un job à la file. La source et le fichier voix sont déjà vérifiés par l'appelant (voir server.js) ;
+     * `tts` et `options` viennent du client et sont limités aux réglages autorisés.
+     * @param {Object} request
+     * @param {string} request.source - Source vidéo (URL ou chemin)
+     * @param {string} request.script - Texte du script
+     * @param {string} [request.voicePath] - Fichier voix ; sans fichier, `tts` est requis
+     * @param {Object} [request.tts] - Réglages de synthèse vocale : { engine, voice, speed, language, speaker, pause }
+     * @param {Object} [request.options] - Options de rendu propres au job (voir CLIENT_OPTIONS)
+     * @returns {Object} - Le job
+     */
+    submit({ source, script, voicePath = null, tts = null, options = {} }) {
+      if (!source || !script) {
+        throw new Error('"source" et "script" sont requis');
+      }
+      if (!voicePath && !(tts && tts.engine)) {
+        throw new Error('Aucun fichier voix ni synthèse vocale ("tts": { "engine": ... }) fournie');
+      }
+      if (voicePath && !fs.existsSync(voicePath)) {
+        throw new Error(`Fichier voix introuvable : ${voicePath}`);
+      }
+      const clientTts = voicePath || !tts ? null : validateClientTts(tts);
+      const clientOptions = validateClientOptions(options);
+
+      const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+      ensureDirectoriesExist([jobDir(id)]);
+      fs.writeFileSync(path.join(jobDir(id), 'script.txt'), script, 'utf8');
+
+      const job = {
+        id,
+        status: 'queued',
+        source,
+        voicePath,
+        tts: clientTts,
+        options: clientOptions,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        attempts: 0,
+        stages: {},
+        progress: null,
+        outputPath: null,
+        error: null,
+      };
+      jobs.set(id, job);
+      save(job);
+      logger.info(`📥 Job ${id} ajouté à la file (${source}).`);
+      schedule();
+      return job;
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get: (id) => jobs.get(id) || null,
+
+    /**
+     * Jobs du plus récent au plus ancien.
+     * @returns {Array<Object>}
+     */
+    list: () => [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+
+    /**
+     * Journal d'un job.
+     * @param {string} id
+     * @returns {string}
+     */
+    readLog(id) {
+      const logPath = path.join(jobDir(id), 'job.log');
+      return fs.existsSync(logPath) ? fs.readFileSync(logPath, 'utf8') : '';
+    },
+
+    /**
+     * Annule un job : retiré de la file s'il attend, ses processus arrêtés s'il tourne.
+     * @param {string} id
+     * @returns {Promise<Object>} - Le job, une fois son statut final enregistré
+     */
+    async cancel(id) {
+      const job = jobs.get(id);
+      if (!job) throw new Error(`Job inconnu : ${id}`);
+      if (FINISHED_STATUSES.includes(job.status)) {
+        throw new Error(`Job déjà terminé (${job.status})`);
+      }
+      if (job.status === 'queued') {
+        Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+        save(job);
+        logger.info(`⏹️  Job ${id} retiré de la file.`);
+        return job;
+      }
+      const { controller, done } = running.get(id);
+      controller.abort();
+      await done;
+      return job;
+    },
+
+    /**
+     * Lance les jobs en attente (y compris ceux repris du disque).
+     */
+    start: schedule,
+
+    /**
+     * Arrête la file : les rendus en cours sont interrompus et resteront en file pour le prochain démarrage.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      stopping = true;
+      const pending = [...running.values()];
+      pending.forEach(({ controller }) => controller.abort());
+      await Promise.all(pending.map(({ done }) => done));
+    },
+  };
+};
+
+module.exports = { createJobQueue, FINISHED_STATUSES };
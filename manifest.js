@@ -0,0 +1,164 @@
+/**
+ * manifest.js
+ * Manifeste de rendu `<vidéo>.render.json`, écrit à côté de chaque vidéo : sources et empreintes des entrées,
+ * musique, paramètres, versions des outils, durée des étapes et résumé ffprobe du fichier produit.
+ * Il permet de savoir comment une vidéo a été faite une fois le cache nettoyé, et de la reproduire
+ * (commande `rerender`).
+ */
+
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const { hashFile } = require('./pipeline');
+
+const MANIFEST_VERSION = 1;
+
+// Options propres à une exécution (journal, annulation, dossiers, reprise) : sans effet sur la vidéo, non rejouées
+const RUNTIME_OPTIONS = ['logger', 'signal', 'workDir', 'cacheDir', 'outputPath', 'resume', 'fromStage', 'keepIntermediates'];
+
+/**
+ * Résumé ffprobe d'un fichier : conteneur, durée, taille, débit, métadonnées et pistes.
+ * @param {string} filePath
+ * @returns {Promise<Object>}
+ */
+const probeSummary = (filePath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(err);
+      const { format } = metadata;
+      resolve({
+        container: format.format_name,
+        duration: Number(format.duration) || 0,
+        size: Number(format.size) || fs.statSync(filePath).size,
+        bitRate: Number(format.bit_rate) || null,
+        tags: format.tags || {},
+        streams: metadata.streams.map((stream) => ({
+          type: stream.codec_type,
+          codec: stream.codec_name,
+          ...(stream.codec_type === 'video' && {
+            width: stream.width,
+            height: stream.height,
+            frameRate: stream.avg_frame_rate,
+            pixelFormat: stream.pix_fmt,
+          }),
+          ...(stream.codec_type === 'audio' && {
+            sampleRate: Number(stream.sample_rate),
+            channels: stream.channels,
+          }),
+          bitRate: Number(stream.bit_rate) || null,
+          language: (stream.tags && stream.tags.language) || null,
+        })),
+      });
+    });
+  });
+
+/**
+ * Options de rendu enregistrables (sans logger ni signal d'annulation).
+ * @param {Object} options - Options de createFinalVod
+ * @returns {Object}
+ */
+const serializeOptions = (options) =>
+  JSON.parse(JSON.stringify(options, (key, value) => (['logger', 'signal'].includes(key) ? undefined : value)));
+
+/**
+ * Métadonnées clés écrites dans le conteneur MP4 : titre, source et crédit de la musique.
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {string} params.source - Source vidéo (URL ou fichier)
+ * @param {Object} params.music - Musique choisie (voir selectMusic)
+ * @returns {Object<string, string>}
+ */
+const buildContainerTags = ({ title, source, music }) => ({
+  title,
+  comment: `Source : ${source}`,
+  description: `Musique : ${music.credit || music.file}`,
+});
+
+/**
+ * Lit un manifeste de rendu.
+ * @param {string} manifestPath
+ * @returns {Object}
+ */
+const readManifest = (manifestPath) => {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Manifeste introuvable : ${manifestPath}`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Version de manifeste non prise en charge : ${manifest.version} (attendue : ${MANIFEST_VERSION})`);
+  }
+  if (!manifest.source || !manifest.voice || !manifest.script) {
+    throw new Error(`Manifeste incomplet (source, voix ou script manquant) : ${manifestPath}`);
+  }
+  return manifest;
+};
+
+/**
+ * Compare les fichiers d'entrée d'un manifeste (voix, musique, sources locales) à leur empreinte d'origine.
+ * @param {Object} manifest
+ * @returns {Promise<{missing: Array<string>, changed: Array<string>}>} - Fichiers absents et fichiers modifiés
+ */
+const checkManifestInputs = async (manifest) => {
+  const inputs = [
+    manifest.voice,
+    manifest.music,
+    // Les sources distantes sont retéléchargées : seules les sources locales (avec un chemin) sont comparées
+    ...(manifest.sources || []).filter((source) => source.path),
+  ];
+  const missing = [];
+  const changed = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input.path)) {
+      missing.push(input.path);
+    } else if (input.sha256 && await hashFile(input.path) !== input.sha256) {
+      changed.push(input.path);
+    }
+  }
+  return { missing, changed };
+};
+
+/**
+ * Paramètres de createFinalVod qui reproduisent un rendu : mêmes entrées, même musique, mêmes options.
+ * @param {Object} manifest
+ * @returns {{source: string, voicePath: string, scriptText: string, options: Object}}
+ */
+const manifestToRender = (manifest) => ({
+  source: manifest.source,
+  voicePath: manifest.voice.path,
+  scriptText: manifest.script.text,
+  options: {
+    ...Object.fromEntries(Object.entries(manifest.options || {}).filter(([key]) => !RUNTIME_OPTIONS.includes(key))),
+    // La musique tirée au sort est imposée
+    music: { file: manifest.music.path },
+  },
+});
+
+/**
+ * Chemin du manifeste d'une vidéo.
+ * @param {string} videoPath
+ * @returns {string}
+ */
+const getManifestPath = (videoPath) => videoPath.replace(/\.[^.]+$/, '.render.json');
+
+/**
+ * Écrit le manifeste d'une vidéo.
+ * @param {string} videoPath
+ * @param {Object} manifest
+ * @returns {string} - Chemin du manifeste
+ */
+const writeManifest = (videoPath, manifest) => {
+  const manifestPath = getManifestPath(videoPath);
+  fs.writeFileSync(manifestPath, JSON.stringify({ version: MANIFEST_VERSION, ...manifest }, null, 2), 'utf8');
+  return manifestPath;
+};
+
+module.exports = {
+  MANIFEST_VERSION,
+  probeSummary,
+  serializeOptions,
+  buildContainerTags,
+  readManifest,
+  checkManifestInputs,
+  manifestToRender,
+  getManifestPath,
+  writeManifest,
+};
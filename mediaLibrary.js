@@ -0,0 +1,326 @@
+/**
+ * mediaLibrary.js
+ * Bibliothèque d'extraits vidéo (B-roll) : index `library.json` construit automatiquement (ffprobe)
+ * dans le dossier des extraits (sous-dossiers compris), avec durée, dimensions, cadence, codec, tags et mots-clés.
+ *
+ * Les tags sont proposés à partir du chemin du fichier (ex: "nature/foret-brume-01.mp4" -> ["nature", "foret", "brume"]) ;
+ * tags et mots-clés (`"keywords": ["sapin", "randonnée"]`) peuvent être modifiés à la main dans `library.json` :
+ * ils sont conservés lors des mises à jour de l'index.
+ *
+ * Au rendu, chaque phrase du script est associée à l'extrait qui partage le plus de mots-clés avec elle ;
+ * le timing des phrases (sous-titres corrigés) décide quel extrait est affiché et quand.
+ * Les phrases sans extrait correspondant montrent la vidéo principale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { normalizeToken, tokenizeText } = require('./alignment');
+const { getReporter } = require('./reporter');
+
+const MEDIA_LIBRARY_FILE = 'library.json';
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.mkv', '.webm', '.avi'];
+
+// Une phrase plus courte est regroupée avec la suivante : pas de plan de moins de 1,5 s par défaut
+const DEFAULT_MIN_SLOT = 1.5;
+const DEFAULT_MIN_SCORE = 1;
+
+// Mots trop courants pour départager des extraits (forme normalisée, sans accents)
+const STOP_WORDS = new Set([
+  'les', 'des', 'une', 'est', 'sont', 'dans', 'pour', 'par', 'sur', 'sous', 'avec', 'sans', 'chez', 'entre', 'vers',
+  'que', 'qui', 'quoi', 'dont', 'pas', 'plus', 'moins', 'mais', 'donc', 'alors', 'ainsi', 'aussi', 'comme', 'quand',
+  'son', 'sa', 'ses', 'leur', 'leurs', 'notre', 'nos', 'votre', 'vos', 'nous', 'vous', 'ils', 'elle', 'elles',
+  'cette', 'ces', 'cet', 'aux', 'ete', 'etre', 'avoir', 'ont', 'fait', 'faire', 'tout', 'tous', 'toute', 'toutes',
+  'tres', 'bien', 'encore', 'meme', 'peut', 'avant', 'apres', 'depuis', 'ici', 'voici', 'voila', 'chaque',
+  'the', 'and', 'for', 'with', 'this', 'that',
+]);
+
+/**
+ * Indique si un fichier est une vidéo prise en charge.
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+const isVideoFile = (fileName) => VIDEO_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+/**
+ * Forme de comparaison d'un mot : normalisé, sans marque du pluriel ("forêts" -> "foret").
+ * @param {string} word
+ * @returns {string}
+ */
+const stemKeyword = (word) => {
+  const token = normalizeToken(word);
+  return token.length > 3 ? token.replace(/[sx]$/, '') : token;
+};
+
+/**
+ * Mots-clés d'un texte : mots d'au moins 3 lettres, hors mots courants, sous leur forme de comparaison.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const keywordsFromText = (text) =>
+  [...new Set(tokenizeText(text.replace(/['’_\-/]/g, ' '))
+    .map((word) => normalizeToken(word))
+    .filter((token) => token.length >= 3 && !STOP_WORDS.has(token) && !/^\d+$/.test(token))
+    .map(stemKeyword))];
+
+/**
+ * Propose des tags à partir du chemin d'un extrait (dossiers et nom du fichier, sans les numéros).
+ * @param {string} file - Chemin relatif au dossier des extraits
+ * @returns {Array<string>}
+ */
+const tagsFromPath = (file) =>
+  [...new Set(file.slice(0, -path.extname(file).length)
+    .toLowerCase()
+    .split(/[^a-zà-ÿ]+/)
+    .filter((word) => word.length > 2))];
+
+/**
+ * Métadonnées ffprobe d'un extrait : durée, dimensions, cadence et codec de la piste vidéo.
+ * @param {string} filePath
+ * @returns {Promise<{duration: number, width: number, height: number, fps: number|null, codec: string}>}
+ */
+const probeClip = (filePath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(err);
+      const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+      if (!video) return reject(new Error('aucune piste vidéo'));
+      const [num, den] = String(video.avg_frame_rate || video.r_frame_rate || '').split('/').map(Number);
+      resolve({
+        duration: Number(metadata.format.duration) || Number(video.duration) || 0,
+        width: video.width,
+        height: video.height,
+        fps: num && den ? Math.round((num / den) * 100) / 100 : null,
+        codec: video.codec_name,
+      });
+    });
+  });
+
+/**
+ * Charge l'index de la bibliothèque d'extraits et le met à jour : les nouveaux extraits (ou modifiés) sont analysés,
+ * les extraits disparus retirés ; les fichiers non vidéo et les vidéos illisibles sont ignorés.
+ *
+ * @param {string} mediaDir - Dossier des extraits
+ * @returns {Promise<{clips: Object<string, Object>}>} - Index (clé : chemin relatif), également écrit dans <mediaDir>/library.json
+ */
+const loadMediaLibrary = async (mediaDir) => {
+  if (!fs.existsSync(mediaDir)) {
+    throw new Error(`Dossier d'extraits introuvable : ${mediaDir}`);
+  }
+  const libraryPath = path.join(mediaDir, MEDIA_LIBRARY_FILE);
+  const previous = fs.existsSync(libraryPath) ? JSON.parse(fs.readFileSync(libraryPath, 'utf8')) : { clips: {} };
+  const files = fs.readdirSync(mediaDir, { recursive: true })
+    .map((file) => file.split(path.sep).join('/'))
+    .filter(isVideoFile)
+    .sort();
+  const clips = {};
+  let changed = false;
+
+  for (const file of files) {
+    const stat = fs.statSync(path.join(mediaDir, file));
+    const known = previous.clips && previous.clips[file];
+    if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+      clips[file] = known;
+      continue;
+    }
+
+    getReporter().info(`🎞️  Analyse de ${file}...`);
+    let metadata;
+    try {
+      metadata = await probeClip(path.join(mediaDir, file));
+    } catch (err) {
+      getReporter().warn(`⚠️ Extrait ignoré (${file}) : ${err.message.trim().split('\n').pop()}`);
+      continue;
+    }
+    clips[file] = {
+      file,
+      ...metadata,
+      tags: known ? known.tags : tagsFromPath(file),
+      keywords: known ? known.keywords : [],
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+    };
+    changed = true;
+  }
+
+  const library = { clips };
+  // Extraits retirés (ou devenus illisibles) : l'index est réécrit
+  if (changed || Object.keys(clips).length !== Object.keys(previous.clips || {}).length) {
+    fs.writeFileSync(libraryPath, JSON.stringify(library, null, 2), 'utf8');
+    getReporter().info(`✅ Bibliothèque d'extraits indexée : ${Object.keys(clips).length} extrait(s) (${libraryPath})`);
+  }
+  return library;
+};
+
+/**
+ * Regroupe les mots horodatés du script en phrases (fin de phrase : ".", "!", "?" ou "…").
+ * @param {Array<{word: string, start: number, end: number}>} words - Mots du script alignés (voir alignment.js)
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+const splitSentences = (words) => {
+  const sentences = [];
+  let current = [];
+  words.forEach((word, i) => {
+    current.push(word);
+    if (/[.!?…]["»”')\]]*$/.test(word.word) || i === words.length - 1) {
+      sentences.push({
+        text: current.map((item) => item.word).join(' '),
+        start: current[0].start,
+        end: current[current.length - 1].end,
+      });
+      current = [];
+    }
+  });
+  return sentences;
+};
+
+/**
+ * Plans du montage : une phrase par plan, les phrases trop courtes étant regroupées avec la suivante
+ * (la dernière avec la précédente). Les plans se suivent sans trou, du début à la fin de la vidéo.
+ * @param {Array<{text: string, start: number, end: number}>} sentences
+ * @param {number} duration - Durée totale (voix et musique de fin)
+ * @param {number} minSlot
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+const buildSlots = (sentences, duration, minSlot) => {
+  const slots = [];
+  sentences.forEach((sentence, i) => {
+    const start = slots.length ? sentence.start : 0;
+    const pending = slots.length && slots[slots.length - 1].merge;
+    if (pending) {
+      const previous = slots[slots.length - 1];
+      previous.text = `${previous.text} ${sentence.text}`;
+    } else {
+      slots.push({ text: sentence.text, start });
+    }
+    const slot = slots[slots.length - 1];
+    const next = sentences[i + 1];
+    slot.merge = Boolean(next) && next.start - slot.start < minSlot;
+  });
+  slots.forEach((slot, i) => {
+    slot.end = i + 1 < slots.length ? slots[i + 1].start : duration;
+    delete slot.merge;
+  });
+  // Dernier plan trop court (fin de voix sans traîne de musique) : rattaché au précédent
+  if (slots.length > 1 && slots[slots.length - 1].end - slots[slots.length - 1].start < minSlot) {
+    const last = slots.pop();
+    Object.assign(slots[slots.length - 1], { text: `${slots[slots.length - 1].text} ${last.text}`, end: last.end });
+  }
+  return slots.filter((slot) => slot.end > slot.start);
+};
+
+/**
+ * Extraits de timeline qui lisent `length` secondes d'une source à partir de `position`, en revenant au début
+ * de la source si besoin. Avec une transition, chaque extrait est allongé de sa durée (chevauchement xfade)
+ * pour que le plan suivant commence à l'heure prévue. La source doit durer plus que le chevauchement.
+ * @returns {{clips: Array<{source: string, in: number, out: number}>, position: number}}
+ */
+const takeFrom = (source, sourceDuration, position, length, overlap) => {
+  if (sourceDuration - overlap <= 0.05) {
+    throw new Error(`Source trop courte (${sourceDuration}s) pour une transition de ${overlap}s : ${source}`);
+  }
+  const clips = [];
+  let cursor = position;
+  let remaining = length;
+  while (remaining > 0.001) {
+    if (cursor + overlap >= sourceDuration - 0.05) cursor = 0;
+    const piece = Math.min(remaining, sourceDuration - cursor - overlap);
+    clips.push({ source, in: Number(cursor.toFixed(3)), out: Number((cursor + piece + overlap).toFixed(3)) });
+    cursor += piece;
+    remaining -= piece;
+  }
+  return { clips, position: cursor };
+};
+
+/**
+ * Associe chaque phrase du script à un extrait de la bibliothèque et construit la timeline correspondante
+ * (voir timeline.js).
+ *
+ * Score d'un extrait : nombre de mots-clés de la phrase présents dans ses tags, ses mots-clés ou son nom.
+ * À score égal, l'extrait le moins utilisé, puis un extrait différent du plan précédent, puis l'ordre alphabétique :
+ * le choix est reproductible. Un extrait réutilisé reprend là où il s'était arrêté.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} sentences - Phrases horodatées (voir splitSentences)
+ * @param {Object} library - Index renvoyé par loadMediaLibrary
+ * @param {string} mediaDir - Dossier des extraits
+ * @param {Object} options
+ * @param {{source: string, duration: number}} options.main - Vidéo principale, pour les phrases sans extrait
+ * @param {number} options.duration - Durée à couvrir
+ * @param {Array<string>} [options.tags] - Tags requis (tous) pour qu'un extrait soit candidat
+ * @param {number} [options.minScore=1] - Nombre minimal de mots-clés en commun
+ * @param {number} [options.minSlot=1.5] - Durée minimale d'un plan, en secondes
+ * @param {Object} [options.transition] - Transition entre plans ({ type, duration }, voir timeline.js)
+ * @returns {{timeline: Object, matches: Array<{start: number, end: number, text: string, clip: string|null, score: number, keywords: Array<string>}>}}
+ */
+const matchBroll = (sentences, library, mediaDir, options) => {
+  const { main, duration, tags = [], minScore = DEFAULT_MIN_SCORE, minSlot = DEFAULT_MIN_SLOT } = options;
+  let transition = options.transition && options.transition.duration > 0 ? options.transition : null;
+  // Vidéo principale trop courte pour chevaucher deux plans : coupes franches
+  if (transition && main.duration <= transition.duration * 2 + 0.1) {
+    getReporter().warn(`⚠️ Vidéo principale trop courte (${main.duration}s) pour la transition "${transition.type}" : coupes franches`);
+    transition = null;
+  }
+  const overlap = transition ? transition.duration : 0;
+
+  const wanted = tags.map((tag) => tag.toLowerCase());
+  const candidates = Object.values(library.clips)
+    .filter((clip) => wanted.every((tag) => clip.tags.map((t) => t.toLowerCase()).includes(tag)))
+    .filter((clip) => clip.duration > overlap * 2 + 0.1)
+    .map((clip) => ({
+      ...clip,
+      path: path.resolve(mediaDir, clip.file),
+      terms: new Set(keywordsFromText([...clip.tags, ...(clip.keywords || []), ...tagsFromPath(clip.file)].join(' '))),
+    }));
+
+  const uses = {};
+  const positions = {};
+  const clips = [];
+  const matches = [];
+  let previous = null;
+  buildSlots(sentences, duration, minSlot).forEach((slot) => {
+    const keywords = keywordsFromText(slot.text);
+    const ranked = candidates
+      .map((clip) => ({ clip, common: keywords.filter((keyword) => clip.terms.has(keyword)) }))
+      .filter(({ common }) => common.length >= minScore)
+      .sort((a, b) => b.common.length - a.common.length
+        || (uses[a.clip.file] || 0) - (uses[b.clip.file] || 0)
+        || (a.clip.file === previous) - (b.clip.file === previous)
+        || a.clip.file.localeCompare(b.clip.file));
+    const best = ranked[0];
+    const length = slot.end - slot.start;
+
+    if (best) {
+      const { file } = best.clip;
+      const taken = takeFrom(best.clip.path, best.clip.duration, positions[file] || 0, length, overlap);
+      clips.push(...taken.clips);
+      positions[file] = taken.position;
+      uses[file] = (uses[file] || 0) + 1;
+      previous = file;
+    } else {
+      // Vidéo principale au même instant : elle reste continue d'un plan à l'autre
+      clips.push(...takeFrom(main.source, main.duration, slot.start % main.duration, length, overlap).clips);
+      previous = null;
+    }
+    matches.push({
+      start: slot.start,
+      end: slot.end,
+      text: slot.text,
+      clip: best ? best.clip.file : null,
+      score: best ? best.common.length : 0,
+      keywords: best ? best.common : [],
+    });
+  });
+
+  return { timeline: { duration, transition, fill: 'loop', clips }, matches };
+};
+
+module.exports = {
+  MEDIA_LIBRARY_FILE,
+  VIDEO_EXTENSIONS,
+  isVideoFile,
+  keywordsFromText,
+  probeClip,
+  loadMediaLibrary,
+  splitSentences,
+  matchBroll,
+};
@@ -0,0 +1,267 @@
+/**
+ * musicLibrary.js
+ * Bibliothèque de musiques de fond : index `library.json` construit automatiquement (ffprobe / ffmpeg)
+ * dans le dossier des musiques, avec durée, volume perçu (LUFS), estimation du tempo (BPM) et tags.
+ *
+ * Les tags peuvent être modifiés à la main dans `library.json` : ils sont conservés lors des mises à jour
+ * de l'index. À la première indexation, ils sont proposés à partir du nom du fichier
+ * (ex: "epic-inspiration-205901.mp3" -> ["epic", "inspiration"]).
+ * Un crédit (`"credit": "Artiste - Titre (licence)"`) peut y être ajouté de la même façon : il est repris
+ * dans les métadonnées de la vidéo finale.
+ *
+ * La sélection se fait par fichier imposé, par tags, ou par tirage aléatoire avec graine :
+ * une même graine donne toujours la même musique, ce qui rend un rendu reproductible.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const { parseLoudnormStats } = require('./audioMix');
+const { getReporter } = require('./reporter');
+
+const LIBRARY_FILE = 'library.json';
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.aac', '.wav', '.flac', '.ogg', '.opus'];
+
+// Estimation du tempo : analyse des 60 premières secondes, en mono sous-échantillonné
+const BPM_SAMPLE_RATE = 11025;
+const BPM_HOP = 256;
+const BPM_ANALYSIS_SECONDS = 60;
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+
+/**
+ * Indique si un fichier est un fichier audio pris en charge.
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+const isAudioFile = (fileName) => AUDIO_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+/**
+ * Propose des tags à partir du nom d'un fichier (mots de plus de 2 lettres, sans les numéros).
+ * @param {string} fileName
+ * @returns {Array<string>}
+ */
+const tagsFromFileName = (fileName) =>
+  [...new Set(path.basename(fileName, path.extname(fileName))
+    .toLowerCase()
+    .split(/[^a-zà-ÿ]+/)
+    .filter((word) => word.length > 2))];
+
+/**
+ * Mesure le volume intégré (LUFS) d'un fichier avec le filtre loudnorm.
+ * @param {string} filePath
+ * @returns {Promise<number|null>}
+ */
+const measureLoudness = (filePath) =>
+  new Promise((resolve, reject) => {
+    const lines = [];
+    getReporter().track(ffmpeg(filePath))
+      .noVideo()
+      .audioFilters('loudnorm=print_format=json')
+      .format('null')
+      .on('stderr', (line) => lines.push(line))
+      .on('error', (err) => reject(new Error(`Mesure du volume impossible (${filePath}) : ${err.message}`)))
+      .on('end', () => {
+        const stats = parseLoudnormStats(lines);
+        const loudness = stats ? Number(stats.input_i) : NaN;
+        resolve(Number.isFinite(loudness) ? loudness : null);
+      })
+      .save('-');
+  });
+
+/**
+ * Estime le tempo d'un signal mono 16 bits : enveloppe d'attaques (variation d'énergie),
+ * puis autocorrélation sur la plage 60-180 BPM.
+ * @param {Buffer} pcm - Échantillons s16le mono
+ * @param {number} [sampleRate=11025]
+ * @returns {number|null}
+ */
+const bpmFromPcm = (pcm, sampleRate = BPM_SAMPLE_RATE) => {
+  const sampleCount = Math.floor(pcm.length / 2);
+
+  // Énergie par fenêtre, puis variation positive (attaques)
+  const energies = [];
+  for (let start = 0; start + BPM_HOP <= sampleCount; start += BPM_HOP) {
+    let sum = 0;
+    for (let i = start; i < start + BPM_HOP; i++) {
+      const sample = pcm.readInt16LE(i * 2) / 32768;
+      sum += sample * sample;
+    }
+    energies.push(Math.log(1e-9 + sum / BPM_HOP));
+  }
+  const rawOnsets = energies.slice(1).map((energy, i) => Math.max(0, energy - energies[i]));
+  // Lissage sur 3 fenêtres : un temps qui tombe entre deux fenêtres reste détecté
+  const onsets = rawOnsets.map((value, i) => (value + (rawOnsets[i - 1] || 0) + (rawOnsets[i + 1] || 0)) / 3);
+
+  const framesPerSecond = sampleRate / BPM_HOP;
+  const minLag = Math.floor((60 * framesPerSecond) / MAX_BPM);
+  const maxLag = Math.ceil((60 * framesPerSecond) / MIN_BPM);
+  if (onsets.length < maxLag * 4) return null;
+
+  // Décalages fractionnaires (pas de 1/4 de fenêtre) : un tempo ne tombe pas forcément sur un nombre entier de fenêtres
+  let bestLag = 0;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag += 0.25) {
+    const whole = Math.floor(lag);
+    const fraction = lag - whole;
+    let score = 0;
+    for (let i = whole + 1; i < onsets.length; i++) {
+      score += onsets[i] * (onsets[i - whole] * (1 - fraction) + onsets[i - whole - 1] * fraction);
+    }
+    // Pondération vers 120 BPM (écart-type d'une octave), pour éviter de trouver la moitié ou le double du tempo
+    const octaves = Math.log2((60 * framesPerSecond) / lag / 120);
+    score *= Math.exp(-0.5 * octaves * octaves) / (onsets.length - whole - 1);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  return bestLag ? Math.round((60 * framesPerSecond) / bestLag) : null;
+};
+
+/**
+ * Estime le tempo d'un morceau (sur ses 60 premières secondes).
+ * @param {string} filePath
+ * @returns {Promise<number|null>}
+ */
+const estimateBpm = (filePath) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = getReporter().track(ffmpeg(filePath))
+      .noVideo()
+      .duration(BPM_ANALYSIS_SECONDS)
+      .audioChannels(1)
+      .audioFrequency(BPM_SAMPLE_RATE)
+      .format('s16le')
+      .on('error', (err) => reject(new Error(`Estimation du tempo impossible (${filePath}) : ${err.message}`)))
+      .pipe();
+
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(bpmFromPcm(Buffer.concat(chunks))));
+  });
+
+/**
+ * Analyse un morceau : durée, volume perçu et tempo.
+ * @param {string} filePath
+ * @returns {Promise<{duration: number, loudness: number|null, bpm: number|null}>}
+ */
+const analyzeTrack = async (filePath) => {
+  const duration = await new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(Number(metadata.format.duration) || 0)));
+  });
+  const loudness = await measureLoudness(filePath);
+  const bpm = await estimateBpm(filePath);
+  return { duration, loudness, bpm };
+};
+
+/**
+ * Charge l'index de la bibliothèque et le met à jour : les nouveaux morceaux (ou modifiés) sont analysés,
+ * les morceaux disparus sont retirés, les fichiers non audio sont ignorés.
+ *
+ * @param {string} musicDir - Dossier des musiques
+ * @returns {Promise<{tracks: Object<string, Object>}>} - Index, également écrit dans <musicDir>/library.json
+ */
+const loadMusicLibrary = async (musicDir) => {
+  const libraryPath = path.join(musicDir, LIBRARY_FILE);
+  const previous = fs.existsSync(libraryPath) ? JSON.parse(fs.readFileSync(libraryPath, 'utf8')) : { tracks: {} };
+  const files = fs.readdirSync(musicDir).filter(isAudioFile).sort();
+  const tracks = {};
+  let changed = files.length !== Object.keys(previous.tracks || {}).length;
+
+  for (const file of files) {
+    const stat = fs.statSync(path.join(musicDir, file));
+    const known = previous.tracks && previous.tracks[file];
+    if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+      tracks[file] = known;
+      continue;
+    }
+
+    getReporter().info(`🎵 Analyse de ${file}...`);
+    const analysis = await analyzeTrack(path.join(musicDir, file));
+    tracks[file] = {
+      file,
+      ...analysis,
+      tags: known ? known.tags : tagsFromFileName(file),
+      credit: known ? known.credit : undefined,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+    };
+    changed = true;
+  }
+
+  const library = { tracks };
+  if (changed) {
+    fs.writeFileSync(libraryPath, JSON.stringify(library, null, 2), 'utf8');
+    getReporter().info(`✅ Bibliothèque musicale indexée : ${files.length} morceau(x) (${libraryPath})`);
+  }
+  return library;
+};
+
+/**
+ * Tire un élément d'une liste de façon déterministe à partir d'une graine.
+ * @param {Array<*>} items
+ * @param {string} seed
+ * @returns {*}
+ */
+const pickWithSeed = (items, seed) => {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  return items[hash.readUInt32BE(0) % items.length];
+};
+
+/**
+ * Choisit une musique de fond.
+ *
+ * @param {Object} library - Index renvoyé par loadMusicLibrary
+ * @param {string} musicDir - Dossier des musiques
+ * @param {Object} [criteria]
+ * @param {string} [criteria.file] - Musique imposée (nom dans le dossier ou chemin)
+ * @param {Array<string>} [criteria.tags] - Tags requis (tous)
+ * @param {string} [criteria.seed] - Graine du tirage (par défaut : tirée au hasard, puis renvoyée pour reproduire le choix)
+ * @param {number} [criteria.minDuration] - Durée à couvrir (ex: durée de la voix)
+ * @param {'loop'|'skip'} [criteria.fit='loop'] - Morceaux trop courts : bouclés, ou écartés
+ * @returns {{file: string, path: string, duration: number, loudness: number|null, bpm: number|null, tags: Array<string>, seed: string|null, loop: boolean}}
+ */
+const selectMusic = (library, musicDir, criteria = {}) => {
+  const { file, tags = [], minDuration = 0, fit = 'loop' } = criteria;
+  const all = Object.values(library.tracks);
+
+  if (file) {
+    const filePath = path.resolve(musicDir, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Fichier musique introuvable : ${filePath}`);
+    }
+    const track = all.find((candidate) => path.resolve(musicDir, candidate.file) === filePath)
+      || { file: path.basename(filePath), duration: null, loudness: null, bpm: null, tags: [] };
+    return { ...track, path: filePath, seed: null, loop: track.duration !== null && track.duration < minDuration };
+  }
+
+  const wanted = tags.map((tag) => tag.toLowerCase());
+  let candidates = all.filter((track) => wanted.every((tag) => track.tags.map((t) => t.toLowerCase()).includes(tag)));
+  if (!candidates.length) {
+    throw new Error(`Aucune musique avec les tags : ${wanted.join(', ') || '(aucun)'} dans ${musicDir}`);
+  }
+  if (fit === 'skip') {
+    candidates = candidates.filter((track) => track.duration >= minDuration);
+    if (!candidates.length) {
+      throw new Error(`Aucune musique assez longue (${minDuration.toFixed(1)}s) parmi les morceaux sélectionnés`);
+    }
+  }
+
+  const seed = criteria.seed !== undefined && criteria.seed !== null
+    ? String(criteria.seed)
+    : crypto.randomBytes(4).toString('hex');
+  const track = pickWithSeed(candidates, seed);
+  return { ...track, path: path.resolve(musicDir, track.file), seed, loop: track.duration < minDuration };
+};
+
+module.exports = {
+  LIBRARY_FILE,
+  AUDIO_EXTENSIONS,
+  isAudioFile,
+  analyzeTrack,
+  bpmFromPcm,
+  estimateBpm,
+  loadMusicLibrary,
+  selectMusic,
+};
@@ -0,0 +1,272 @@
+/**
+ * outputProfiles.js
+ * Profils de sortie : résolution, cadence, codecs, qualité et contraintes des plateformes cibles.
+ * Le profil pilote les dimensions du recadrage et du montage, les options de l'encodage final,
+ * puis la vérification du fichier produit (ffprobe).
+ *
+ * Les durées et tailles maximales sont indicatives : elles suivent les limites publiées par
+ * les plateformes et peuvent être ajustées dans un profil personnalisé.
+ */
+
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+
+const DEFAULT_PROFILE = 'vertical-720';
+const PROXY_SIZE = 360;
+
+/**
+ * Réglages communs à tous les profils.
+ */
+const BASE_PROFILE = {
+  width: 720,
+  height: 1280,
+  fps: 30,
+  videoCodec: 'libx264',
+  preset: 'medium',
+  crf: 23,               // Qualité constante (ignorée si videoBitrate est défini)
+  videoBitrate: null,    // Débit cible, ex: "6M"
+  maxBitrate: null,      // Débit maximal (VBV), ex: "8M"
+  pixelFormat: 'yuv420p',
+  audioCodec: 'aac',
+  audioBitrate: '128k',
+  audioSampleRate: 44100,
+  loudness: -14,         // Cible de normalisation, en LUFS intégrés
+  truePeak: -1,          // Crête maximale, en dBTP
+  maxDuration: null,     // En secondes (null = sans limite)
+  maxFileSizeMB: null,   // En Mo (null = sans limite)
+};
+
+/**
+ * Profils prédéfinis.
+ */
+const PROFILES = {
+  // Rendu historique de VOD Creator
+  'vertical-720': {},
+  tiktok: {
+    width: 1080, height: 1920, crf: 20, maxBitrate: '8M', audioBitrate: '192k', maxDuration: 600, maxFileSizeMB: 287,
+  },
+  'youtube-shorts': {
+    width: 1080, height: 1920, crf: 20, audioBitrate: '192k', audioSampleRate: 48000, maxDuration: 180, maxFileSizeMB: 2048,
+  },
+  'instagram-feed': {
+    width: 1080, height: 1350, crf: 21, maxBitrate: '5M', audioSampleRate: 48000, maxDuration: 3600, maxFileSizeMB: 650,
+  },
+  landscape: {
+    width: 1920, height: 1080, crf: 20, audioBitrate: '192k', audioSampleRate: 48000,
+  },
+};
+
+// Nom du codec tel que rapporté par ffprobe, pour les encodeurs courants
+const PROBED_CODEC_NAMES = {
+  libx264: 'h264',
+  libx265: 'hevc',
+  'libvpx-vp9': 'vp9',
+  'libaom-av1': 'av1',
+  libsvtav1: 'av1',
+  libmp3lame: 'mp3',
+  libopus: 'opus',
+};
+
+/**
+ * Le fichier produit ne respecte pas le profil de sortie.
+ */
+class ProfileValidationError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = this.constructor.name;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Liste les profils prédéfinis.
+ * @returns {Array<string>}
+ */
+const listOutputProfiles = () => Object.keys(PROFILES);
+
+/**
+ * Charge un profil de sortie : nom prédéfini, chemin JSON ou objet.
+ * Un profil personnalisé peut hériter d'un profil prédéfini avec "extends".
+ *
+ * @param {string|Object} [profile='vertical-720']
+ * @returns {Object} - Profil complet, avec son nom
+ */
+const loadOutputProfile = (profile = DEFAULT_PROFILE) => {
+  let raw = profile || DEFAULT_PROFILE;
+
+  if (typeof raw === 'string') {
+    if (PROFILES[raw]) {
+      return { ...BASE_PROFILE, ...PROFILES[raw], name: raw };
+    }
+    if (!raw.toLowerCase().endsWith('.json') || !fs.existsSync(raw)) {
+      throw new Error(`Profil de sortie introuvable : ${raw} (profils : ${listOutputProfiles().join(', ')})`);
+    }
+    raw = JSON.parse(fs.readFileSync(raw, 'utf8'));
+  }
+
+  const parent = raw.extends ? loadOutputProfile(raw.extends) : BASE_PROFILE;
+  const { extends: _extends, ...overrides } = raw;
+  const resolved = { ...parent, ...overrides, name: raw.name || raw.extends || 'custom' };
+
+  if (!(resolved.width > 0) || !(resolved.height > 0) || resolved.width % 2 || resolved.height % 2) {
+    throw new Error(`Dimensions invalides pour le profil ${resolved.name} : ${resolved.width}x${resolved.height} (valeurs paires attendues)`);
+  }
+  return resolved;
+};
+
+/**
+ * Profil d'aperçu (proxy) : même format d'image, petit côté ramené à `size` pixels (360p par défaut),
+ * encodage le plus rapide possible. Les contraintes de durée de la plateforme sont conservées.
+ * @param {Object} profile - Profil complet (voir loadOutputProfile)
+ * @param {Object} [options]
+ * @param {number} [options.size=360] - Petit côté de l'aperçu, en pixels
+ * @returns {Object}
+ */
+const buildProxyProfile = (profile, { size = PROXY_SIZE } = {}) => {
+  const scale = size / Math.min(profile.width, profile.height);
+  const even = (value) => Math.max(2, Math.round((value * scale) / 2) * 2);
+  return {
+    ...profile,
+    name: `${profile.name}-preview`,
+    width: even(profile.width),
+    height: even(profile.height),
+    preset: 'ultrafast',
+    crf: 30,
+    videoBitrate: null,
+    maxBitrate: null,
+    maxFileSizeMB: null,
+  };
+};
+
+/**
+ * Options FFmpeg d'encodage final pour un profil.
+ * @param {Object} profile
+ * @returns {Array<string>}
+ */
+const buildEncodingOptions = (profile) => {
+  const options = [
+    `-c:v ${profile.videoCodec}`,
+    `-preset ${profile.preset}`,
+    `-pix_fmt ${profile.pixelFormat}`,
+    `-r ${profile.fps}`,
+  ];
+
+  if (profile.videoBitrate) {
+    options.push(`-b:v ${profile.videoBitrate}`);
+  } else {
+    options.push(`-crf ${profile.crf}`);
+  }
+  if (profile.maxBitrate) {
+    // Tampon VBV de deux fois le débit maximal
+    const bufferSize = profile.maxBitrate.replace(/^([\d.]+)/, (value) => String(Number(value) * 2));
+    options.push(`-maxrate ${profile.maxBitrate}`, `-bufsize ${bufferSize}`);
+  }
+
+  options.push(
+    `-c:a ${profile.audioCodec}`,
+    `-b:a ${profile.audioBitrate}`,
+    `-ar ${profile.audioSampleRate}`,
+    '-movflags +faststart'
+  );
+  return options;
+};
+
+/**
+ * Vérifie avant le rendu qu'une durée est compatible avec le profil.
+ * @param {number} duration - En secondes
+ * @param {Object} profile
+ * @throws {ProfileValidationError}
+ */
+const checkDuration = (duration, profile) => {
+  if (profile.maxDuration && duration > profile.maxDuration) {
+    const problem = `durée ${duration.toFixed(1)}s > ${profile.maxDuration}s`;
+    throw new ProfileValidationError(`La voix est trop longue pour le profil ${profile.name} : ${problem}`, [problem]);
+  }
+};
+
+/**
+ * Évalue une cadence ffprobe ("30000/1001").
+ * @param {string} rate
+ * @returns {number}
+ */
+const parseFrameRate = (rate) => {
+  const [numerator, denominator = 1] = String(rate || '0').split('/').map(Number);
+  return denominator ? numerator / denominator : 0;
+};
+
+/**
+ * Vérifie un fichier produit avec ffprobe : dimensions, codecs, cadence, format de pixels,
+ * durée et taille maximales.
+ *
+ * @param {string} filePath
+ * @param {Object} profile
+ * @returns {Promise<{width: number, height: number, fps: number, duration: number, sizeMB: number}>}
+ * @throws {ProfileValidationError} - Avec la liste des écarts dans `problems`
+ */
+const validateOutputFile = (filePath, profile) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(err);
+
+      const video = metadata.streams.find((s) => s.codec_type === 'video');
+      const audio = metadata.streams.find((s) => s.codec_type === 'audio');
+      const duration = Number(metadata.format.duration) || 0;
+      const sizeMB = fs.statSync(filePath).size / (1024 * 1024);
+      const problems = [];
+      const fps = video ? parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate) : 0;
+
+      if (!video) {
+        problems.push('aucune piste vidéo');
+      } else {
+        const expectedVideoCodec = PROBED_CODEC_NAMES[profile.videoCodec] || profile.videoCodec;
+        if (video.width !== profile.width || video.height !== profile.height) {
+          problems.push(`résolution ${video.width}x${video.height} au lieu de ${profile.width}x${profile.height}`);
+        }
+        if (video.codec_name !== expectedVideoCodec) {
+          problems.push(`codec vidéo ${video.codec_name} au lieu de ${expectedVideoCodec}`);
+        }
+        if (video.pix_fmt !== profile.pixelFormat) {
+          problems.push(`format de pixels ${video.pix_fmt} au lieu de ${profile.pixelFormat}`);
+        }
+        if (Math.abs(fps - profile.fps) > 0.5) {
+          problems.push(`cadence ${fps.toFixed(2)} i/s au lieu de ${profile.fps}`);
+        }
+      }
+
+      if (!audio) {
+        problems.push('aucune piste audio');
+      } else {
+        const expectedAudioCodec = PROBED_CODEC_NAMES[profile.audioCodec] || profile.audioCodec;
+        if (audio.codec_name !== expectedAudioCodec) {
+          problems.push(`codec audio ${audio.codec_name} au lieu de ${expectedAudioCodec}`);
+        }
+      }
+
+      if (profile.maxDuration && duration > profile.maxDuration + 0.1) {
+        problems.push(`durée ${duration.toFixed(1)}s > ${profile.maxDuration}s`);
+      }
+      if (profile.maxFileSizeMB && sizeMB > profile.maxFileSizeMB) {
+        problems.push(`taille ${sizeMB.toFixed(1)} Mo > ${profile.maxFileSizeMB} Mo`);
+      }
+
+      if (problems.length) {
+        return reject(new ProfileValidationError(
+          `Le fichier ${filePath} ne respecte pas le profil ${profile.name} : ${problems.join(' ; ')}`,
+          problems
+        ));
+      }
+      resolve({ width: video.width, height: video.height, fps, duration, sizeMB });
+    });
+  });
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILES,
+  ProfileValidationError,
+  listOutputProfiles,
+  loadOutputProfile,
+  buildProxyProfile,
+  buildEncodingOptions,
+  checkDuration,
+  validateOutputFile,
+};
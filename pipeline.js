@@ -0,0 +1,236 @@
+/**
+ * pipeline.js
+ * Exécution des étapes de création d'une VOD avec cache :
+ * chaque étape déclare ses fichiers d'entrée et ses paramètres, dont on calcule une empreinte (sha256).
+ * Le résultat est rangé dans `<cacheDir>/<étape>/<empreinte>/` ; lors d'une reprise, une étape dont
+ * les entrées n'ont pas changé n'est pas relancée.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getReporter, RenderCancelledError } = require('./reporter');
+const { removePaths } = require('./cleanup');
+
+/**
+ * Calcule le sha256 d'un fichier en streaming.
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+
+/**
+ * sha256 d'une valeur sérialisable.
+ * @param {*} value
+ * @returns {string}
+ */
+const hashValue = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+/**
+ * Récupère les chemins absolus de fichiers existants contenus dans un résultat d'étape.
+ * @param {*} result
+ * @returns {Array<string>}
+ */
+const collectPaths = (result) => {
+  if (typeof result === 'string') {
+    return path.isAbsolute(result) && fs.existsSync(result) ? [result] : [];
+  }
+  if (Array.isArray(result)) return result.flatMap(collectPaths);
+  if (result && typeof result === 'object') {
+    return Object.entries(result)
+      .filter(([key]) => key.endsWith('Path') || key.endsWith('Paths'))
+      .flatMap(([, value]) => collectPaths(value));
+  }
+  return [];
+};
+
+/**
+ * Lit les empreintes mémorisées ; un fichier absent ou illisible équivaut à un cache vide.
+ * @param {string} filePath
+ * @returns {Object}
+ */
+const readFileHashes = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Ajoute des empreintes au fichier partagé. Le fichier est relu juste avant l'écriture pour
+ * conserver les entrées des rendus concurrents, puis remplacé par renommage d'un fichier
+ * temporaire : un lecteur ne voit jamais de JSON à moitié écrit.
+ * @param {string} filePath
+ * @param {Object} entries - Empreintes à ajouter, par chemin absolu
+ */
+const saveFileHashes = (filePath, entries) => {
+  const tempPath = `${filePath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ ...readFileHashes(filePath), ...entries }, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Crée un pipeline d'étapes avec cache.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.stages - Noms des étapes, dans l'ordre d'exécution
+ * @param {string} options.cacheDir - Dossier du cache
+ * @param {string} options.runKey - Identifiant stable du rendu (sert à mémoriser les choix, ex: musique tirée au sort)
+ * @param {boolean} [options.resume=false] - Réutiliser les résultats en cache des étapes inchangées
+ * @param {string} [options.fromStage] - Relancer cette étape et les suivantes même si elles sont en cache (implique resume)
+ */
+const createPipeline = ({ stages, cacheDir, runKey, resume = false, fromStage = null }) => {
+  if (fromStage && !stages.includes(fromStage)) {
+    throw new Error(`Étape inconnue : ${fromStage} (étapes : ${stages.join(', ')})`);
+  }
+  const useCache = resume || Boolean(fromStage);
+  const forcedFrom = fromStage ? stages.indexOf(fromStage) : Infinity;
+
+  const fileHashesPath = path.join(cacheDir, 'file-hashes.json');
+  const runPath = path.join(cacheDir, 'runs', `${runKey}.json`);
+  fs.mkdirSync(path.dirname(runPath), { recursive: true });
+
+  const fileHashes = readFileHashes(fileHashesPath);
+  const runState = useCache && fs.existsSync(runPath) ? JSON.parse(fs.readFileSync(runPath, 'utf8')) : {};
+  const usedDirs = [];
+  const producedFiles = [];
+  const timings = [];
+
+  /**
+   * Empreinte d'un fichier, mémorisée par chemin + taille + date de modification
+   * pour ne pas relire les vidéos volumineuses à chaque exécution.
+   */
+  const fingerprint = async (filePath) => {
+    const stat = fs.statSync(filePath);
+    const key = path.resolve(filePath);
+    const cached = fileHashes[key];
+    if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+      return cached.hash;
+    }
+    const hash = await hashFile(filePath);
+    fileHashes[key] = { size: stat.size, mtimeMs: stat.mtimeMs, hash };
+    saveFileHashes(fileHashesPath, { [key]: fileHashes[key] });
+    return hash;
+  };
+
+  return {
+    /**
+     * Durée de chaque étape exécutée, dans l'ordre : { stage, duration (s), cached, failed }.
+     */
+    timings,
+
+    /**
+     * Empreinte sha256 d'un fichier (mémorisée dans le cache).
+     * @param {string} filePath
+     * @returns {Promise<string>}
+     */
+    fingerprint,
+
+    /**
+     * Exécute une étape, ou réutilise son résultat en cache.
+     * @param {string} name - Nom de l'étape (doit figurer dans `stages`)
+     * @param {Object} inputs
+     * @param {Array<string>} [inputs.files] - Fichiers dont le contenu détermine le résultat
+     * @param {Object} [inputs.params] - Paramètres sérialisables qui déterminent le résultat
+     * @param {function(string): Promise<*>} run - Reçoit le dossier de l'étape ; renvoie un résultat sérialisable
+     * @returns {Promise<*>}
+     */
+    async run(name, { files = [], params = {} }, run) {
+      const index = stages.indexOf(name);
+      if (index === -1) {
+        throw new Error(`Étape inconnue : ${name}`);
+      }
+      const reporter = getReporter();
+      reporter.throwIfCancelled();
+      const startedAt = Date.now();
+      const elapsed = () => (Date.now() - startedAt) / 1000;
+      const end = (result) => {
+        const duration = elapsed();
+        timings.push({ stage: name, duration, cached: Boolean(result.cached), failed: Boolean(result.error) });
+        reporter.stageEnd(name, { ...result, duration });
+      };
+      reporter.stageStart(name, { index, total: stages.length });
+
+      const fileHashList = [];
+      for (const file of files.filter(Boolean)) {
+        fileHashList.push(await fingerprint(file));
+      }
+      const hash = hashValue({ name, params, files: fileHashList }).slice(0, 16);
+      const stageDir = path.join(cacheDir, name, hash);
+      const resultPath = path.join(stageDir, 'result.json');
+      usedDirs.push(stageDir);
+
+      if (useCache && index < forcedFrom && fs.existsSync(resultPath)) {
+        const { result, outputs } = JSON.parse(fs.readFileSync(resultPath, 'utf8'));
+        if (outputs.every((output) => fs.existsSync(output))) {
+          reporter.info(`⏭️  Étape "${name}" inchangée, résultat en cache.`);
+          producedFiles.push(...outputs);
+          end({ cached: true });
+          return result;
+        }
+      }
+
+      reporter.info(`▶️  Étape "${name}"...`);
+      fs.rmSync(stageDir, { recursive: true, force: true });
+      fs.mkdirSync(stageDir, { recursive: true });
+
+      let result;
+      try {
+        result = await run(stageDir);
+      } catch (error) {
+        // Processus tués par l'annulation : l'erreur d'origine (ex: "killed with signal SIGKILL") n'est pas parlante
+        const failure = reporter.signal && reporter.signal.aborted ? new RenderCancelledError() : error;
+        end({ error: failure });
+        throw failure;
+      }
+      const outputs = collectPaths(result);
+      producedFiles.push(...outputs);
+      fs.writeFileSync(resultPath, JSON.stringify({ result, outputs, finishedAt: new Date().toISOString() }, null, 2), 'utf8');
+      end({});
+      return result;
+    },
+
+    /**
+     * Mémorise une valeur pour ce rendu (ex: musique choisie au hasard) afin qu'une reprise
+     * retrouve les mêmes entrées et donc le cache.
+     * @param {string} key
+     * @param {function(): *} compute
+     * @returns {*}
+     */
+    remember(key, compute) {
+      if (!(key in runState)) {
+        runState[key] = compute();
+        fs.writeFileSync(runPath, JSON.stringify(runState, null, 2), 'utf8');
+      }
+      return runState[key];
+    },
+
+    /**
+     * Supprime les fichiers intermédiaires de ce rendu (dossiers d'étapes et fichiers produits),
+     * sauf ceux de `keep`.
+     * @param {Array<string>} [keep] - Chemins à conserver
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Lister sans supprimer
+     * @returns {Array<string>} - Chemins supprimés (ou qui l'auraient été)
+     */
+    cleanup(keep = [], { dryRun = false } = {}) {
+      const kept = keep.filter(Boolean).map((file) => path.resolve(file));
+      // Les fichiers rangés dans un dossier d'étape partent avec lui
+      const files = producedFiles.filter((file) => !kept.includes(path.resolve(file))
+        && !usedDirs.some((dir) => path.resolve(file).startsWith(`${path.resolve(dir)}${path.sep}`)));
+      const removed = removePaths([...files, ...usedDirs], { dryRun });
+      if (!dryRun) fs.rmSync(runPath, { force: true });
+      return removed;
+    },
+  };
+};
+
+module.exports = { createPipeline, hashFile, hashValue };
@@ -0,0 +1,291 @@
+/**
+ * preflight.js
+ * Vérifications préalables d'un rendu, avant tout téléchargement ou encodage : outils externes
+ * (ffmpeg, ffprobe, yt-dlp) et filtres FFmpeg nécessaires, cookies, sources locales, voix et musiques
+ * (lisibles par ffprobe), bibliothèque d'extraits (B-roll), durées au regard des sources et du profil, espace disque.
+ * Tous les problèmes sont rapportés en une fois. Utilisé au début de chaque rendu et par la commande `doctor`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const { resolveSource } = require('./sourceResolver');
+const { LIBRARY_FILE, isAudioFile } = require('./musicLibrary');
+const { MEDIA_LIBRARY_FILE, isVideoFile } = require('./mediaLibrary');
+
+const DEFAULT_MIN_FREE_SPACE_MB = 1024;
+
+/**
+ * Des vérifications préalables ont échoué.
+ */
+class PreflightError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<string>} problems - Problèmes bloquants
+   */
+  constructor(message, problems = []) {
+    super(message);
+    this.name = this.constructor.name;
+    this.problems = problems;
+  }
+}
+
+let toolVersions = null;
+
+/**
+ * Première ligne de `<commande> <args>`, ou null si l'outil est absent.
+ * @param {string} command
+ * @param {Array<string>} args
+ * @returns {string|null}
+ */
+const readToolVersion = (command, args) => {
+  const result = spawnSync(command, args, { encoding: 'utf8', timeout: 10000 });
+  if (result.error || result.status !== 0) return null;
+  return result.stdout.split('\n')[0].trim() || null;
+};
+
+/**
+ * Versions des outils utilisés par le rendu (lues une fois par processus), null pour un outil absent.
+ * @returns {{node: string, ffmpeg: string|null, ffprobe: string|null, ytDlp: string|null}}
+ */
+const getToolVersions = () => {
+  if (!toolVersions) {
+    const version = (line) => line && (line.match(/version (\S+)/) || [null, line])[1];
+    toolVersions = {
+      node: process.version,
+      ffmpeg: version(readToolVersion(process.env.FFMPEG_PATH || 'ffmpeg', ['-version'])),
+      ffprobe: version(readToolVersion(process.env.FFPROBE_PATH || 'ffprobe', ['-version'])),
+      ytDlp: readToolVersion('yt-dlp', ['--version']),
+    };
+  }
+  return toolVersions;
+};
+
+/**
+ * Filtres disponibles dans le binaire FFmpeg.
+ * @returns {Array<string>}
+ */
+const listFfmpegFilters = () => {
+  const result = spawnSync(process.env.FFMPEG_PATH || 'ffmpeg', ['-hide_banner', '-filters'], { encoding: 'utf8', timeout: 10000 });
+  if (result.error || result.status !== 0) return [];
+  return result.stdout
+    .split('\n')
+    .map((line) => line.trim().split(/\s+/))
+    .filter((columns) => columns.length >= 3 && /->/.test(columns[2]))
+    .map((columns) => columns[1]);
+};
+
+/**
+ * ffprobe d'un fichier, ou l'erreur rencontrée.
+ * @param {string} filePath
+ * @returns {Promise<{metadata?: Object, error?: Error}>}
+ */
+const probe = (filePath) =>
+  new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (error, metadata) => resolve(error ? { error } : { metadata }));
+  });
+
+/**
+ * Durée et présence d'une piste du type attendu, ou le problème constaté.
+ * @param {string} filePath
+ * @param {'audio'|'video'} type
+ * @returns {Promise<{duration?: number, problem?: string}>}
+ */
+const probeMedia = async (filePath, type) => {
+  const { metadata, error } = await probe(filePath);
+  // Dernière ligne : le message de ffprobe plutôt que son code de sortie
+  if (error) return { problem: `illisible (${error.message.trim().split('\n').pop()})` };
+  if (!metadata.streams.some((stream) => stream.codec_type === type)) {
+    return { problem: `aucune piste ${type === 'audio' ? 'audio' : 'vidéo'}` };
+  }
+  const duration = Number(metadata.format.duration) || 0;
+  return duration > 0 ? { duration } : { problem: 'durée nulle ou inconnue' };
+};
+
+/**
+ * Vérifie l'environnement et les entrées d'un rendu. Chaque vérification produit une ligne du rapport.
+ *
+ * @param {Object} params
+ * @param {Array<string>} [params.sources] - Sources du montage (URL ou fichiers) ; aucune pour `doctor`
+ * @param {string} [params.voicePath] - Fichier voix
+ * @param {string} [params.musicDir] - Dossier des musiques (toutes doivent être lisibles : elles sont indexées)
+ * @param {Object} [params.music] - Critères de musique ({ file } : musique imposée)
+ * @param {Object} [params.profile] - Profil de sortie (durée maximale)
+ * @param {number} [params.extraDuration=0] - Durée ajoutée à la voix (traîne de musique, intro, outro)
+ * @param {string} [params.mediaDir] - Bibliothèque d'extraits du montage automatique (B-roll)
+ * @param {Object} [params.download] - Options de téléchargement ({ cookiesPath })
+ * @param {Array<string>} [params.filters=['ass']] - Filtres FFmpeg requis
+ * @param {string} [params.workDir] - Dossier de travail (espace disque)
+ * @param {number} [params.minFreeSpaceMB=1024] - Espace libre minimal
+ * @returns {Promise<{checks: Array<{level: 'ok'|'warning'|'error', label: string, message: string}>,
+ *   errors: Array<string>, warnings: Array<string>, voiceDuration: number|null}>}
+ */
+const runPreflight = async ({
+  sources = [],
+  voicePath = null,
+  musicDir = null,
+  music = {},
+  profile = null,
+  extraDuration = 0,
+  mediaDir = null,
+  download = {},
+  filters = ['ass'],
+  workDir = null,
+  minFreeSpaceMB = DEFAULT_MIN_FREE_SPACE_MB,
+} = {}) => {
+  const checks = [];
+  const add = (level, label, message) => checks.push({ level, label, message });
+
+  // Outils externes
+  const tools = getToolVersions();
+  add(tools.ffmpeg ? 'ok' : 'error', 'ffmpeg', tools.ffmpeg || 'introuvable (installez FFmpeg ou définissez FFMPEG_PATH)');
+  add(tools.ffprobe ? 'ok' : 'error', 'ffprobe', tools.ffprobe || 'introuvable (installé avec FFmpeg, ou FFPROBE_PATH)');
+  if (tools.ffmpeg) {
+    const available = listFfmpegFilters();
+    filters.forEach((filter) => add(
+      available.includes(filter) ? 'ok' : 'error',
+      `filtre ${filter}`,
+      available.includes(filter) ? 'disponible' : `absent de FFmpeg (${filter === 'ass' ? 'compilé sans libass' : 'compilé sans libfreetype'})`
+    ));
+  }
+
+  const resolved = [];
+  sources.forEach((input) => {
+    try {
+      resolved.push(resolveSource(input));
+    } catch (err) {
+      add('error', 'source', err.message);
+    }
+  });
+  const needsDownloader = resolved.some((source) => source.type === 'remote');
+  if (needsDownloader || !sources.length) {
+    const level = tools.ytDlp ? 'ok' : needsDownloader ? 'error' : 'warning';
+    add(level, 'yt-dlp', tools.ytDlp || 'introuvable (requis pour les sources distantes)');
+  }
+  if (download.cookiesPath) {
+    const found = fs.existsSync(download.cookiesPath);
+    add(found ? 'ok' : 'error', 'cookies', found ? download.cookiesPath : `fichier introuvable : ${download.cookiesPath}`);
+  }
+
+  const musicPath = musicDir && music.file ? path.resolve(musicDir, music.file) : null;
+  if (voicePath && !fs.existsSync(voicePath)) add('error', 'voix', `fichier introuvable : ${voicePath}`);
+  if (musicPath && !fs.existsSync(musicPath)) add('error', 'musique', `fichier introuvable : ${musicPath}`);
+  if (mediaDir && !fs.existsSync(mediaDir)) add('error', 'extraits', `dossier introuvable : ${mediaDir}`);
+
+  // Contenu des fichiers : sans ffprobe, les sondes échoueraient toutes pour la même raison
+  let voiceDuration = null;
+  let sourceDuration = 0;
+  if (tools.ffprobe) {
+    for (const source of resolved.filter((item) => item.type === 'local')) {
+      const { duration, problem } = await probeMedia(source.path, 'video');
+      add(problem ? 'error' : 'ok', 'source', problem ? `${source.input} : ${problem}` : `${source.input} (${duration.toFixed(1)}s)`);
+      sourceDuration += duration || 0;
+    }
+
+    if (voicePath && fs.existsSync(voicePath)) {
+      const { duration, problem } = await probeMedia(voicePath, 'audio');
+      voiceDuration = duration || null;
+      add(problem ? 'error' : 'ok', 'voix', problem ? `${voicePath} : ${problem}` : `${path.basename(voicePath)} (${duration.toFixed(1)}s)`);
+    }
+
+    if (musicDir) {
+      // Les morceaux déjà indexés (inchangés) ont été lus avec succès : seuls les nouveaux sont sondés
+      const libraryPath = path.join(musicDir, LIBRARY_FILE);
+      const indexed = fs.existsSync(libraryPath) ? JSON.parse(fs.readFileSync(libraryPath, 'utf8')).tracks || {} : {};
+      const files = fs.existsSync(musicDir) ? fs.readdirSync(musicDir).filter(isAudioFile).sort() : [];
+      const unreadable = [];
+      for (const file of files) {
+        const stat = fs.statSync(path.join(musicDir, file));
+        const known = indexed[file];
+        if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) continue;
+        const { problem } = await probeMedia(path.join(musicDir, file), 'audio');
+        if (problem) unreadable.push(`${file} : ${problem}`);
+      }
+      unreadable.forEach((problem) => add('error', 'musique', `${problem} (retirez le fichier de ${musicDir})`));
+
+      if (musicPath) {
+        if (fs.existsSync(musicPath)) {
+          const { duration, problem } = await probeMedia(musicPath, 'audio');
+          add(problem ? 'error' : 'ok', 'musique', problem ? `${musicPath} : ${problem}` : `${path.basename(musicPath)} (${duration.toFixed(1)}s)`);
+        }
+      } else if (!files.length) {
+        add('error', 'musique', `aucune musique dans ${musicDir}`);
+      } else if (!unreadable.length) {
+        add('ok', 'musique', `${files.length} morceau(x) lisible(s)`);
+      }
+    }
+
+    if (mediaDir && fs.existsSync(mediaDir)) {
+      // Comme pour les musiques, seuls les extraits absents de l'index (ou modifiés) sont sondés ;
+      // un extrait illisible est seulement ignoré au rendu
+      const libraryPath = path.join(mediaDir, MEDIA_LIBRARY_FILE);
+      const indexed = fs.existsSync(libraryPath) ? JSON.parse(fs.readFileSync(libraryPath, 'utf8')).clips || {} : {};
+      const files = fs.readdirSync(mediaDir, { recursive: true }).map((file) => file.split(path.sep).join('/')).filter(isVideoFile);
+      let unreadable = 0;
+      for (const file of files) {
+        const stat = fs.statSync(path.join(mediaDir, file));
+        const known = indexed[file];
+        if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) continue;
+        const { problem } = await probeMedia(path.join(mediaDir, file), 'video');
+        if (problem) {
+          unreadable += 1;
+          add('warning', 'extraits', `${file} : ${problem} (ignoré)`);
+        }
+      }
+      if (files.length - unreadable > 0) {
+        add('ok', 'extraits', `${files.length - unreadable} extrait(s) dans ${mediaDir}`);
+      } else {
+        add('warning', 'extraits', `aucun extrait lisible dans ${mediaDir} : la vidéo principale sera seule utilisée`);
+      }
+    }
+  }
+
+  // Durées : limite du profil, et sources plus courtes que la voix (bouclées)
+  if (voiceDuration) {
+    const total = voiceDuration + extraDuration;
+    if (profile && profile.maxDuration && total > profile.maxDuration) {
+      add('error', 'durée', `${total.toFixed(1)}s (voix + musique de fin + intro / outro) > ${profile.maxDuration}s autorisées par le profil ${profile.name}`);
+    } else {
+      add('ok', 'durée', `${total.toFixed(1)}s${profile && profile.maxDuration ? ` (maximum ${profile.maxDuration}s)` : ''}`);
+    }
+    if (sourceDuration && !needsDownloader && sourceDuration < voiceDuration) {
+      add('warning', 'durée', `sources plus courtes que la voix (${sourceDuration.toFixed(1)}s < ${voiceDuration.toFixed(1)}s) : elles seront bouclées`);
+    }
+  }
+
+  // Espace disque du dossier de travail
+  if (workDir) {
+    // Le dossier peut ne pas encore exister : espace du plus proche dossier parent existant
+    let existingDir = path.resolve(workDir);
+    while (!fs.existsSync(existingDir) && path.dirname(existingDir) !== existingDir) {
+      existingDir = path.dirname(existingDir);
+    }
+    const stats = fs.statfsSync(existingDir);
+    const freeMB = (stats.bavail * stats.bsize) / (1024 * 1024);
+    add(freeMB < minFreeSpaceMB ? 'error' : 'ok', 'disque',
+      `${(freeMB / 1024).toFixed(1)} Go libres dans ${workDir}${freeMB < minFreeSpaceMB ? ` (minimum ${(minFreeSpaceMB / 1024).toFixed(1)} Go)` : ''}`);
+  }
+
+  const messages = (level) => checks.filter((check) => check.level === level).map(({ label, message }) => `${label} : ${message}`);
+  return { checks, errors: messages('error'), warnings: messages('warning'), voiceDuration };
+};
+
+/**
+ * Lignes lisibles d'un rapport de vérification.
+ * @param {Object} report - Voir runPreflight
+ * @returns {Array<string>}
+ */
+const formatPreflightReport = (report) => {
+  const icons = { ok: '✅', warning: '⚠️ ', error: '❌' };
+  return report.checks.map(({ level, label, message }) => `${icons[level]} ${label.padEnd(14)} ${message}`);
+};
+
+module.exports = {
+  PreflightError,
+  DEFAULT_MIN_FREE_SPACE_MB,
+  getToolVersions,
+  listFfmpegFilters,
+  runPreflight,
+  formatPreflightReport,
+};
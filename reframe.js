@@ -0,0 +1,311 @@
+/**
+ * reframe.js
+ * Recadrage d'une vidéo au format vertical (9:16) :
+ * - "center" : agrandissement puis recadrage centré (comportement historique)
+ * - "blur"   : image entière sur un fond flouté et agrandi de la même vidéo
+ * - "manual" : fenêtre de recadrage fixe (x / y entre 0 et 1) ou panoramique par images clés
+ * - "auto"   : fenêtre choisie par plan, à partir de la détection de scènes et du mouvement
+ *              (différence entre images + cropdetect), calculée sur le CPU par FFmpeg
+ *
+ * Les décalages x / y vont de 0 (bord gauche / haut) à 1 (bord droit / bas) ; 0.5 = centré.
+ */
+
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const { getReporter } = require('./reporter');
+
+const REFRAME_MODES = ['center', 'blur', 'manual', 'auto'];
+
+// Analyse automatique : cadence et largeur réduites pour rester rapide sur le CPU
+const ANALYSIS_FPS = 4;
+const ANALYSIS_WIDTH = 320;
+const DEFAULT_SCENE_THRESHOLD = 0.3;
+// Écart minimal (en fraction de l'image) pour changer de cadrage entre deux plans
+const MIN_SHIFT = 0.05;
+
+/**
+ * Normalise une configuration de recadrage.
+ * Accepte un nom de mode, "manual:<x>" (ex: "manual:0.3"), un chemin JSON ou un objet.
+ *
+ * @param {string|Object} [reframe='center']
+ * @returns {{mode: string, x?: number, y?: number, keyframes?: Array<Object>, interpolation?: string}}
+ */
+const normalizeReframe = (reframe) => {
+  let spec = reframe || 'center';
+
+  if (typeof spec === 'string') {
+    if (spec.toLowerCase().endsWith('.json')) {
+      spec = JSON.parse(fs.readFileSync(spec, 'utf8'));
+    } else {
+      const [mode, x, y] = spec.split(':');
+      spec = { mode };
+      if (x !== undefined) spec.x = Number(x);
+      if (y !== undefined) spec.y = Number(y);
+    }
+  }
+
+  const mode = spec.mode || (spec.keyframes || spec.x !== undefined || spec.y !== undefined ? 'manual' : 'center');
+  if (!REFRAME_MODES.includes(mode)) {
+    throw new Error(`Mode de recadrage inconnu : ${mode} (modes : ${REFRAME_MODES.join(', ')})`);
+  }
+
+  if (mode === 'manual' && spec.keyframes) {
+    if (!Array.isArray(spec.keyframes) || !spec.keyframes.length) {
+      throw new Error('Les images clés de recadrage doivent être un tableau non vide : [{ "time": 0, "x": 0.5 }]');
+    }
+    const keyframes = spec.keyframes
+      .map((keyframe) => ({ time: Number(keyframe.time) || 0, x: clampOffset(keyframe.x), y: clampOffset(keyframe.y) }))
+      .sort((a, b) => a.time - b.time);
+    return { ...spec, mode, keyframes, interpolation: spec.interpolation || 'linear' };
+  }
+  if (mode === 'manual') {
+    return { ...spec, mode, x: clampOffset(spec.x), y: clampOffset(spec.y) };
+  }
+  return { ...spec, mode };
+};
+
+/**
+ * Ramène un décalage dans [0, 1] (0.5 par défaut).
+ * @param {*} value
+ * @returns {number}
+ */
+const clampOffset = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, 0), 1) : 0.5;
+};
+
+/**
+ * Expression FFmpeg d'un décalage animé (fonction de `t`) à partir d'images clés.
+ * @param {Array<{time: number}>} keyframes
+ * @param {string} axis - "x" ou "y"
+ * @param {'linear'|'step'} interpolation
+ * @param {string} [time='t'] - Expression du temps source
+ * @returns {string}
+ */
+const keyframeExpression = (keyframes, axis, interpolation, time = 't') => {
+  const round = (value) => Number(value.toFixed(4));
+  let expression = `${round(keyframes[keyframes.length - 1][axis])}`;
+
+  for (let i = keyframes.length - 2; i >= 0; i--) {
+    const current = keyframes[i];
+    const next = keyframes[i + 1];
+    const span = next.time - current.time;
+    const value = interpolation === 'step' || span <= 0 || current[axis] === next[axis]
+      ? `${round(current[axis])}`
+      : `${round(current[axis])}+(${round(next[axis] - current[axis])})*(${time}-${round(current.time)})/${round(span)}`;
+    expression = `if(lt(${time},${round(next.time)}),${value},${expression})`;
+  }
+  return expression;
+};
+
+/**
+ * Construit les filtres de recadrage, de `[inLabel]` vers `[outLabel]`, aux dimensions finales.
+ * Compatible avec l'option `prepare` de buildTimelineFilters.
+ *
+ * @param {string} inLabel
+ * @param {string} outLabel
+ * @param {Object} spec - Configuration normalisée (voir normalizeReframe / resolveReframe)
+ * @param {Object} [options]
+ * @param {number} [options.width=720]
+ * @param {number} [options.height=1280]
+ * @param {number} [options.timeOffset=0] - Instant source de la première image (extrait dont l'horodatage repart de 0)
+ * @param {number} [options.speed=1] - Vitesse de lecture de l'extrait (images clés exprimées en temps source)
+ * @returns {Array<string>}
+ */
+const buildReframeFilters = (inLabel, outLabel, spec, { width = 720, height = 1280, timeOffset = 0, speed = 1 } = {}) => {
+  const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase`;
+
+  switch (spec.mode) {
+    case 'blur':
+      return [
+        `[${inLabel}]split=2[${outLabel}_bg][${outLabel}_fg]`,
+        `[${outLabel}_bg]${cover},crop=${width}:${height},boxblur=20:2[${outLabel}_blur]`,
+        `[${outLabel}_fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[${outLabel}_front]`,
+        `[${outLabel}_blur][${outLabel}_front]overlay=(W-w)/2:(H-h)/2,setsar=1[${outLabel}]`,
+      ];
+
+    case 'manual': {
+      const time = timeOffset || speed !== 1 ? `(${Number(timeOffset.toFixed(3))}+t*${speed})` : 't';
+      const x = spec.keyframes ? keyframeExpression(spec.keyframes, 'x', spec.interpolation, time) : spec.x;
+      const y = spec.keyframes ? keyframeExpression(spec.keyframes, 'y', spec.interpolation, time) : spec.y;
+      return [`[${inLabel}]${cover},crop=${width}:${height}:x='(in_w-out_w)*(${x})':y='(in_h-out_h)*(${y})',setsar=1[${outLabel}]`];
+    }
+
+    case 'center':
+      return [`[${inLabel}]${cover},crop=${width}:${height},setsar=1[${outLabel}]`];
+
+    default:
+      throw new Error(`Recadrage "${spec.mode}" non résolu : appelez resolveReframe avant de construire les filtres`);
+  }
+};
+
+/**
+ * Dimensions de la première piste vidéo.
+ * @param {string} inputPath
+ * @returns {Promise<{width: number, height: number, duration: number}>}
+ */
+const probeVideoSize = (inputPath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, metadata) => {
+      if (err) return reject(err);
+      const videoStream = metadata.streams.find((s) => s.width && s.height);
+      if (!videoStream) {
+        return reject(new Error('Impossible de récupérer les dimensions de la vidéo'));
+      }
+      resolve({ width: videoStream.width, height: videoStream.height, duration: Number(metadata.format.duration) || 0 });
+    });
+  });
+
+/**
+ * Passe d'analyse FFmpeg sans fichier de sortie : renvoie les lignes de log.
+ * @param {string} inputPath
+ * @param {Array<string>} filters
+ * @returns {Promise<Array<string>>}
+ */
+const runAnalysis = (inputPath, filters) =>
+  new Promise((resolve, reject) => {
+    const lines = [];
+    getReporter().track(ffmpeg(inputPath))
+      .noAudio()
+      .videoFilters(filters)
+      .format('null')
+      .on('stderr', (line) => lines.push(line))
+      .on('error', (err) => reject(new Error(`Erreur lors de l'analyse du cadrage : ${err.message}`)))
+      .on('end', () => resolve(lines))
+      .save('-');
+  });
+
+/**
+ * Détecte les changements de plan.
+ * @param {string} inputPath
+ * @param {number} [threshold=0.3] - Seuil du score de scène FFmpeg (0 à 1)
+ * @returns {Promise<Array<number>>} - Instants des coupes, en secondes
+ */
+const detectScenes = async (inputPath, threshold = DEFAULT_SCENE_THRESHOLD) => {
+  const lines = await runAnalysis(inputPath, [
+    `fps=${ANALYSIS_FPS}`,
+    `scale=${ANALYSIS_WIDTH}:-2`,
+    `select='gt(scene,${threshold})'`,
+    'showinfo',
+  ]);
+  return lines
+    .map((line) => line.match(/Parsed_showinfo.*pts_time:\s*([\d.]+)/))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+};
+
+/**
+ * Mesure la zone en mouvement de chaque image (différence avec l'image précédente, puis cropdetect).
+ * @param {string} inputPath
+ * @param {{width: number, height: number}} sourceSize
+ * @returns {Promise<Array<{time: number, x: number, y: number, area: number}>>} - Centres normalisés (0 à 1)
+ */
+const detectMotion = async (inputPath, sourceSize) => {
+  const analysisHeight = 2 * Math.round((ANALYSIS_WIDTH * sourceSize.height) / sourceSize.width / 2);
+  const lines = await runAnalysis(inputPath, [
+    `fps=${ANALYSIS_FPS}`,
+    `scale=${ANALYSIS_WIDTH}:${analysisHeight}`,
+    'tblend=all_mode=difference',
+    'cropdetect=limit=24:round=2:reset=1',
+  ]);
+
+  return lines
+    .map((line) => line.match(/x1:(\d+) x2:(\d+) y1:(\d+) y2:(\d+).* t:([\d.]+)/))
+    .filter(Boolean)
+    .map(([, x1, x2, y1, y2, time]) => {
+      const [left, right, top, bottom] = [x1, x2, y1, y2].map(Number);
+      if (right <= left || bottom <= top) return null; // Aucun mouvement détecté
+      return {
+        time: Number(time),
+        x: (left + right) / 2 / ANALYSIS_WIDTH,
+        y: (top + bottom) / 2 / analysisHeight,
+        area: ((right - left) * (bottom - top)) / (ANALYSIS_WIDTH * analysisHeight),
+      };
+    })
+    .filter(Boolean);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Convertit un centre d'intérêt (fraction de l'image source) en décalage de recadrage (0 à 1).
+ * @param {number} center
+ * @param {number} visible - Fraction de l'image source conservée sur cet axe
+ * @returns {number}
+ */
+const centerToOffset = (center, visible) =>
+  (visible >= 1 ? 0.5 : clampOffset((center - visible / 2) / (1 - visible)));
+
+/**
+ * Analyse une vidéo et choisit une fenêtre de recadrage par plan.
+ * Le résultat est un recadrage "manual" à images clés (changement net à chaque coupe),
+ * qui peut être relu, ajusté puis réutilisé tel quel.
+ *
+ * @param {string} inputPath
+ * @param {Object} [options]
+ * @param {number} [options.width=720] - Largeur finale
+ * @param {number} [options.height=1280] - Hauteur finale
+ * @param {number} [options.sceneThreshold=0.3] - Seuil de détection des changements de plan
+ * @returns {Promise<{mode: 'manual', interpolation: 'step', keyframes: Array<Object>, source: 'auto'}>}
+ */
+const analyzeReframe = async (inputPath, options = {}) => {
+  const { width = 720, height = 1280, sceneThreshold = DEFAULT_SCENE_THRESHOLD } = options;
+  const sourceSize = await probeVideoSize(inputPath);
+
+  // Fraction de l'image source visible après agrandissement au format cible
+  const scale = Math.max(width / sourceSize.width, height / sourceSize.height);
+  const visibleX = width / (sourceSize.width * scale);
+  const visibleY = height / (sourceSize.height * scale);
+
+  const cuts = await detectScenes(inputPath, sceneThreshold);
+  const motion = await detectMotion(inputPath, sourceSize);
+  const boundaries = [0, ...cuts.filter((time) => time > 0), Infinity];
+
+  const keyframes = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    // Les images où tout bouge (mouvement de caméra) ne renseignent pas sur le sujet
+    const samples = motion.filter((sample) => sample.time >= boundaries[i] && sample.time < boundaries[i + 1] && sample.area < 0.9);
+    const previous = keyframes[keyframes.length - 1];
+    let x = samples.length ? centerToOffset(median(samples.map((s) => s.x)), visibleX) : previous ? previous.x : 0.5;
+    let y = samples.length ? centerToOffset(median(samples.map((s) => s.y)), visibleY) : previous ? previous.y : 0.5;
+
+    // Éviter les petits sauts de cadrage d'un plan à l'autre
+    if (previous && Math.abs(previous.x - x) < MIN_SHIFT && Math.abs(previous.y - y) < MIN_SHIFT) continue;
+    x = Number(x.toFixed(3));
+    y = Number(y.toFixed(3));
+    keyframes.push({ time: Number(boundaries[i].toFixed(3)), x, y });
+  }
+
+  getReporter().info(`🎯 Recadrage automatique : ${cuts.length + 1} plan(s), ${keyframes.length} position(s) de cadrage.`);
+  return { mode: 'manual', interpolation: 'step', keyframes, source: 'auto' };
+};
+
+/**
+ * Résout une configuration de recadrage pour une vidéo : le mode "auto" est remplacé
+ * par le cadrage calculé, les autres modes sont simplement normalisés.
+ *
+ * @param {string} inputPath
+ * @param {string|Object} reframe
+ * @param {Object} [options] - Voir analyzeReframe
+ * @returns {Promise<Object>}
+ */
+const resolveReframe = async (inputPath, reframe, options = {}) => {
+  const spec = normalizeReframe(reframe);
+  if (spec.mode !== 'auto') return spec;
+  return analyzeReframe(inputPath, { ...options, sceneThreshold: spec.sceneThreshold || options.sceneThreshold });
+};
+
+module.exports = {
+  REFRAME_MODES,
+  normalizeReframe,
+  buildReframeFilters,
+  probeVideoSize,
+  detectScenes,
+  detectMotion,
+  analyzeReframe,
+  resolveReframe,
+};
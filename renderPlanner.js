@@ -0,0 +1,139 @@
+/**
+ * renderPlanner.js
+ * Rendu en une seule passe : montage des extraits, recadrage, piste audio mixée, habillage (logos, textes,
+ * intro / outro) et incrustation des sous-titres ASS sont composés dans un seul graphe `complexFilter`,
+ * avec un unique encodage.
+ * Les sources sont lues directement depuis les fichiers téléchargés : aucune vidéo intermédiaire
+ * n'est réencodée.
+ *
+ * Le rendu étape par étape (recadrage, montage, fusion, incrustation) reste disponible
+ * avec `renderMode: 'steps'` dans createFinalVod, pour le débogage.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const { buildTimelineFilters, segmentInputOptions } = require('./timeline');
+const { buildReframeFilters } = require('./reframe');
+const { buildEncodingOptions } = require('./outputProfiles');
+const { buildAssFilter } = require('./utils');
+const { hasOverlays, buildBrandingFilters, brandingInputs, buildBumperFilters, bumperInputs } = require('./branding');
+const { getReporter } = require('./reporter');
+
+/**
+ * Compose le graphe de rendu complet.
+ *
+ * Entrées FFmpeg : un segment de la timeline par entrée (positionné avec -ss/-t), l'audio
+ * déjà mixé et normalisé (voir audioMix.js), puis les logos et les génériques de l'habillage.
+ *
+ * @param {Object} params
+ * @param {Object} params.plan - Plan de montage (voir planTimeline)
+ * @param {Object<string, string>} params.sourcePaths - Fichier de chaque source
+ * @param {Object<string, Object>} params.reframes - Recadrage résolu de chaque source (voir resolveReframe)
+ * @param {Object} params.profile - Profil de sortie (voir outputProfiles.js)
+ * @param {string} params.audioPath - Piste audio mixée
+ * @param {Object} [params.subtitles] - { assPath, fontsDir, fontPath } ; sans assPath, pas d'incrustation
+ * @param {Object} [params.branding] - Habillage préparé (voir prepareBranding dans branding.js)
+ * @param {Object} [params.bumpers] - Intro / outro analysées (voir probeBumpers dans branding.js)
+ * @returns {{inputs: Array<{path: string, options: Array<string>}>, filters: Array<string>, duration: number}}
+ */
+const buildRenderGraph = ({
+  plan, sourcePaths, reframes, profile, audioPath, subtitles = {}, branding = null, bumpers = null,
+}) => {
+  const size = { width: profile.width, height: profile.height };
+  const inputs = plan.segments.map((segment) => ({
+    path: sourcePaths[segment.source],
+    options: segmentInputOptions(segment),
+  }));
+
+  // Vidéo : segments recadrés puis enchaînés (coupes ou transitions)
+  const filters = buildTimelineFilters(plan, {
+    fps: profile.fps,
+    prepare: (inLabel, outLabel, i) => {
+      const segment = plan.segments[i];
+      // Les images clés du recadrage sont en temps source, l'extrait repart de 0
+      return buildReframeFilters(inLabel, outLabel, reframes[segment.source], { ...size, timeOffset: segment.in, speed: segment.speed });
+    },
+  });
+
+  // Audio : piste mixée, encodée une seule fois avec la vidéo
+  const audioInput = inputs.length;
+  inputs.push({ path: audioPath, options: [] });
+
+  // Logos et textes de l'habillage, sous les sous-titres
+  let video = 'vtimeline';
+  if (hasOverlays(branding)) {
+    filters.push(...buildBrandingFilters(video, 'vbranded', branding, {
+      ...size, duration: plan.duration, inputOffset: inputs.length, fontPath: subtitles.fontPath,
+    }));
+    inputs.push(...brandingInputs(branding));
+    video = 'vbranded';
+  }
+
+  // Sous-titres incrustés sur la timeline (horodatage repartant de 0)
+  const withIntroOrOutro = Boolean(bumpers && (bumpers.intro || bumpers.outro));
+  const subtitledLabel = withIntroOrOutro ? 'vsubtitled' : 'vout';
+  filters.push(subtitles.assPath
+    ? `[${video}]${buildAssFilter(subtitles.assPath, subtitles.fontsDir)}[${subtitledLabel}]`
+    : `[${video}]null[${subtitledLabel}]`);
+
+  // Intro et outro autour du contenu sous-titré
+  if (withIntroOrOutro) {
+    filters.push(...buildBumperFilters({ video: subtitledLabel, audio: `${audioInput}:a` }, bumpers, {
+      profile, inputOffset: inputs.length,
+    }));
+    inputs.push(...bumperInputs(bumpers));
+    return { inputs, filters, duration: plan.duration + bumpers.duration };
+  }
+
+  filters.push(`[${audioInput}:a]anull[aout]`);
+  return { inputs, filters, duration: plan.duration };
+};
+
+/**
+ * Convertit un horodatage FFmpeg ("00:01:02.50") en secondes.
+ * @param {string} timemark
+ * @returns {number}
+ */
+const timemarkToSeconds = (timemark) =>
+  String(timemark || '0').split(':').reduce((total, part) => total * 60 + Number(part), 0);
+
+/**
+ * Exécute le graphe de rendu avec un seul encodage, selon le profil de sortie.
+ *
+ * @param {Object} graph - Graphe renvoyé par buildRenderGraph
+ * @param {string} outputPath - Fichier final
+ * @param {Object} profile - Profil de sortie
+ * @returns {Promise<string>}
+ */
+const renderSinglePass = (graph, outputPath, profile) =>
+  new Promise((resolve, reject) => {
+    const reporter = getReporter();
+    const progress = reporter.progress('Rendu');
+
+    const command = reporter.track(ffmpeg());
+    graph.inputs.forEach((input) => {
+      command.input(input.path).inputOptions(input.options);
+    });
+
+    command
+      .complexFilter(graph.filters)
+      .outputOptions([
+        '-map [vout]',
+        '-map [aout]',
+        ...buildEncodingOptions(profile),
+        `-t ${graph.duration.toFixed(3)}`,
+      ])
+      .on('progress', (info) => {
+        // Le pourcentage de fluent-ffmpeg se base sur la première entrée : on suit la position de sortie
+        const seconds = timemarkToSeconds(info.timemark);
+        progress.update((seconds / graph.duration) * 100);
+      })
+      .on('end', () => {
+        progress.done();
+        reporter.info('Rendu en une passe terminé. Fichier créé :', outputPath);
+        resolve(outputPath);
+      })
+      .on('error', (err) => reject(new Error(`Erreur lors du rendu : ${err.message}`)))
+      .save(outputPath);
+  });
+
+module.exports = { buildRenderGraph, renderSinglePass };
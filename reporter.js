@@ -0,0 +1,192 @@
+/**
+ * reporter.js
+ * Journal et progression d'un rendu, sans écriture directe dans le terminal :
+ * les modules passent par le rapporteur du rendu en cours (getReporter), qui transmet les messages
+ * au logger injecté et émet des événements structurés :
+ * - "log"            : { level, message }
+ * - "stage:start"    : { stage, index, total, startedAt }
+ * - "stage:progress" : { stage, task, percent, overall, details }
+ * - "stage:end"      : { stage, index, total, duration, cached, error }
+ *
+ * Le rapporteur est propagé au travers des appels asynchrones (AsyncLocalStorage) : plusieurs rendus
+ * simultanés (ex: rendu par lots) gardent chacun leur logger et leurs événements.
+ *
+ * Il porte aussi le signal d'annulation du rendu : les processus rattachés avec `track`
+ * (ffmpeg, yt-dlp, whisper...) sont arrêtés dès que le rendu est annulé.
+ */
+
+const util = require('util');
+const { ChildProcess } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Le rendu a été annulé.
+ */
+class RenderCancelledError extends Error {
+  constructor(message = 'Rendu annulé') {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Logger par défaut : la console.
+ */
+const consoleLogger = {
+  info: (message) => console.log(message),
+  warn: (message) => console.warn(message),
+  error: (message) => console.error(message),
+};
+
+/**
+ * Logger muet (seuls les événements sont émis).
+ */
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Crée un rapporteur.
+ * @param {Object} [options]
+ * @param {Object} [options.logger=consoleLogger] - { info, warn, error }, chacun recevant un message texte
+ * @param {EventEmitter} [options.emitter] - Destinataire des événements (ex: un job, voir createVodJob)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation du rendu
+ * @returns {Object}
+ */
+const createReporter = ({ logger = consoleLogger, emitter = null, signal = null } = {}) => {
+  let current = null; // Étape en cours : { stage, index, total }
+
+  const emit = (event, payload) => {
+    if (emitter) emitter.emit(event, payload);
+  };
+  const log = (level) => (...args) => {
+    const message = util.format(...args);
+    (logger[level] || logger.info)(message);
+    emit('log', { level, message });
+  };
+
+  return {
+    logger,
+    signal,
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+
+    /**
+     * Début d'une étape du pipeline.
+     * @param {string} stage
+     * @param {{index: number, total: number}} position - Rang de l'étape et nombre d'étapes
+     */
+    stageStart(stage, { index, total }) {
+      current = { stage, index, total };
+      emit('stage:start', { stage, index, total, startedAt: new Date().toISOString() });
+    },
+
+    /**
+     * Fin d'une étape (réussie, reprise du cache ou en échec).
+     * @param {string} stage
+     * @param {{duration: number, cached?: boolean, error?: Error}} result - Durée en secondes
+     */
+    stageEnd(stage, { duration, cached = false, error = null }) {
+      const { index = -1, total = 0 } = current && current.stage === stage ? current : {};
+      current = null;
+      emit('stage:end', { stage, index, total, duration, cached, error: error ? error.message : null });
+    },
+
+    /**
+     * Suivi d'une tâche longue (encodage, téléchargement...) dans l'étape en cours.
+     * Les événements ne sont émis que lorsque le pourcentage entier change.
+     * @param {string} task - Libellé de la tâche (ex: "Rendu")
+     * @returns {{update: function(number, Object=): void, done: function(): void}}
+     */
+    progress(task) {
+      let last = -1;
+      const update = (percent, details = {}) => {
+        const value = Math.max(0, Math.min(100, Number(percent) || 0));
+        if (Math.floor(value) === last) return;
+        last = Math.floor(value);
+        const position = current || { stage: null, index: 0, total: 0 };
+        emit('stage:progress', {
+          stage: position.stage,
+          task,
+          percent: value,
+          overall: position.total ? ((position.index + value / 100) / position.total) * 100 : null,
+          details,
+        });
+      };
+      return {
+        update,
+        done: () => update(100),
+      };
+    },
+
+    /**
+     * Lève RenderCancelledError si le rendu a été annulé.
+     */
+    throwIfCancelled() {
+      if (signal && signal.aborted) throw new RenderCancelledError();
+    },
+
+    /**
+     * Rattache un processus au rendu : il est tué si le rendu est annulé.
+     * @param {ChildProcess|Object} target - Processus (spawn) ou commande fluent-ffmpeg
+     * @returns {ChildProcess|Object} - La cible, pour chaîner les appels
+     */
+    track(target) {
+      if (!signal) return target;
+      const kill = () => target.kill('SIGKILL');
+      const detach = () => signal.removeEventListener('abort', kill);
+      signal.addEventListener('abort', kill, { once: true });
+      target.once('error', detach);
+      if (target instanceof ChildProcess) {
+        target.once('close', detach);
+        if (signal.aborted) kill();
+      } else {
+        // Commande fluent-ffmpeg : le processus n'existe qu'après son lancement
+        target.once('end', detach);
+        target.once('start', () => {
+          if (signal.aborted) kill();
+        });
+      }
+      return target;
+    },
+  };
+};
+
+const defaultReporter = createReporter();
+
+/**
+ * Exécute une fonction avec un rapporteur : tous les appels (même asynchrones) qu'elle déclenche l'utilisent.
+ * @param {Object} reporter
+ * @param {Function} fn
+ * @returns {*}
+ */
+const runWithReporter = (reporter, fn) => storage.run(reporter, fn);
+
+/**
+ * Rapporteur du rendu en cours (par défaut : la console, sans événements).
+ * @returns {Object}
+ */
+const getReporter = () => storage.getStore() || defaultReporter;
+
+/**
+ * Logger qui préfixe chaque message (ex: identifiant d'un job de lot).
+ * @param {Object} logger
+ * @param {string} prefix
+ * @returns {Object}
+ */
+const prefixLogger = (logger, prefix) => ({
+  info: (message) => logger.info(`${prefix} ${message}`),
+  warn: (message) => logger.warn(`${prefix} ${message}`),
+  error: (message) => logger.error(`${prefix} ${message}`),
+});
+
+module.exports = {
+  RenderCancelledError,
+  consoleLogger,
+  silentLogger,
+  createReporter,
+  runWithReporter,
+  getReporter,
+  prefixLogger,
+};
@@ -0,0 +1,213 @@
+/**
+ * review.js
+ * Revue d'un aperçu avant l'encodage final :
+ * - planche contact PNG : une image par sous-titre (au milieu de la cue), tirée de l'aperçu où
+ *   les sous-titres ASS sont déjà incrustés ;
+ * - page HTML autonome : aperçu, planche contact, liste des sous-titres et de leurs horaires,
+ *   musique choisie et recadrage retenu.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { parseSrt, shiftCues, secondsToVttTime } = require('./subtitleFormats');
+const { getReporter } = require('./reporter');
+
+const CONTACT_SHEET_COLUMNS = 4;
+const CONTACT_SHEET_THUMB_WIDTH = 240;
+
+/**
+ * Expression `select` qui retient la première image affichée à chacun des instants demandés.
+ * @param {Array<number>} times - En secondes
+ * @returns {string}
+ */
+const buildSelectExpression = (times) =>
+  times.map((time) => `gte(t,${time.toFixed(3)})*lt(prev_t,${time.toFixed(3)})`).join('+');
+
+/**
+ * Crée une planche contact PNG : une vignette par instant, rangées en grille.
+ * @param {string} videoPath
+ * @param {Array<number>} times - Instants à échantillonner, en secondes (croissants)
+ * @param {string} outputPath - Fichier PNG
+ * @param {Object} [options]
+ * @param {number} [options.columns=4] - Vignettes par ligne
+ * @param {number} [options.width=240] - Largeur d'une vignette, en pixels
+ * @returns {Promise<{path: string, columns: number, rows: number}>}
+ */
+const buildContactSheet = (videoPath, times, outputPath, { columns = CONTACT_SHEET_COLUMNS, width = CONTACT_SHEET_THUMB_WIDTH } = {}) =>
+  new Promise((resolve, reject) => {
+    if (!times.length) {
+      reject(new Error('Aucun instant à échantillonner pour la planche contact'));
+      return;
+    }
+    const gridColumns = Math.min(columns, times.length);
+    const rows = Math.ceil(times.length / gridColumns);
+    getReporter().track(ffmpeg(videoPath))
+      .outputOptions([
+        '-vf', `select='${buildSelectExpression(times)}',scale=${width}:-2,tile=${gridColumns}x${rows}:padding=4:margin=4`,
+        '-frames:v', '1',
+        '-an',
+      ])
+      .on('end', () => resolve({ path: outputPath, columns: gridColumns, rows }))
+      .on('error', (err) => reject(new Error(`Création de la planche contact impossible : ${err.message}`)))
+      .save(outputPath);
+  });
+
+const escapeHtml = (value) =>
+  String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatTime = (seconds) => secondsToVttTime(seconds).replace(/^00:/, '');
+
+/**
+ * Tableau HTML clé / valeur (valeurs absentes ignorées).
+ * @param {Array<[string, *]>} rows
+ * @returns {string}
+ */
+const definitionTable = (rows) => `<table class="facts">${rows
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+  .join('')}</table>`;
+
+/**
+ * Résumé lisible d'un recadrage résolu (voir reframe.js).
+ * @param {Object} spec
+ * @returns {string}
+ */
+const describeReframe = (spec) => {
+  if (!spec) return '';
+  if (spec.mode !== 'manual') return spec.mode;
+  if (!spec.keyframes) return `manuel : x=${spec.x}, y=${spec.y}`;
+  const positions = spec.keyframes.map(({ time, x, y }) => `${formatTime(time)} → x=${x}, y=${y}`).join(' ; ');
+  return `${spec.source === 'auto' ? 'automatique' : 'manuel'} : ${positions}`;
+};
+
+/**
+ * Construit la page HTML de revue.
+ * @param {Object} review
+ * @param {string} review.title
+ * @param {string} review.previewFile - Nom de l'aperçu (relatif à la page)
+ * @param {string} review.contactSheetFile - Nom de la planche contact (relatif à la page)
+ * @param {Array<{start: number, end: number, text: string}>} review.cues - Horaires dans l'aperçu
+ * @param {Object} review.music - Musique choisie (voir selectMusic)
+ * @param {Object<string, Object>} review.reframes - Recadrage de chaque source
+ * @param {Object} review.profile - Profil de l'aperçu
+ * @param {Object} review.targetProfile - Profil du rendu final
+ * @param {Object} [review.details] - Autres informations (style, mode de rendu...)
+ * @returns {string}
+ */
+const buildReviewPage = ({ title, previewFile, contactSheetFile, cues, music, reframes, profile, targetProfile, details = {} }) => {
+  const cueRows = cues.map((cue, index) => `<tr>
+      <td>${index + 1}</td>
+      <td>${formatTime(cue.start)}</td>
+      <td>${formatTime(cue.end)}</td>
+      <td>${(cue.end - cue.start).toFixed(1)}s</td>
+      <td>${escapeHtml(cue.text)}</td>
+    </tr>`).join('\n    ');
+  const reframeRows = Object.entries(reframes).map(([source, spec]) =>
+    `<tr><th>${escapeHtml(source)}</th><td>${escapeHtml(describeReframe(spec))}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<title>Revue : ${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2rem; color: #222; max-width: 1100px; }
+  h1 { font-size: 1.4rem; }
+  h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #ddd; }
+  .media { display: flex; gap: 2rem; align-items: flex-start; flex-wrap: wrap; }
+  video { max-height: 640px; background: #000; }
+  img { max-width: 100%; border: 1px solid #ddd; }
+  table { border-collapse: collapse; }
+  td, th { padding: 0.3rem 0.6rem; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; }
+  .facts th { color: #666; font-weight: normal; }
+  .note { background: #f6f6f6; padding: 0.8rem 1rem; }
+</style>
+</head>
+<body>
+<h1>Revue : ${escapeHtml(title)}</h1>
+${definitionTable([
+    ['Aperçu', `${profile.width}x${profile.height} (${profile.name})`],
+    ['Rendu final', `${targetProfile.width}x${targetProfile.height} (${targetProfile.name})`],
+    ...Object.entries(details),
+  ])}
+
+<div class="media">
+  <video src="${escapeHtml(previewFile)}" controls></video>
+  <div>
+    <h2>Planche contact</h2>
+    <p>Une vignette par sous-titre, prise au milieu de la cue (de gauche à droite, puis de haut en bas).</p>
+    <img src="${escapeHtml(contactSheetFile)}" alt="Planche contact">
+  </div>
+</div>
+
+<h2>Sous-titres (${cues.length})</h2>
+<table>
+  <tr><th>#</th><th>Début</th><th>Fin</th><th>Durée</th><th>Texte</th></tr>
+    ${cueRows}
+</table>
+
+<h2>Musique</h2>
+${definitionTable([
+    ['Fichier', music.file],
+    ['Graine', music.seed],
+    ['Tags', (music.tags || []).join(', ')],
+    ['Durée', music.duration && `${Number(music.duration).toFixed(1)}s`],
+    ['Tempo', music.bpm && `${music.bpm} BPM`],
+    ['Volume mesuré', music.loudness && `${music.loudness} LUFS`],
+    ['Bouclée', music.loop ? 'oui' : 'non'],
+  ])}
+
+<h2>Recadrage</h2>
+<table class="facts">${reframeRows}</table>
+
+<h2>Validation</h2>
+<p class="note">Si l'aperçu convient, relancez la même commande avec <code>render</code> au lieu de <code>preview</code>
+et l'option <code>--resume</code> : le téléchargement, le recadrage, le mixage et les sous-titres sont repris du cache,
+seul l'encodage final est effectué.</p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Crée la planche contact et la page de revue d'un aperçu : `<aperçu>.contact.png` et `<aperçu>.review.html`.
+ * @param {string} previewPath - Aperçu rendu (sous-titres incrustés)
+ * @param {Object} params
+ * @param {string} params.srtPath - Sous-titres corrigés
+ * @param {number} [params.offset=0] - Décalage des sous-titres dans l'aperçu (ex: durée de l'intro)
+ * @param {Object} params.music
+ * @param {Object<string, Object>} params.reframes
+ * @param {Object} params.profile
+ * @param {Object} params.targetProfile
+ * @param {Object} [params.details]
+ * @returns {Promise<{contactSheetPath: string, reviewPath: string}>}
+ */
+const createReview = async (previewPath, { srtPath, offset = 0, ...review }) => {
+  const basePath = previewPath.replace(/\.[^.]+$/, '');
+  const contactSheetPath = `${basePath}.contact.png`;
+  const reviewPath = `${basePath}.review.html`;
+  const cues = shiftCues(parseSrt(fs.readFileSync(srtPath, 'utf8')), offset);
+
+  getReporter().info(`Planche contact (${cues.length} vignettes)...`);
+  await buildContactSheet(previewPath, cues.map((cue) => (cue.start + cue.end) / 2), contactSheetPath);
+
+  fs.writeFileSync(reviewPath, buildReviewPage({
+    title: path.basename(previewPath),
+    previewFile: path.basename(previewPath),
+    contactSheetFile: path.basename(contactSheetPath),
+    cues,
+    ...review,
+  }), 'utf8');
+  return { contactSheetPath, reviewPath };
+};
+
+module.exports = {
+  buildContactSheet,
+  buildReviewPage,
+  createReview,
+};
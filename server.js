@@ -0,0 +1,316 @@
+/**
+ * server.js
+ * Serveur HTTP local de rendu : dépôt des fichiers (voix, script), soumission de jobs dans la file
+ * persistante (voir jobQueue.js), suivi de l'avancement, téléchargement de la vidéo et annulation.
+ *
+ * Routes (réponses JSON, sauf journal et vidéo) :
+ * - POST /uploads?name=<fichier>  corps brut : vidéo source, fichier voix ou script (.txt) → { file, size }
+ * - POST /jobs                    { source, voice | tts, script | scriptFile, options } → 202, le job
+ *                                 (source : URL http(s) ou vidéo déposée ; options : voir jobQueue.js)
+ * - GET  /jobs                    liste des jobs
+ * - GET  /jobs/:id                statut, étapes et progression
+ * - GET  /jobs/:id/log            journal du rendu
+ * - GET  /jobs/:id/video          vidéo finale (MP4)
+ * - POST /jobs/:id/cancel         annule le job (en attente ou en cours)
+ *
+ * Le serveur n'a pas d'authentification : il écoute par défaut sur 127.0.0.1 uniquement. Contre les requêtes
+ * envoyées par un autre site depuis un navigateur, les routes qui modifient la file (POST) refusent une origine
+ * (en-tête Origin) différente du serveur, et POST /jobs exige un corps `application/json`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { createJobQueue } = require('./jobQueue');
+const { consoleLogger } = require('./reporter');
+const { ensureDirectoriesExist } = require('./utils');
+const { VIDEO_EXTENSIONS, isVideoFile } = require('./mediaLibrary');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_JSON_SIZE = 1024 * 1024;
+const DEFAULT_MAX_UPLOAD_SIZE = 500 * 1024 * 1024;
+const UPLOAD_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.opus', '.flac', '.txt', ...VIDEO_EXTENSIONS];
+
+/**
+ * Erreur renvoyée au client avec un code HTTP.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+/**
+ * Refuse une requête envoyée depuis la page d'un autre site : un navigateur indique l'origine de la page
+ * dans l'en-tête Origin (les clients hors navigateur, comme curl, ne l'envoient pas).
+ * @param {http.IncomingMessage} req
+ */
+const checkOrigin = (req) => {
+  const { origin } = req.headers;
+  if (!origin) return;
+  let host = null;
+  try {
+    host = new URL(origin).host;
+  } catch (err) {
+    // Origine illisible ("null" pour un fichier local ou une iframe isolée) : refusée
+  }
+  if (host !== req.headers.host) {
+    throw new HttpError(403, `Origine non autorisée : ${origin}`);
+  }
+};
+
+/**
+ * Lit un corps JSON (taille limitée). Le type `application/json` est exigé : un navigateur ne peut pas
+ * l'envoyer vers un autre site sans requête préalable (preflight CORS), que ce serveur n'accepte pas.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      reject(new HttpError(415, `Type de contenu non pris en charge : "${type || '(aucun)'}" (application/json attendu)`));
+      req.resume();
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_JSON_SIZE) {
+        reject(new HttpError(413, 'Corps de requête trop volumineux'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (err) {
+        reject(new HttpError(400, `JSON invalide : ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+
+/**
+ * Enregistre un fichier déposé (corps brut) sous le nom de son empreinte :
+ * un même fichier déposé deux fois n'est stocké qu'une fois.
+ * @param {http.IncomingMessage} req
+ * @param {string} uploadsDir
+ * @param {string} name - Nom d'origine (pour l'extension)
+ * @param {number} maxSize
+ * @returns {Promise<{file: string, size: number}>}
+ */
+const saveUpload = (req, uploadsDir, name, maxSize) =>
+  new Promise((resolve, reject) => {
+    const extension = path.extname(name || '').toLowerCase();
+    if (!UPLOAD_EXTENSIONS.includes(extension)) {
+      reject(new HttpError(400, `Extension non prise en charge : "${extension}" (${UPLOAD_EXTENSIONS.join(', ')})`));
+      return;
+    }
+
+    const tempPath = path.join(uploadsDir, `.upload_${crypto.randomBytes(6).toString('hex')}`);
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(tempPath);
+    let size = 0;
+    const fail = (error) => {
+      output.destroy();
+      fs.rmSync(tempPath, { force: true });
+      reject(error);
+    };
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        req.destroy();
+        fail(new HttpError(413, `Fichier trop volumineux (maximum : ${Math.round(maxSize / 1024 / 1024)} Mo)`));
+        return;
+      }
+      hash.update(chunk);
+    });
+    req.on('error', fail);
+    output.on('error', fail);
+    output.on('finish', () => {
+      if (!size) {
+        fail(new HttpError(400, 'Fichier vide'));
+        return;
+      }
+      const file = `${hash.digest('hex').slice(0, 16)}${extension}`;
+      fs.renameSync(tempPath, path.join(uploadsDir, file));
+      resolve({ file, size });
+    });
+    req.pipe(output);
+  });
+
+/**
+ * Crée le serveur de rendu.
+ *
+ * @param {Object} params
+ * @param {string} params.baseDir - Dossier de base (audio/music, styles...)
+ * @param {string} [params.queueDir] - Dossier de la file et des fichiers déposés (défaut : <baseDir>/server)
+ * @param {number} [params.concurrency=1] - Nombre de rendus simultanés
+ * @param {Object} [params.render] - Options de rendu par défaut (config du projet), complétées par celles de chaque job
+ * @param {number} [params.maxUploadSize] - Taille maximale d'un fichier déposé, en octets (défaut : 500 Mo)
+ * @param {Object} [params.logger] - Destinataire des messages : { info, warn, error } (défaut : la console)
+ * @returns {{server: http.Server, queue: Object, listen: Function, close: Function}}
+ */
+const createRenderServer = ({
+  baseDir,
+  queueDir = path.join(baseDir, 'server'),
+  concurrency = 1,
+  render = {},
+  maxUploadSize = DEFAULT_MAX_UPLOAD_SIZE,
+  logger = consoleLogger,
+}) => {
+  const uploadsDir = path.join(queueDir, 'uploads');
+  ensureDirectoriesExist([uploadsDir]);
+  const queue = createJobQueue({ baseDir, queueDir, concurrency, render, logger });
+
+  // Les fichiers sont désignés par leur nom dans uploads/, jamais par un chemin arbitraire
+  const resolveUpload = (file, label) => {
+    const uploadPath = path.join(uploadsDir, path.basename(String(file)));
+    if (!fs.existsSync(uploadPath)) {
+      throw new HttpError(400, `${label} inconnu : "${file}" (déposez-le d'abord avec POST /uploads)`);
+    }
+    return uploadPath;
+  };
+
+  // Source vidéo : URL http(s), ou vidéo déposée (jamais un chemin local ni une URL file://)
+  const resolveSource = (source) => {
+    if (typeof source !== 'string' || !source) {
+      throw new HttpError(400, '"source" est requis');
+    }
+    if (/^https?:\/\//i.test(source)) return source;
+    if (/^[a-z][\w+.-]*:/i.test(source) || !isVideoFile(source)) {
+      throw new HttpError(400, `Source non autorisée : "${source}" (URL http(s) ou vidéo déposée avec POST /uploads)`);
+    }
+    return resolveUpload(source, 'Fichier vidéo');
+  };
+
+  const findJob = (id) => {
+    const job = queue.get(id);
+    if (!job) throw new HttpError(404, `Job inconnu : ${id}`);
+    return job;
+  };
+
+  const routes = [
+    ['POST', /^\/uploads$/, async (req, res, params, url) => {
+      sendJson(res, 201, await saveUpload(req, uploadsDir, url.searchParams.get('name'), maxUploadSize));
+    }],
+    ['POST', /^\/jobs$/, async (req, res) => {
+      const body = await readJson(req);
+      if (!body.script && !body.scriptFile) {
+        throw new HttpError(400, '"script" (texte) ou "scriptFile" (fichier déposé) est requis');
+      }
+      try {
+        const job = queue.submit({
+          source: resolveSource(body.source),
+          script: body.script || fs.readFileSync(resolveUpload(body.scriptFile, 'Script'), 'utf8'),
+          voicePath: body.voice ? resolveUpload(body.voice, 'Fichier voix') : null,
+          tts: body.tts || null,
+          options: body.options || {},
+        });
+        sendJson(res, 202, job);
+      } catch (err) {
+        throw err instanceof HttpError ? err : new HttpError(400, err.message);
+      }
+    }],
+    ['GET', /^\/jobs$/, async (req, res) => sendJson(res, 200, queue.list())],
+    ['GET', /^\/jobs\/([\w-]+)$/, async (req, res, [id]) => sendJson(res, 200, findJob(id))],
+    ['GET', /^\/jobs\/([\w-]+)\/log$/, async (req, res, [id]) => {
+      findJob(id);
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(queue.readLog(id));
+    }],
+    ['GET', /^\/jobs\/([\w-]+)\/video$/, async (req, res, [id]) => {
+      const job = findJob(id);
+      if (job.status !== 'succeeded' || !job.outputPath || !fs.existsSync(job.outputPath)) {
+        throw new HttpError(409, `Vidéo indisponible (statut : ${job.status})`);
+      }
+      res.writeHead(200, {
+        'Content-Type': 'video/mp4',
+        'Content-Length': fs.statSync(job.outputPath).size,
+        'Content-Disposition': `attachment; filename="vod_${job.id}.mp4"`,
+      });
+      fs.createReadStream(job.outputPath).pipe(res);
+    }],
+    ['POST', /^\/jobs\/([\w-]+)\/cancel$/, async (req, res, [id]) => {
+      const job = findJob(id);
+      if (!['queued', 'running'].includes(job.status)) {
+        throw new HttpError(409, `Job déjà terminé (${job.status})`);
+      }
+      sendJson(res, 200, await queue.cancel(id));
+    }],
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      const matches = routes
+        .map(([method, pattern, handler]) => ({ method, handler, match: url.pathname.match(pattern) }))
+        .filter(({ match }) => match);
+      if (!matches.length) throw new HttpError(404, `Route inconnue : ${url.pathname}`);
+
+      const route = matches.find(({ method }) => method === req.method);
+      if (!route) {
+        res.setHeader('Allow', matches.map(({ method }) => method).join(', '));
+        throw new HttpError(405, `Méthode non autorisée : ${req.method}`);
+      }
+      if (req.method !== 'GET') checkOrigin(req);
+      await route.handler(req, res, route.match.slice(1), url);
+    } catch (err) {
+      if (!(err instanceof HttpError)) logger.error(`❌ ${req.method} ${url.pathname} : ${err.message}`);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      sendJson(res, err.status || 500, { error: err.message });
+    }
+  });
+
+  return {
+    server,
+    queue,
+
+    /**
+     * Démarre l'écoute, puis les jobs en attente (dont ceux repris du disque).
+     * @param {number} [port=8080]
+     * @param {string} [host='127.0.0.1']
+     * @returns {Promise<string>} - URL du serveur
+     */
+    listen: (port = DEFAULT_PORT, host = DEFAULT_HOST) =>
+      new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          queue.start();
+          resolve(`http://${address.address}:${address.port}`);
+        });
+      }),
+
+    /**
+     * Arrête le serveur ; les rendus en cours sont interrompus et repris au prochain démarrage.
+     * @returns {Promise<void>}
+     */
+    async close() {
+      await queue.stop();
+      await new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+    },
+  };
+};
+
+module.exports = { createRenderServer, HttpError, DEFAULT_PORT, DEFAULT_HOST };
@@ -0,0 +1,123 @@
+/**
+ * sourceResolver.js
+ * Résolution des sources vidéo : fichier local, URL `file://`, ou toute URL prise en charge par yt-dlp.
+ * Chaque source reçoit un identifiant stable, dérivé de l'entrée, utilisé pour nommer le fichier dans `vod/`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const { getReporter } = require('./reporter');
+
+/**
+ * Extrait l'ID d'une vidéo YouTube (watch?v=, youtu.be/, /shorts/, /embed/, /live/).
+ * @param {string} url
+ * @returns {string|null}
+ */
+const extractYoutubeId = (url) => {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (err) {
+    return null;
+  }
+  const host = urlObj.hostname.replace(/^(www\.|m\.|music\.)/, '');
+
+  if (host === 'youtu.be') {
+    return urlObj.pathname.split('/')[1] || null;
+  }
+  if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    if (urlObj.searchParams.get('v')) return urlObj.searchParams.get('v');
+    const match = urlObj.pathname.match(/^\/(shorts|embed|live|v)\/([\w-]+)/);
+    if (match) return match[2];
+  }
+  return null;
+};
+
+/**
+ * Transforme un texte en fragment de nom de fichier.
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = (text) =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40) || 'video';
+
+const shortHash = (value) => crypto.createHash('sha1').update(value).digest('hex').slice(0, 10);
+
+/**
+ * Résout une source vidéo.
+ *
+ * @param {string} input - Chemin local, URL `file://`, ou URL distante
+ * @returns {{type: 'local'|'remote', id: string, input: string, path?: string, url?: string}}
+ */
+const resolveSource = (input) => {
+  if (!input) {
+    throw new Error('Aucune source vidéo fournie');
+  }
+
+  if (input.startsWith('file://')) {
+    return resolveLocalSource(fileURLToPath(input), input);
+  }
+
+  if (/^https?:\/\//i.test(input)) {
+    const youtubeId = extractYoutubeId(input);
+    if (youtubeId) {
+      return { type: 'remote', id: youtubeId, input, url: input };
+    }
+    const { hostname } = new URL(input);
+    return { type: 'remote', id: `${slugify(hostname)}_${shortHash(input)}`, input, url: input };
+  }
+
+  if (fs.existsSync(input)) {
+    return resolveLocalSource(input, input);
+  }
+
+  throw new Error(`Source vidéo introuvable : ${input} (chemin local, file:// ou URL http(s) attendu)`);
+};
+
+/**
+ * Source locale : l'ID combine le nom du fichier et une empreinte de son chemin absolu.
+ * @param {string} filePath
+ * @param {string} input
+ * @returns {Object}
+ */
+const resolveLocalSource = (filePath, input) => {
+  const absolutePath = path.resolve(filePath);
+  if (!fs.existsSync(absolutePath) || !fs.statSync(absolutePath).isFile()) {
+    throw new Error(`Fichier vidéo introuvable : ${absolutePath}`);
+  }
+  const realPath = fs.realpathSync(absolutePath);
+  const baseName = path.basename(realPath, path.extname(realPath));
+  return { type: 'local', id: `${slugify(baseName)}_${shortHash(realPath)}`, input, path: realPath };
+};
+
+/**
+ * Place un fichier local dans le dossier de sortie, par lien symbolique ou par copie.
+ * Le lien symbolique retombe sur une copie si le système le refuse (ex: Windows sans droits).
+ *
+ * @param {string} sourcePath
+ * @param {string} outputPath
+ * @param {'symlink'|'copy'} [mode='symlink']
+ * @returns {string} - Chemin de sortie
+ */
+const importLocalFile = (sourcePath, outputPath, mode = 'symlink') => {
+  fs.rmSync(outputPath, { force: true });
+  if (mode === 'symlink') {
+    try {
+      fs.symlinkSync(sourcePath, outputPath);
+      return outputPath;
+    } catch (err) {
+      getReporter().warn(`Lien symbolique impossible (${err.code}), copie du fichier à la place.`);
+    }
+  }
+  fs.copyFileSync(sourcePath, outputPath);
+  return outputPath;
+};
+
+module.exports = { extractYoutubeId, resolveSource, importLocalFile };
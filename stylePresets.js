@@ -0,0 +1,222 @@
+/**
+ * stylePresets.js
+ * Préréglages de style des sous-titres (fichiers JSON/YAML du dossier `styles/`) :
+ * police (fichier embarqué dans `font/`), taille, couleurs, contour, ombre, marges,
+ * alignement et nombre maximal de caractères par ligne.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const PRESETS_DIR = path.join(__dirname, 'styles');
+const DEFAULT_PRESET = 'tiktok';
+const PRESET_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const DEFAULT_STYLE = {
+  fontName: 'Arial',
+  fontFile: null,          // Chemin (relatif à la racine du projet) d'un fichier .ttf/.otf embarqué
+  fontSize: 12,
+  primaryColour: '#FFFFFF',
+  secondaryColour: '#FFFFFF', // Mots pas encore prononcés en karaoké
+  outlineColour: '#000000',
+  backColour: '#0000009B', // #RRGGBBAA (AA = opacité)
+  bold: true,
+  italic: false,
+  borderStyle: 1,          // 1 = contour + ombre, 3 = boîte opaque
+  outline: 2,
+  shadow: 2,
+  alignment: 2,            // Pavé numérique : 2 = bas centré, 5 = centre, 8 = haut centré
+  marginL: 20,
+  marginR: 20,
+  marginV: 50,
+  maxCharsPerLine: null,   // Limite de caractères par bloc affiché (null = pas de limite)
+  playResX: null,          // Résolution de référence ASS (null = défaut libass 384x288)
+  playResY: null,
+  events: {},              // Options d'animation par défaut (voir assSubtitles.js)
+};
+
+/**
+ * Convertit une couleur "#RRGGBB" ou "#RRGGBBAA" (AA = opacité) en couleur de style ASS ("&HAABBGGRR").
+ * @param {string} colour
+ * @returns {string}
+ */
+const toAssStyleColour = (colour) => {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})?$/i.exec(colour);
+  if (!match) return colour; // Déjà au format ASS
+  const [, r, g, b, opacity = 'FF'] = match;
+  // En ASS l'alpha est une transparence : 00 = opaque, FF = invisible
+  const alpha = (255 - parseInt(opacity, 16)).toString(16).padStart(2, '0');
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+};
+
+/**
+ * Lit le nom de famille d'une police TrueType/OpenType (table "name"),
+ * pour que libass retrouve le fichier embarqué via `fontsdir`.
+ * @param {string} fontPath - Chemin du fichier .ttf/.otf
+ * @returns {string|null}
+ */
+const readFontFamily = (fontPath) => {
+  const buffer = fs.readFileSync(fontPath);
+  const numTables = buffer.readUInt16BE(4);
+
+  for (let t = 0; t < numTables; t++) {
+    const record = 12 + t * 16;
+    if (buffer.toString('latin1', record, record + 4) !== 'name') continue;
+
+    const tableOffset = buffer.readUInt32BE(record + 8);
+    const count = buffer.readUInt16BE(tableOffset + 2);
+    const stringOffset = tableOffset + buffer.readUInt16BE(tableOffset + 4);
+    let fallback = null;
+
+    for (let i = 0; i < count; i++) {
+      const entry = tableOffset + 6 + i * 12;
+      const platformId = buffer.readUInt16BE(entry);
+      const nameId = buffer.readUInt16BE(entry + 6);
+      if (nameId !== 1) continue;
+
+      const length = buffer.readUInt16BE(entry + 8);
+      const start = stringOffset + buffer.readUInt16BE(entry + 10);
+      const raw = buffer.subarray(start, start + length);
+      if (platformId === 3 || platformId === 0) {
+        // UTF-16 big endian
+        return Buffer.from(raw).swap16().toString('utf16le');
+      }
+      fallback = fallback || raw.toString('latin1');
+    }
+    return fallback;
+  }
+  return null;
+};
+
+/**
+ * Résout le chemin d'un préréglage : chemin de fichier explicite, ou nom cherché dans le dossier des styles.
+ * @param {string} nameOrPath
+ * @param {string} presetsDir
+ * @returns {string}
+ */
+const resolvePresetPath = (nameOrPath, presetsDir) => {
+  if (PRESET_EXTENSIONS.includes(path.extname(nameOrPath).toLowerCase()) && fs.existsSync(nameOrPath)) {
+    return path.resolve(nameOrPath);
+  }
+  for (const extension of PRESET_EXTENSIONS) {
+    const candidate = path.join(presetsDir, `${nameOrPath}${extension}`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  throw new Error(`Préréglage de style introuvable : ${nameOrPath} (disponibles : ${listStylePresets(presetsDir).join(', ')})`);
+};
+
+/**
+ * Liste les préréglages disponibles.
+ * @param {string} [presetsDir] - Dossier des préréglages (défaut : styles/)
+ * @returns {Array<string>}
+ */
+const listStylePresets = (presetsDir = PRESETS_DIR) => {
+  if (!fs.existsSync(presetsDir)) return [];
+  return fs
+    .readdirSync(presetsDir)
+    .filter((file) => PRESET_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map((file) => path.basename(file, path.extname(file)));
+};
+
+/**
+ * Charge un préréglage de style et le complète avec les valeurs par défaut.
+ * Le nom de police est lu dans le fichier de police s'il n'est pas précisé.
+ *
+ * @param {string|Object} [preset='tiktok'] - Nom du préréglage, chemin d'un fichier JSON/YAML, ou objet déjà chargé
+ * @param {Object} [options]
+ * @param {string} [options.presetsDir] - Dossier des préréglages (défaut : styles/)
+ * @returns {Object} - Style complet, avec `name`, `fontPath` (absolu) et `fontsDir`
+ */
+const loadStylePreset = (preset = DEFAULT_PRESET, options = {}) => {
+  const presetsDir = options.presetsDir || PRESETS_DIR;
+  let raw = preset;
+  let name = 'custom';
+  let rootDir = __dirname;
+
+  if (typeof preset === 'string') {
+    const presetPath = resolvePresetPath(preset, presetsDir);
+    const content = fs.readFileSync(presetPath, 'utf8');
+    raw = path.extname(presetPath).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+    name = path.basename(presetPath, path.extname(presetPath));
+    // Les fichiers de police sont relatifs à la racine du projet pour les préréglages fournis,
+    // et au dossier du préréglage pour les autres
+    rootDir = path.dirname(presetPath) === PRESETS_DIR ? __dirname : path.dirname(presetPath);
+  }
+
+  const style = { ...DEFAULT_STYLE, name: raw.name || name, ...raw };
+  style.events = { ...DEFAULT_STYLE.events, ...(raw.events || {}) };
+  style.fontPath = raw.fontPath || null; // Déjà résolu si le style a été chargé auparavant
+  style.fontsDir = null;
+
+  if (style.fontFile) {
+    style.fontPath = style.fontPath || path.resolve(rootDir, style.fontFile);
+    if (!fs.existsSync(style.fontPath)) {
+      throw new Error(`Police introuvable pour le style "${style.name}" : ${style.fontPath}`);
+    }
+    style.fontsDir = path.dirname(style.fontPath);
+    if (!raw.fontName) {
+      style.fontName = readFontFamily(style.fontPath) || style.fontName;
+    }
+  }
+
+  return style;
+};
+
+/**
+ * Construit l'en-tête ASS ([Script Info] + [V4+ Styles] + format des événements) pour un style.
+ * @param {Object} style - Style chargé par loadStylePreset
+ * @returns {string}
+ */
+const buildAssHeader = (style) => {
+  const flag = (value) => (value ? -1 : 0);
+  const playRes = style.playResX && style.playResY
+    ? `PlayResX: ${style.playResX}\nPlayResY: ${style.playResY}\n`
+    : '';
+
+  const styleLine = [
+    style.name,
+    style.fontName,
+    style.fontSize,
+    toAssStyleColour(style.primaryColour),
+    toAssStyleColour(style.secondaryColour),
+    toAssStyleColour(style.outlineColour),
+    toAssStyleColour(style.backColour),
+    flag(style.bold),
+    flag(style.italic),
+    0, 0, 100, 100, 0, 0,
+    style.borderStyle,
+    style.outline,
+    style.shadow,
+    style.alignment,
+    style.marginL,
+    style.marginR,
+    style.marginV,
+    1,
+  ].join(',');
+
+  return `[Script Info]
+Title: Sous-titres ${style.name}
+ScriptType: v4.00+
+Collisions: Normal
+PlayDepth: 0
+Timer: 100.0000
+${playRes}
+[V4+ Styles]
+Format: Name,Fontname,Fontsize,PrimaryColour,SecondaryColour,OutlineColour,BackColour,Bold,Italic,Underline,StrikeOut,ScaleX,ScaleY,Spacing,Angle,BorderStyle,Outline,Shadow,Alignment,MarginL,MarginR,MarginV,Encoding
+Style: ${styleLine}
+
+[Events]
+Format: Layer, Start, End, Style, MarginL, MarginR, MarginV, Effect, Text
+`;
+};
+
+module.exports = {
+  PRESETS_DIR,
+  DEFAULT_PRESET,
+  toAssStyleColour,
+  readFontFamily,
+  listStylePresets,
+  loadStylePreset,
+  buildAssHeader,
+};
@@ -0,0 +1,243 @@
+/**
+ * subtitleFormats.js
+ * Lecture / écriture des formats de sous-titres (SRT, WebVTT) et conversions de temps,
+ * plus la gestion du fichier "mots horodatés" (.words.json) qui accompagne un `.srt`
+ * et l'export des sous-titres à côté de la vidéo finale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Convertit une chaîne de temps SRT ("HH:MM:SS,mmm") en secondes.
+ * @param {string} timeString - Temps au format SRT
+ * @returns {number} - Temps en secondes (0 si le format est invalide)
+ */
+const srtTimeToSeconds = (timeString) => {
+  const match = timeString.match(/(\d+):(\d+):(\d+)[,.](\d+)/);
+  if (!match) return 0;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = parseInt(match[3], 10);
+  const milliseconds = parseInt(match[4].padEnd(3, '0').slice(0, 3), 10);
+  return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
+};
+
+/**
+ * Convertit des secondes en temps SRT ("HH:MM:SS,mmm").
+ * @param {number} totalSeconds - Temps en secondes
+ * @returns {string}
+ */
+const secondsToSrtTime = (totalSeconds) => {
+  const totalMs = Math.max(0, Math.round(totalSeconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const milliseconds = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:`
+    + `${String(seconds).padStart(2, '0')},${String(milliseconds).padStart(3, '0')}`;
+};
+
+/**
+ * Convertit des secondes en temps ASS ("H:MM:SS.cs").
+ * @param {number} totalSeconds - Temps en secondes
+ * @returns {string}
+ */
+const secondsToAssTime = (totalSeconds) => {
+  const totalCs = Math.max(0, Math.round(totalSeconds * 100));
+  const hours = Math.floor(totalCs / 360000);
+  const minutes = Math.floor((totalCs % 360000) / 6000);
+  const seconds = (totalCs % 6000) / 100;
+  const secondsStr = seconds.toFixed(2).padStart(5, '0'); // ex: "05.50"
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${secondsStr}`;
+};
+
+/**
+ * Convertit des secondes en temps WebVTT ("HH:MM:SS.mmm").
+ * @param {number} totalSeconds - Temps en secondes
+ * @returns {string}
+ */
+const secondsToVttTime = (totalSeconds) => secondsToSrtTime(totalSeconds).replace(',', '.');
+
+/**
+ * Découpe le contenu d'un fichier SRT en cues.
+ * @param {string} data - Contenu du fichier `.srt`
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+const parseSrt = (data) => {
+  const cues = [];
+  const blocks = data.replace(/\r/g, '').split(/\n\s*\n/);
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n').filter((line) => line.trim());
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [start, end] = lines[timingIndex].split('-->');
+    const text = lines.slice(timingIndex + 1).map((line) => line.trim()).join(' ');
+    cues.push({
+      start: srtTimeToSeconds(start.trim()),
+      end: srtTimeToSeconds(end.trim()),
+      text,
+    });
+  });
+
+  return cues;
+};
+
+/**
+ * Construit le contenu d'un fichier SRT à partir d'une liste de cues.
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {string}
+ */
+const buildSrt = (cues) =>
+  cues
+    .map((cue, index) =>
+      `${index + 1}\n${secondsToSrtTime(cue.start)} --> ${secondsToSrtTime(cue.end)}\n${cue.text.trim()}\n`)
+    .join('\n');
+
+/**
+ * Construit le contenu d'un fichier WebVTT à partir d'une liste de cues.
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {string}
+ */
+const buildVtt = (cues) =>
+  `WEBVTT\n\n${cues
+    .map((cue) => `${secondsToVttTime(cue.start)} --> ${secondsToVttTime(cue.end)}\n${cue.text.trim()}\n`)
+    .join('\n')}`;
+
+/**
+ * Décale des cues dans le temps (ex: durée d'une intro placée avant le contenu).
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @param {number} offset - En secondes
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+const shiftCues = (cues, offset) =>
+  (offset ? cues.map((cue) => ({ ...cue, start: cue.start + offset, end: cue.end + offset })) : cues);
+
+/**
+ * Décale les lignes "Dialogue" d'un fichier ASS dans le temps.
+ * @param {string} content - Contenu du fichier `.ass`
+ * @param {number} offset - En secondes
+ * @returns {string}
+ */
+const shiftAss = (content, offset) => {
+  if (!offset) return content;
+  return content.replace(/^(Dialogue:\s*[^,]*,)([^,]+),([^,]+),/gm, (line, prefix, start, end) =>
+    `${prefix}${secondsToAssTime(srtTimeToSeconds(start) + offset)},${secondsToAssTime(srtTimeToSeconds(end) + offset)},`);
+};
+
+/**
+ * Formats d'export des sous-titres à côté de la vidéo finale.
+ */
+const SUBTITLE_EXPORT_FORMATS = ['srt', 'vtt', 'ass'];
+
+/**
+ * Exporte les sous-titres corrigés à côté de la vidéo : `<vidéo>.srt`, `<vidéo>.vtt` et `<vidéo>.ass`.
+ * @param {Object} sources - { srtPath, assPath } : sous-titres corrigés et version stylisée
+ * @param {string} videoPath - Vidéo finale (les fichiers prennent son nom)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.formats] - Formats à exporter (défaut : tous, voir SUBTITLE_EXPORT_FORMATS)
+ * @param {number} [options.offset=0] - Décalage en secondes (ex: intro placée avant le contenu)
+ * @returns {Object<string, string>} - Chemin de chaque fichier exporté, par format
+ */
+const exportSubtitles = ({ srtPath, assPath }, videoPath, { formats = SUBTITLE_EXPORT_FORMATS, offset = 0 } = {}) => {
+  const unknown = formats.filter((format) => !SUBTITLE_EXPORT_FORMATS.includes(format));
+  if (unknown.length) {
+    throw new Error(`Format de sous-titres inconnu : ${unknown.join(', ')} (formats : ${SUBTITLE_EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const basePath = videoPath.replace(/\.[^.]+$/, '');
+  const cues = shiftCues(parseSrt(fs.readFileSync(srtPath, 'utf8')), offset);
+  const builders = {
+    srt: () => buildSrt(cues),
+    vtt: () => buildVtt(cues),
+    ass: () => shiftAss(fs.readFileSync(assPath, 'utf8'), offset),
+  };
+
+  return Object.fromEntries(formats.map((format) => {
+    const exportPath = `${basePath}.${format}`;
+    fs.writeFileSync(exportPath, builders[format](), 'utf8');
+    return [format, exportPath];
+  }));
+};
+
+/**
+ * Regroupe des mots horodatés en cues SRT (une cue par phrase, limitée en nombre de mots).
+ * @param {Array<{word: string, start: number, end: number}>} words
+ * @param {number} [maxWords=12] - Nombre maximum de mots par cue
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+const wordsToCues = (words, maxWords = 12) => {
+  const cues = [];
+  let current = [];
+
+  const flush = () => {
+    if (!current.length) return;
+    cues.push({
+      start: current[0].start,
+      end: current[current.length - 1].end,
+      text: current.map((w) => w.word.trim()).join(' '),
+    });
+    current = [];
+  };
+
+  words.forEach((word) => {
+    current.push(word);
+    if (current.length >= maxWords || /[.!?…]$/.test(word.word.trim())) {
+      flush();
+    }
+  });
+  flush();
+
+  return cues;
+};
+
+/**
+ * Chemin du fichier de mots horodatés associé à un `.srt` (ex: "corrected.srt" -> "corrected.words.json").
+ * @param {string} srtPath - Chemin du fichier `.srt`
+ * @returns {string}
+ */
+const getWordsPath = (srtPath) =>
+  path.join(path.dirname(srtPath), `${path.basename(srtPath, path.extname(srtPath))}.words.json`);
+
+/**
+ * Lit les mots horodatés associés à un `.srt`, s'ils existent.
+ * @param {string} srtPath - Chemin du fichier `.srt`
+ * @returns {Array<{word: string, start: number, end: number}>|null}
+ */
+const readWords = (srtPath) => {
+  const wordsPath = getWordsPath(srtPath);
+  if (!fs.existsSync(wordsPath)) return null;
+  return JSON.parse(fs.readFileSync(wordsPath, 'utf8'));
+};
+
+/**
+ * Écrit les mots horodatés à côté du `.srt`.
+ * @param {string} srtPath - Chemin du fichier `.srt`
+ * @param {Array<{word: string, start: number, end: number}>} words
+ * @returns {string} - Chemin du fichier `.words.json`
+ */
+const writeWords = (srtPath, words) => {
+  const wordsPath = getWordsPath(srtPath);
+  fs.writeFileSync(wordsPath, JSON.stringify(words, null, 2), 'utf8');
+  return wordsPath;
+};
+
+module.exports = {
+  srtTimeToSeconds,
+  secondsToSrtTime,
+  secondsToAssTime,
+  secondsToVttTime,
+  parseSrt,
+  buildSrt,
+  buildVtt,
+  shiftCues,
+  shiftAss,
+  SUBTITLE_EXPORT_FORMATS,
+  exportSubtitles,
+  wordsToCues,
+  getWordsPath,
+  readWords,
+  writeWords,
+};
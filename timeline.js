@@ -0,0 +1,207 @@
+/**
+ * timeline.js
+ * Montage de plusieurs extraits (B-roll) pour couvrir exactement la durée de la voix :
+ * extraits avec points d'entrée/sortie, transitions en fondu (xfade), et bouclage ou
+ * ralentissement quand les images ne suffisent pas.
+ *
+ * Format JSON d'une timeline (relisible et rejouable) :
+ * {
+ *   "duration": 42.5,                                  // durée à couvrir (défaut : durée de la voix)
+ *   "transition": { "type": "fade", "duration": 0.5 }, // transition xfade entre extraits (null = coupe franche)
+ *   "fill": "loop",                                    // "loop", "slow" ou "none" si les extraits sont trop courts
+ *   "clips": [{ "source": "https://... ou chemin", "in": 12, "out": 20 }]
+ * }
+ */
+
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const { getReporter } = require('./reporter');
+
+const MIN_SPEED = 0.5; // Ralentissement maximal en mode "slow" (au-delà, on boucle)
+const DEFAULT_FPS = 30;
+
+/**
+ * Charge une timeline depuis un fichier JSON, ou la reprend telle quelle si c'est déjà un objet.
+ * @param {string|Object} timeline
+ * @returns {Object}
+ */
+const loadTimeline = (timeline) => {
+  const raw = typeof timeline === 'string' ? JSON.parse(fs.readFileSync(timeline, 'utf8')) : timeline;
+  if (!raw || !Array.isArray(raw.clips) || !raw.clips.length) {
+    throw new Error('La timeline doit contenir au moins un extrait dans "clips"');
+  }
+  return raw;
+};
+
+/**
+ * Calcule le plan de montage : la suite exacte de segments (source, entrée, sortie, vitesse)
+ * qui couvre la durée cible, transitions comprises.
+ *
+ * @param {Object} timeline - Timeline (voir format en tête de fichier)
+ * @param {Object<string, number>} sourceDurations - Durée de chaque source, en secondes
+ * @returns {{duration: number, transition: Object|null, fill: string, segments: Array<Object>}}
+ */
+const planTimeline = (timeline, sourceDurations) => {
+  const target = Number(timeline.duration);
+  if (!(target > 0)) {
+    throw new Error('Durée de timeline invalide');
+  }
+  const transition = timeline.transition && timeline.transition.duration > 0 ? timeline.transition : null;
+  const overlap = transition ? transition.duration : 0;
+  const fill = timeline.fill || 'loop';
+
+  const clips = timeline.clips.map((clip) => {
+    const sourceDuration = sourceDurations[clip.source];
+    if (sourceDuration === undefined) {
+      throw new Error(`Durée inconnue pour la source ${clip.source}`);
+    }
+    const clipIn = Math.max(0, Number(clip.in) || 0);
+    const clipOut = Math.min(clip.out !== undefined ? Number(clip.out) : sourceDuration, sourceDuration);
+    return { source: clip.source, in: clipIn, out: clipOut };
+  }).filter((clip) => clip.out - clip.in > overlap);
+
+  if (!clips.length) {
+    throw new Error('Aucun extrait exploitable dans la timeline (extraits vides ou plus courts que la transition)');
+  }
+
+  // Durée couverte par une passe sur tous les extraits à vitesse normale
+  const totalLength = clips.reduce((sum, clip) => sum + clip.out - clip.in, 0);
+  const covered = totalLength - overlap * (clips.length - 1);
+
+  let speed = 1;
+  if (covered < target) {
+    if (fill === 'none') {
+      throw new Error(`Les extraits couvrent ${covered.toFixed(2)}s pour une voix de ${target.toFixed(2)}s`);
+    }
+    if (fill === 'slow') {
+      speed = Math.max(totalLength / (target + overlap * (clips.length - 1)), MIN_SPEED);
+    }
+  }
+
+  const segments = [];
+  let total = 0;
+  for (let i = 0; total < target - 0.001; i++) {
+    if (i > 10000) {
+      throw new Error('Timeline impossible à construire (extraits trop courts)');
+    }
+    const clip = clips[i % clips.length];
+    const length = (clip.out - clip.in) / speed;
+    const contribution = segments.length ? length - overlap : length;
+
+    if (total + contribution >= target) {
+      const outputLength = target - total + (segments.length ? overlap : 0);
+      segments.push({ source: clip.source, in: clip.in, out: clip.in + outputLength * speed, speed });
+      total = target;
+    } else {
+      segments.push({ source: clip.source, in: clip.in, out: clip.out, speed });
+      total += contribution;
+    }
+  }
+
+  return { duration: target, transition, fill, segments };
+};
+
+/**
+ * Construit le graphe de filtres qui assemble les segments en une piste vidéo `[outLabel]`.
+ * Le segment i est lu depuis l'entrée FFmpeg `inputOffset + i` (déjà positionnée avec -ss/-t).
+ *
+ * @param {Object} plan - Plan renvoyé par planTimeline
+ * @param {Object} options
+ * @param {number} [options.inputOffset=0] - Index FFmpeg de l'entrée du premier segment
+ * @param {number} [options.fps=30] - Cadence commune
+ * @param {function(string, string, number): Array<string>} options.prepare - Filtres de mise au format
+ *   d'un segment (dimensions finales), de `[inLabel]` vers `[outLabel]`
+ * @param {string} [options.outLabel='vtimeline']
+ * @returns {Array<string>} - Filtres pour complexFilter
+ */
+const buildTimelineFilters = (plan, options) => {
+  const { inputOffset = 0, fps = DEFAULT_FPS, prepare, outLabel = 'vtimeline' } = options;
+  const filters = [];
+
+  plan.segments.forEach((segment, i) => {
+    const speed = segment.speed !== 1 ? `/${segment.speed}` : '';
+    filters.push(`[${inputOffset + i}:v]setpts=(PTS-STARTPTS)${speed}[raw${i}]`);
+    filters.push(...prepare(`raw${i}`, `prep${i}`, i));
+    // Même cadence, format et base de temps pour tous les segments (requis par xfade / concat)
+    filters.push(`[prep${i}]fps=${fps},format=yuv420p,settb=AVTB[seg${i}]`);
+  });
+
+  const count = plan.segments.length;
+  if (count === 1) {
+    filters.push(`[seg0]null[${outLabel}]`);
+  } else if (!plan.transition) {
+    const inputs = plan.segments.map((_, i) => `[seg${i}]`).join('');
+    filters.push(`${inputs}concat=n=${count}:v=1:a=0[${outLabel}]`);
+  } else {
+    const { type = 'fade', duration } = plan.transition;
+    let previous = 'seg0';
+    let offset = 0;
+    for (let i = 1; i < count; i++) {
+      const prev = plan.segments[i - 1];
+      offset += (prev.out - prev.in) / prev.speed - duration;
+      const label = i === count - 1 ? outLabel : `xf${i}`;
+      filters.push(`[${previous}][seg${i}]xfade=transition=${type}:duration=${duration}:offset=${offset.toFixed(3)}[${label}]`);
+      previous = label;
+    }
+  }
+
+  return filters;
+};
+
+/**
+ * Options d'entrée FFmpeg d'un segment (positionnement rapide sur le point d'entrée).
+ * @param {Object} segment
+ * @returns {Array<string>}
+ */
+const segmentInputOptions = (segment) => ['-ss', segment.in.toFixed(3), '-t', (segment.out - segment.in).toFixed(3)];
+
+/**
+ * Rend une timeline dans un fichier vidéo (sans audio).
+ *
+ * @param {Object} plan - Plan renvoyé par planTimeline
+ * @param {Object<string, string>} sourcePaths - Fichier vidéo local de chaque source
+ * @param {string} outputPath - Chemin de sortie
+ * @param {Object} [options]
+ * @param {number} [options.width=720]
+ * @param {number} [options.height=1280]
+ * @param {number} [options.fps=30]
+ * @returns {Promise<string>}
+ */
+const renderTimeline = (plan, sourcePaths, outputPath, options = {}) =>
+  new Promise((resolve, reject) => {
+    const { width = 720, height = 1280, fps = DEFAULT_FPS } = options;
+    const progress = getReporter().progress('Montage');
+
+    const command = getReporter().track(ffmpeg());
+    plan.segments.forEach((segment) => {
+      command.input(sourcePaths[segment.source]).inputOptions(segmentInputOptions(segment));
+    });
+
+    const filters = buildTimelineFilters(plan, {
+      fps,
+      prepare: (inLabel, outLabel) => [
+        `[${inLabel}]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1[${outLabel}]`,
+      ],
+    });
+
+    command
+      .complexFilter(filters)
+      .outputOptions(['-map [vtimeline]', '-an', `-t ${plan.duration.toFixed(3)}`])
+      .on('progress', (info) => {
+        if (info.percent) progress.update(info.percent);
+      })
+      .on('end', () => {
+        progress.done();
+        resolve(outputPath);
+      })
+      .on('error', (err) => reject(new Error(`Erreur lors du montage : ${err.message}`)))
+      .save(outputPath);
+  });
+
+module.exports = {
+  loadTimeline,
+  planTimeline,
+  buildTimelineFilters,
+  segmentInputOptions,
+  renderTimeline,
+};
@@ -0,0 +1,345 @@
+/**
+ * transcription.js
+ * Fournisseurs de transcription (audio -> sous-titres `.srt` + mots horodatés) :
+ * - "http" : service Whisper HTTP (URL configurable)
+ * - "cli"  : binaire local whisper (openai-whisper) ou whisper.cpp lancé via child_process
+ * - "file" : fichier SRT/JSON déjà fourni
+ *
+ * Chaque fournisseur expose `transcribe(audioPath, outputDir)` qui écrit le `.srt`
+ * (et le `.words.json` quand le moteur fournit les timings par mot) et renvoie :
+ * { srtPath, wordsPath, segments, words, provider }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const FormData = require('form-data');
+const ffmpeg = require('fluent-ffmpeg');
+const { parseSrt, buildSrt, wordsToCues, readWords, writeWords } = require('./subtitleFormats');
+const { getReporter } = require('./reporter');
+
+const DEFAULT_WHISPER_API_URL = 'http://whisper-api:5005/transcribe';
+
+/**
+ * Normalise les segments au format Whisper ({ start, end, text, words: [{ word, start, end }] }).
+ * @param {Array<Object>} rawSegments
+ * @returns {{segments: Array<Object>, words: Array<Object>|null}}
+ */
+const fromWhisperSegments = (rawSegments) => {
+  const segments = rawSegments.map((segment) => ({
+    start: Number(segment.start),
+    end: Number(segment.end),
+    text: String(segment.text || '').trim(),
+  }));
+
+  const words = [];
+  rawSegments.forEach((segment) => {
+    (segment.words || []).forEach((w) => {
+      const word = String(w.word !== undefined ? w.word : w.text || '').trim();
+      if (word) words.push({ word, start: Number(w.start), end: Number(w.end) });
+    });
+  });
+
+  return { segments, words: words.length ? words : null };
+};
+
+/**
+ * Normalise la sortie JSON complète de whisper.cpp (`-ojf`).
+ * Les tokens sont regroupés en mots : un token commençant par une espace ouvre un nouveau mot.
+ * @param {Object} json - Contenu du fichier JSON produit par whisper.cpp
+ * @returns {{segments: Array<Object>, words: Array<Object>|null}}
+ */
+const fromWhisperCppJson = (json) => {
+  const segments = [];
+  const words = [];
+
+  (json.transcription || []).forEach((item) => {
+    segments.push({
+      start: item.offsets.from / 1000,
+      end: item.offsets.to / 1000,
+      text: String(item.text || '').trim(),
+    });
+
+    (item.tokens || []).forEach((token) => {
+      // Ignore les tokens spéciaux ([_BEG_], [_TT_150], <|endoftext|>...)
+      if (!token.text || /^\[_.*\]$|^<\|.*\|>$/.test(token.text.trim())) return;
+      const start = token.offsets.from / 1000;
+      const end = token.offsets.to / 1000;
+      const last = words[words.length - 1];
+      if (last && !token.text.startsWith(' ')) {
+        last.word += token.text;
+        last.end = end;
+      } else if (token.text.trim()) {
+        words.push({ word: token.text.trim(), start, end });
+      }
+    });
+  });
+
+  return { segments, words: words.length ? words : null };
+};
+
+/**
+ * Interprète un JSON de transcription quelle que soit sa forme
+ * (Whisper, whisper.cpp, ou simple liste de mots horodatés).
+ * @param {Object|Array} json
+ * @returns {{segments: Array<Object>, words: Array<Object>|null}}
+ */
+const fromTranscriptJson = (json) => {
+  if (Array.isArray(json)) {
+    const words = json.map((w) => ({ word: String(w.word || w.text).trim(), start: Number(w.start), end: Number(w.end) }));
+    return { segments: wordsToCues(words), words };
+  }
+  if (Array.isArray(json.transcription)) return fromWhisperCppJson(json);
+  if (Array.isArray(json.segments)) return fromWhisperSegments(json.segments);
+  if (Array.isArray(json.words)) return fromTranscriptJson(json.words);
+  throw new Error('Format de transcription JSON non reconnu');
+};
+
+/**
+ * Écrit le `.srt` (et les mots horodatés s'ils existent) et construit le résultat commun.
+ * @param {string} srtPath - Chemin du `.srt` à écrire
+ * @param {{segments: Array<Object>, words: Array<Object>|null}} transcript
+ * @param {string} providerName - Nom du fournisseur utilisé
+ * @returns {Object}
+ */
+const writeTranscript = (srtPath, { segments, words }, providerName) => {
+  if (!segments.length) {
+    throw new Error('La transcription ne contient aucun segment');
+  }
+  fs.writeFileSync(srtPath, buildSrt(segments), 'utf8');
+  const wordsPath = words ? writeWords(srtPath, words) : null;
+
+  getReporter().info(`Sous-titres générés avec succès : ${srtPath}`);
+  return { srtPath, wordsPath, segments, words, provider: providerName };
+};
+
+/**
+ * Chemin du `.srt` produit pour un fichier audio.
+ * @param {string} audioPath
+ * @param {string} outputDir
+ * @returns {string}
+ */
+const getSubtitlePath = (audioPath, outputDir) =>
+  path.join(outputDir, `${path.basename(audioPath, path.extname(audioPath))}.srt`);
+
+/**
+ * Lance un binaire et récupère sa sortie.
+ * @param {string} binary - Binaire à exécuter
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<string>} - stdout
+ */
+const runBinary = (binary, args) =>
+  new Promise((resolve, reject) => {
+    const child = getReporter().track(spawn(binary, args));
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        return reject(new Error(`Binaire de transcription introuvable : ${binary}`));
+      }
+      reject(err);
+    });
+    child.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`${binary} a échoué (code ${code}) : ${stderr.trim().split('\n').slice(-5).join('\n')}`));
+      }
+      resolve(stdout);
+    });
+  });
+
+/**
+ * Convertit un audio en WAV mono 16 kHz (format attendu par whisper.cpp).
+ * @param {string} audioPath
+ * @param {string} outputPath
+ * @returns {Promise<string>}
+ */
+const convertToWav16k = (audioPath, outputPath) =>
+  new Promise((resolve, reject) => {
+    getReporter().track(ffmpeg(audioPath))
+      .audioChannels(1)
+      .audioFrequency(16000)
+      .audioCodec('pcm_s16le')
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .save(outputPath);
+  });
+
+/**
+ * Fournisseur "http" : service Whisper exposant un endpoint multipart.
+ * La réponse peut contenir `srt` (texte SRT) ou `segments` (format Whisper, avec `words` optionnels).
+ *
+ * @param {Object} [settings]
+ * @param {string} [settings.url] - URL du endpoint (défaut : $WHISPER_API_URL ou http://whisper-api:5005/transcribe)
+ * @param {Object} [settings.fields] - Champs supplémentaires envoyés avec le fichier (ex: { language: 'fr' })
+ * @param {number} [settings.timeout] - Timeout de la requête en ms
+ */
+const createHttpWhisperProvider = (settings = {}) => {
+  const url = settings.url || process.env.WHISPER_API_URL || DEFAULT_WHISPER_API_URL;
+
+  return {
+    name: 'http',
+    async transcribe(audioPath, outputDir) {
+      if (!fs.existsSync(audioPath)) {
+        throw new Error(`Fichier audio non trouvé : ${audioPath}`);
+      }
+
+      const formData = new FormData();
+      formData.append('file', fs.createReadStream(audioPath));
+      Object.entries(settings.fields || {}).forEach(([key, value]) => formData.append(key, String(value)));
+
+      getReporter().info(`Envoi de la requête à l'API Whisper (${url})...`);
+      const response = await axios.post(url, formData, {
+        headers: formData.getHeaders(),
+        maxBodyLength: Infinity,
+        timeout: settings.timeout || 0,
+        signal: getReporter().signal,
+      });
+
+      const data = response.data;
+      if (data.error) {
+        throw new Error(`Erreur dans la réponse de l'API Whisper : ${data.error}`);
+      }
+
+      const srtPath = getSubtitlePath(audioPath, outputDir);
+      const srtText = typeof data === 'string' ? data : data.srt || data.subtitles;
+      if (srtText) {
+        const transcript = { segments: parseSrt(srtText), words: null };
+        if (Array.isArray(data.segments)) transcript.words = fromWhisperSegments(data.segments).words;
+        if (Array.isArray(data.words)) transcript.words = fromTranscriptJson(data.words).words;
+        return writeTranscript(srtPath, transcript, 'http');
+      }
+      return writeTranscript(srtPath, fromTranscriptJson(data), 'http');
+    },
+  };
+};
+
+/**
+ * Fournisseur "cli" : binaire whisper local, sans conteneur.
+ *
+ * @param {Object} [settings]
+ * @param {'whisper'|'whisper.cpp'} [settings.engine='whisper'] - Type de binaire
+ * @param {string} [settings.binary] - Chemin du binaire (défaut : "whisper" ou "whisper-cli")
+ * @param {string} [settings.model] - Nom du modèle (whisper) ou chemin du fichier ggml (whisper.cpp)
+ * @param {string} [settings.language] - Langue de l'audio (ex: "fr")
+ * @param {Array<string>} [settings.extraArgs] - Arguments supplémentaires passés au binaire
+ */
+const createCliWhisperProvider = (settings = {}) => {
+  const engine = settings.engine || 'whisper';
+  if (!['whisper', 'whisper.cpp'].includes(engine)) {
+    throw new Error(`Moteur whisper inconnu : ${engine}`);
+  }
+  const binary = settings.binary || (engine === 'whisper.cpp' ? 'whisper-cli' : 'whisper');
+  const extraArgs = settings.extraArgs || [];
+
+  return {
+    name: 'cli',
+    async transcribe(audioPath, outputDir) {
+      if (!fs.existsSync(audioPath)) {
+        throw new Error(`Fichier audio non trouvé : ${audioPath}`);
+      }
+      const baseName = path.basename(audioPath, path.extname(audioPath));
+      const srtPath = getSubtitlePath(audioPath, outputDir);
+
+      getReporter().info(`Transcription locale avec ${binary}...`);
+
+      if (engine === 'whisper.cpp') {
+        if (!settings.model) {
+          throw new Error('whisper.cpp nécessite le chemin du modèle (option "model")');
+        }
+        const wavPath = path.join(outputDir, `${baseName}.16k.wav`);
+        const outBase = path.join(outputDir, `${baseName}.whisper`);
+        await convertToWav16k(audioPath, wavPath);
+
+        const args = ['-m', settings.model, '-f', wavPath, '-ojf', '-of', outBase];
+        if (settings.language) args.push('-l', settings.language);
+        await runBinary(binary, [...args, ...extraArgs]);
+
+        const json = JSON.parse(fs.readFileSync(`${outBase}.json`, 'utf8'));
+        fs.unlinkSync(wavPath);
+        return writeTranscript(srtPath, fromWhisperCppJson(json), 'cli');
+      }
+
+      const args = [
+        audioPath,
+        '--model', settings.model || 'base',
+        '--output_format', 'json',
+        '--output_dir', outputDir,
+        '--word_timestamps', 'True',
+      ];
+      if (settings.language) args.push('--language', settings.language);
+      await runBinary(binary, [...args, ...extraArgs]);
+
+      const json = JSON.parse(fs.readFileSync(path.join(outputDir, `${baseName}.json`), 'utf8'));
+      return writeTranscript(srtPath, fromWhisperSegments(json.segments || []), 'cli');
+    },
+  };
+};
+
+/**
+ * Fournisseur "file" : sous-titres déjà disponibles (SRT ou JSON Whisper / whisper.cpp / liste de mots).
+ * Pour un `.srt`, les mots horodatés sont repris du `.words.json` voisin s'il existe.
+ *
+ * @param {Object} settings
+ * @param {string} settings.path - Chemin du fichier `.srt` ou `.json`
+ */
+const createFileTranscriptionProvider = (settings = {}) => {
+  if (!settings.path) {
+    throw new Error('Le fournisseur "file" nécessite un chemin de sous-titres (option "path")');
+  }
+
+  return {
+    name: 'file',
+    async transcribe(audioPath, outputDir) {
+      if (!fs.existsSync(settings.path)) {
+        throw new Error(`Fichier de sous-titres introuvable : ${settings.path}`);
+      }
+      const content = fs.readFileSync(settings.path, 'utf8');
+      const srtPath = getSubtitlePath(audioPath, outputDir);
+
+      getReporter().info(`Utilisation des sous-titres fournis : ${settings.path}`);
+      if (path.extname(settings.path).toLowerCase() === '.json') {
+        return writeTranscript(srtPath, fromTranscriptJson(JSON.parse(content)), 'file');
+      }
+      return writeTranscript(srtPath, { segments: parseSrt(content), words: readWords(settings.path) }, 'file');
+    },
+  };
+};
+
+const PROVIDERS = {
+  http: createHttpWhisperProvider,
+  cli: createCliWhisperProvider,
+  file: createFileTranscriptionProvider,
+};
+
+/**
+ * Crée un fournisseur de transcription à partir de sa configuration.
+ * @param {Object} [options]
+ * @param {string|Object} [options.provider='http'] - Nom du fournisseur ("http", "cli", "file")
+ *   ou objet personnalisé exposant `transcribe(audioPath, outputDir)`
+ * @returns {{name: string, transcribe: Function}}
+ */
+const createTranscriptionProvider = (options = {}) => {
+  const { provider = 'http', ...settings } = options;
+  if (provider && typeof provider.transcribe === 'function') {
+    return provider;
+  }
+  const factory = PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Fournisseur de transcription inconnu : ${provider} (disponibles : ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(settings);
+};
+
+module.exports = {
+  createTranscriptionProvider,
+  createHttpWhisperProvider,
+  createCliWhisperProvider,
+  createFileTranscriptionProvider,
+  fromWhisperSegments,
+  fromWhisperCppJson,
+  fromTranscriptJson,
+};
@@ -0,0 +1,395 @@
+/**
+ * tts.js
+ * Synthèse vocale du script (texte -> voix WAV + sous-titres `.srt` + mots horodatés) :
+ * - "piper"     : binaire local Piper (modèle `.onnx`)
+ * - "espeak-ng" : binaire local espeak-ng
+ * - "http"      : serveur de synthèse HTTP (URL configurable, ex: un serveur Piper lancé en local)
+ *
+ * Chaque moteur expose `synthesize(text, outputPath)` qui écrit un WAV PCM 16 bits et renvoie
+ * `{ words }` quand il fournit lui-même les timings par mot (sinon `{}`).
+ *
+ * Le script est synthétisé phrase par phrase : les limites de phrases sont donc exactes, et à l'intérieur
+ * d'une phrase, les mots sans timing fourni par le moteur sont répartis sur la partie parlée
+ * (silences de début et de fin retirés) au prorata de leur longueur. Le texte étant connu,
+ * les sous-titres produits remplacent la transcription.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { tokenizeText } = require('./alignment');
+const { buildSrt, wordsToCues, writeWords } = require('./subtitleFormats');
+const { hashValue } = require('./pipeline');
+const { getReporter } = require('./reporter');
+
+const DEFAULT_TTS_API_URL = 'http://tts-api:5002/synthesize';
+const ESPEAK_DEFAULT_WPM = 175; // Débit par défaut d'espeak-ng, en mots par minute
+const SILENCE_THRESHOLD = 0.02; // Amplitude (0 à 1) en dessous de laquelle un échantillon est considéré silencieux
+
+/**
+ * Lit un fichier WAV PCM 16 bits.
+ * @param {Buffer} buffer
+ * @returns {{sampleRate: number, channels: number, samples: Buffer}}
+ */
+const parseWav = (buffer) => {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Fichier WAV invalide');
+  }
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(offset + 8),
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        bitsPerSample: buffer.readUInt16LE(offset + 22),
+      };
+    } else if (id === 'data') {
+      if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error('Seuls les WAV PCM 16 bits sont pris en charge');
+      }
+      // Certains moteurs écrivant en flux laissent une taille nulle ou maximale : on lit jusqu'à la fin
+      const end = size && offset + 8 + size <= buffer.length ? offset + 8 + size : buffer.length;
+      return { sampleRate: format.sampleRate, channels: format.channels, samples: buffer.subarray(offset + 8, end) };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error('Données audio introuvables dans le fichier WAV');
+};
+
+/**
+ * Construit un fichier WAV PCM 16 bits.
+ * @param {{sampleRate: number, channels: number, samples: Buffer}} audio
+ * @returns {Buffer}
+ */
+const buildWav = ({ sampleRate, channels, samples }) => {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + samples.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(samples.length, 40);
+  return Buffer.concat([header, samples]);
+};
+
+/**
+ * Bornes de la partie parlée d'un audio (silences de début et de fin exclus), en secondes.
+ * @param {{sampleRate: number, channels: number, samples: Buffer}} audio
+ * @returns {{start: number, end: number}}
+ */
+const findVoicedRange = ({ sampleRate, channels, samples }) => {
+  const frameCount = Math.floor(samples.length / (2 * channels));
+  const threshold = SILENCE_THRESHOLD * 32768;
+  const isVoiced = (frame) => Math.abs(samples.readInt16LE(frame * 2 * channels)) > threshold;
+
+  let first = 0;
+  while (first < frameCount && !isVoiced(first)) first++;
+  let last = frameCount - 1;
+  while (last > first && !isVoiced(last)) last--;
+  if (first >= frameCount) return { start: 0, end: frameCount / sampleRate };
+  return { start: first / sampleRate, end: (last + 1) / sampleRate };
+};
+
+/**
+ * Répartit les mots d'une phrase sur sa partie parlée, au prorata de leur longueur
+ * (une virgule ou un point-virgule compte comme une courte pause).
+ * @param {Array<string>} tokens
+ * @param {number} start - Début de la parole, en secondes
+ * @param {number} end - Fin de la parole, en secondes
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+const estimateWordTimings = (tokens, start, end) => {
+  const weights = tokens.map((token) => token.replace(/[^\p{L}\p{N}]/gu, '').length + 1 + (/[,;:]$/.test(token) ? 2 : 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let cursor = start;
+  return tokens.map((token, i) => {
+    const duration = ((end - start) * weights[i]) / total;
+    const word = { word: token, start: cursor, end: cursor + duration };
+    cursor += duration;
+    return word;
+  });
+};
+
+/**
+ * Découpe un script en phrases (listes de mots), sur la ponctuation finale.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const splitSentences = (text) => {
+  const sentences = [[]];
+  tokenizeText(text).forEach((token) => {
+    sentences[sentences.length - 1].push(token);
+    if (/[.!?…]["»”)]*$/.test(token)) sentences.push([]);
+  });
+  return sentences.filter((sentence) => sentence.length);
+};
+
+/**
+ * Lance un binaire de synthèse en lui passant le texte sur l'entrée standard.
+ * @param {string} binary - Binaire à exécuter
+ * @param {Array<string>} args - Arguments
+ * @param {string} input - Texte envoyé sur stdin
+ * @returns {Promise<void>}
+ */
+const runWithInput = (binary, args, input) =>
+  new Promise((resolve, reject) => {
+    const child = getReporter().track(spawn(binary, args));
+    let stderr = '';
+
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        return reject(new Error(`Binaire de synthèse vocale introuvable : ${binary}`));
+      }
+      reject(err);
+    });
+    child.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`${binary} a échoué (code ${code}) : ${stderr.trim().split('\n').slice(-5).join('\n')}`));
+      }
+      resolve();
+    });
+    // Un binaire absent ou qui s'arrête avant d'avoir tout lu est signalé par 'error' / 'close'
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+
+/**
+ * Moteur "piper" : synthèse locale avec Piper (https://github.com/rhasspy/piper).
+ *
+ * @param {Object} settings
+ * @param {string} settings.voice - Chemin du modèle de voix `.onnx` (la langue dépend du modèle)
+ * @param {string} [settings.binary='piper'] - Chemin du binaire
+ * @param {number} [settings.speed=1] - Vitesse de lecture (1.2 = 20 % plus rapide)
+ * @param {number} [settings.speaker] - Locuteur, pour les modèles multi-voix
+ * @param {Array<string>} [settings.extraArgs] - Arguments supplémentaires passés au binaire
+ */
+const createPiperEngine = (settings = {}) => {
+  if (!settings.voice) {
+    throw new Error('Piper nécessite le chemin du modèle de voix (option "voice")');
+  }
+  const binary = settings.binary || 'piper';
+  const speed = Number(settings.speed) || 1;
+
+  return {
+    name: 'piper',
+    async synthesize(text, outputPath) {
+      const args = ['--model', settings.voice, '--output_file', outputPath, '--length_scale', String(1 / speed)];
+      if (settings.speaker !== undefined) args.push('--speaker', String(settings.speaker));
+      await runWithInput(binary, [...args, ...(settings.extraArgs || [])], text);
+      return {};
+    },
+  };
+};
+
+/**
+ * Moteur "espeak-ng" : synthèse locale avec espeak-ng, sans modèle à télécharger.
+ *
+ * @param {Object} [settings]
+ * @param {string} [settings.voice] - Voix espeak-ng (ex: "fr+f3") ; par défaut la langue
+ * @param {string} [settings.language='fr'] - Langue du script
+ * @param {string} [settings.binary='espeak-ng'] - Chemin du binaire
+ * @param {number} [settings.speed=1] - Vitesse de lecture (1 = 175 mots/min)
+ * @param {Array<string>} [settings.extraArgs] - Arguments supplémentaires passés au binaire
+ */
+const createEspeakEngine = (settings = {}) => {
+  const binary = settings.binary || 'espeak-ng';
+  const voice = settings.voice || settings.language || 'fr';
+  const wordsPerMinute = Math.round(ESPEAK_DEFAULT_WPM * (Number(settings.speed) || 1));
+
+  return {
+    name: 'espeak-ng',
+    async synthesize(text, outputPath) {
+      const args = ['-v', voice, '-s', String(wordsPerMinute), '-w', outputPath, '--stdin'];
+      await runWithInput(binary, [...args, ...(settings.extraArgs || [])], text);
+      return {};
+    },
+  };
+};
+
+/**
+ * Moteur "http" : serveur de synthèse recevant `{ text, voice, language, speed }` en JSON.
+ * La réponse est soit directement le WAV, soit un JSON `{ audio: <WAV en base64>, words: [{ word, start, end }] }`.
+ *
+ * @param {Object} [settings]
+ * @param {string} [settings.url] - URL du endpoint (défaut : $TTS_API_URL ou http://tts-api:5002/synthesize)
+ * @param {string} [settings.voice] - Voix demandée au serveur
+ * @param {string} [settings.language] - Langue du script
+ * @param {number} [settings.speed] - Vitesse de lecture
+ * @param {Object} [settings.fields] - Champs supplémentaires envoyés avec le texte
+ * @param {number} [settings.timeout] - Timeout de la requête en ms
+ */
+const createHttpTtsEngine = (settings = {}) => {
+  const url = settings.url || process.env.TTS_API_URL || DEFAULT_TTS_API_URL;
+
+  return {
+    name: 'http',
+    async synthesize(text, outputPath) {
+      const response = await axios.post(url, {
+        text,
+        voice: settings.voice,
+        language: settings.language,
+        speed: settings.speed,
+        ...settings.fields,
+      }, {
+        responseType: 'arraybuffer',
+        timeout: settings.timeout || 0,
+        signal: getReporter().signal,
+      });
+
+      const body = Buffer.from(response.data);
+      if (!String(response.headers['content-type'] || '').includes('json')) {
+        fs.writeFileSync(outputPath, body);
+        return {};
+      }
+      const data = JSON.parse(body.toString('utf8'));
+      if (data.error || !data.audio) {
+        throw new Error(`Erreur dans la réponse du serveur de synthèse : ${data.error || 'audio absent'}`);
+      }
+      fs.writeFileSync(outputPath, Buffer.from(data.audio, 'base64'));
+      return { words: Array.isArray(data.words) ? data.words : undefined };
+    },
+  };
+};
+
+const ENGINES = {
+  piper: createPiperEngine,
+  'espeak-ng': createEspeakEngine,
+  http: createHttpTtsEngine,
+};
+
+/**
+ * Noms des moteurs de synthèse vocale disponibles.
+ * @returns {Array<string>}
+ */
+const listTtsEngines = () => Object.keys(ENGINES);
+
+/**
+ * Crée un moteur de synthèse vocale à partir de sa configuration.
+ * @param {Object} [options]
+ * @param {string|Object} [options.engine='espeak-ng'] - Nom du moteur ("piper", "espeak-ng", "http")
+ *   ou objet personnalisé exposant `synthesize(text, outputPath)`
+ * @returns {{name: string, synthesize: Function}}
+ */
+const createTtsEngine = (options = {}) => {
+  const { engine = 'espeak-ng', ...settings } = options;
+  if (engine && typeof engine.synthesize === 'function') {
+    return engine;
+  }
+  const factory = ENGINES[engine];
+  if (!factory) {
+    throw new Error(`Moteur de synthèse vocale inconnu : ${engine} (disponibles : ${Object.keys(ENGINES).join(', ')})`);
+  }
+  return factory(settings);
+};
+
+/**
+ * Génère la voix d'un script, avec ses sous-titres et ses mots horodatés.
+ * Le résultat est nommé d'après une empreinte du texte et des réglages : un script déjà synthétisé
+ * avec les mêmes réglages est réutilisé. Les phrases sont synthétisées dans un dossier temporaire propre
+ * à chaque appel, et la voix n'apparaît dans le dossier de sortie qu'une fois complète : deux rendus
+ * simultanés ne se gênent pas.
+ *
+ * @param {string} scriptText - Texte à lire
+ * @param {string} outputDir - Dossier de sortie (ex: .vodcache/tts)
+ * @param {Object} [options] - Configuration du moteur (voir createTtsEngine), plus :
+ * @param {number} [options.pause=0.3] - Silence ajouté entre deux phrases, en secondes
+ * @returns {Promise<{voicePath: string, srtPath: string, wordsPath: string, words: Array<Object>, duration: number, engine: string}>}
+ */
+const generateVoice = async (scriptText, outputDir, options = {}) => {
+  const { pause = 0.3, ...engineOptions } = options;
+  const sentences = splitSentences(scriptText);
+  if (!sentences.length) {
+    throw new Error('Le script à synthétiser est vide');
+  }
+  const engine = createTtsEngine(engineOptions);
+
+  const settings = { ...engineOptions };
+  delete settings.engine;
+  const baseName = `tts_${hashValue({ text: scriptText, engine: engine.name, settings, pause }).slice(0, 12)}`;
+  const voicePath = path.join(outputDir, `${baseName}.wav`);
+  const srtPath = path.join(outputDir, `${baseName}.srt`);
+  const wordsPath = path.join(outputDir, `${baseName}.words.json`);
+
+  if ([voicePath, srtPath, wordsPath].every((file) => fs.existsSync(file))) {
+    getReporter().info(`⏭️  Voix de synthèse déjà générée : ${voicePath}`);
+    const audio = parseWav(fs.readFileSync(voicePath));
+    const words = JSON.parse(fs.readFileSync(wordsPath, 'utf8'));
+    const duration = audio.samples.length / (2 * audio.channels * audio.sampleRate);
+    return { voicePath, srtPath, wordsPath, words, duration, engine: engine.name };
+  }
+
+  getReporter().info(`🗣️  Synthèse vocale du script (moteur : ${engine.name}, ${sentences.length} phrase(s))...`);
+  fs.mkdirSync(outputDir, { recursive: true });
+  const tempDir = fs.mkdtempSync(path.join(outputDir, `.${baseName}_`));
+  const chunkPath = path.join(tempDir, 'sentence.wav');
+  const chunks = [];
+  const words = [];
+  let format = null;
+  let offset = 0;
+
+  try {
+    for (const [index, tokens] of sentences.entries()) {
+      const result = await engine.synthesize(tokens.join(' '), chunkPath);
+      const audio = parseWav(fs.readFileSync(chunkPath));
+      if (format && (audio.sampleRate !== format.sampleRate || audio.channels !== format.channels)) {
+        throw new Error('Le moteur de synthèse a produit des phrases de formats différents');
+      }
+      format = format || { sampleRate: audio.sampleRate, channels: audio.channels };
+
+      const sentenceWords = result.words && result.words.length
+        ? result.words.map((w) => ({ word: String(w.word || w.text).trim(), start: Number(w.start), end: Number(w.end) }))
+        : (() => {
+          const voiced = findVoicedRange(audio);
+          return estimateWordTimings(tokens, voiced.start, voiced.end);
+        })();
+      sentenceWords.forEach((w) => words.push({ word: w.word, start: offset + w.start, end: offset + w.end }));
+
+      chunks.push(audio.samples);
+      offset += audio.samples.length / (2 * audio.channels * audio.sampleRate);
+      if (index < sentences.length - 1 && pause > 0) {
+        const silence = Buffer.alloc(Math.round(pause * audio.sampleRate) * 2 * audio.channels);
+        chunks.push(silence);
+        offset += pause;
+      }
+    }
+
+    const tempVoicePath = path.join(tempDir, path.basename(voicePath));
+    const tempSrtPath = path.join(tempDir, path.basename(srtPath));
+    fs.writeFileSync(tempVoicePath, buildWav({ ...format, samples: Buffer.concat(chunks) }));
+    fs.writeFileSync(tempSrtPath, buildSrt(wordsToCues(words)), 'utf8');
+    const tempWordsPath = writeWords(tempSrtPath, words);
+    // La voix en dernier : elle n'est visible qu'avec ses sous-titres
+    fs.renameSync(tempWordsPath, wordsPath);
+    fs.renameSync(tempSrtPath, srtPath);
+    fs.renameSync(tempVoicePath, voicePath);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  getReporter().info(`✅ Voix de synthèse générée (${offset.toFixed(1)}s) : ${voicePath}`);
+  return { voicePath, srtPath, wordsPath, words, duration: offset, engine: engine.name };
+};
+
+module.exports = {
+  listTtsEngines,
+  createTtsEngine,
+  createPiperEngine,
+  createEspeakEngine,
+  createHttpTtsEngine,
+  generateVoice,
+  parseWav,
+  buildWav,
+};
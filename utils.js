@@ -8,9 +8,21 @@
 const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
-const cliProgress = require('cli-progress');
-const { exec } = require('child_process');
-const FormData = require('form-data');
+const { createTranscriptionProvider } = require('./transcription');
+const { extractYoutubeId } = require('./sourceResolver');
+const { parseSrt, buildSrt, readWords, writeWords } = require('./subtitleFormats');
+const {
+  alignScriptToTranscript,
+  checkAlignmentQuality,
+  estimateWordsFromCues,
+  regroupWordsIntoCues,
+} = require('./alignment');
+const { splitCuesEvenly, buildAssEvents } = require('./assSubtitles');
+const { loadStylePreset, buildAssHeader } = require('./stylePresets');
+const { probeVideoSize, resolveReframe, buildReframeFilters } = require('./reframe');
+const { isAudioFile } = require('./musicLibrary');
+const { mixAudio } = require('./audioMix');
+const { getReporter } = require('./reporter');
 
 
 
@@ -27,14 +39,11 @@ const ensureDirectoriesExist = (dirs) => {
 };
 
 /**
- * Extrait l'ID d'une vidéo YouTube à partir de l'URL.
+ * Extrait l'ID d'une vidéo YouTube à partir de l'URL (watch?v=, youtu.be, Shorts...).
  * @param {string} url - URL de la vidéo YouTube.
  * @returns {string|null} - ID de la vidéo, ou null si introuvable
  */
-const extractVideoId = (url) => {
-  const urlObj = new URL(url);
-  return urlObj.searchParams.get('v');
-};
+const extractVideoId = (url) => extractYoutubeId(url);
 
 /**
  * Récupère la durée d'un fichier audio ou vidéo (en secondes).
@@ -59,27 +68,20 @@ const getFileDuration = (filePath) =>
  */
 const cutVideo = (videoPath, outputPath, startTime, duration) =>
   new Promise((resolve, reject) => {
-    const progressBar = new cliProgress.SingleBar({}, cliProgress.Presets.shades_classic);
-    progressBar.start(100, 0);
+    const progress = getReporter().progress('Découpe');
 
-    ffmpeg(videoPath)
+    getReporter().track(ffmpeg(videoPath))
       .setStartTime(startTime)
       .setDuration(duration)
       .output(outputPath)
-      .on('progress', (progress) => {
-        if (progress.percent) {
-          progressBar.update(Math.min(progress.percent, 100));
-        }
+      .on('progress', (info) => {
+        if (info.percent) progress.update(info.percent);
       })
       .on('end', () => {
-        progressBar.update(100);
-        progressBar.stop();
+        progress.done();
         resolve();
       })
-      .on('error', (err) => {
-        progressBar.stop();
-        reject(err);
-      })
+      .on('error', reject)
       .run();
   });
 
@@ -92,7 +94,8 @@ const cutVideo = (videoPath, outputPath, startTime, duration) =>
  */
 const mergeAudioWithVideo = (videoPath, audioPath, outputPath) =>
   new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
+    const progress = getReporter().progress('Fusion vidéo+audio');
+    getReporter().track(ffmpeg(videoPath))
       .input(audioPath)
       .outputOptions([
         '-map 0:v:0',   // On prend la piste vidéo du premier input
@@ -101,17 +104,16 @@ const mergeAudioWithVideo = (videoPath, audioPath, outputPath) =>
         '-c:a aac',     // On encode l’audio en AAC
         '-shortest',    // On limite la durée au plus court des deux flux
       ])
-      .on('progress', (progress) => {
-        if (progress.percent) {
-          process.stdout.write(`Fusion vidéo+audio : ${Math.round(progress.percent)}%   \r`);
-        }
+      .on('progress', (info) => {
+        if (info.percent) progress.update(info.percent);
       })
       .on('end', () => {
-        console.log('\nFusion terminée avec succès.');
+        progress.done();
+        getReporter().info('Fusion terminée avec succès.');
         resolve();
       })
       .on('error', (err) => {
-        console.error('Erreur lors de la fusion :', err.message);
+        getReporter().error('Erreur lors de la fusion :', err.message);
         reject(err);
       })
       .save(outputPath);
@@ -123,7 +125,7 @@ const mergeAudioWithVideo = (videoPath, audioPath, outputPath) =>
  * @returns {string} - Chemin absolu du fichier musical sélectionné
  */
 const getRandomMusicFile = (musicDir) => {
-  const files = fs.readdirSync(musicDir);
+  const files = fs.readdirSync(musicDir).filter(isAudioFile);
   if (!files.length) {
     throw new Error(`Aucun fichier musical trouvé dans ${musicDir}`);
   }
@@ -133,373 +135,177 @@ const getRandomMusicFile = (musicDir) => {
 };
 
 /**
- * Mixe deux pistes audio (voix & musique) en une seule,
- * ajustant le volume de chaque piste, via le filtre FFmpeg amix.
+ * Mixe deux pistes audio (voix & musique) en une seule : la musique baisse quand la voix parle,
+ * avec fondus, traîne musicale et normalisation du volume (voir audioMix.js).
  * @param {string} voicePath  - Chemin du fichier de voix
  * @param {string} musicPath  - Chemin du fichier de musique
  * @param {string} outputPath - Chemin du fichier audio de sortie
  * @param {number} voiceVolume - Volume pour la voix (1.0 = 100%)
  * @param {number} musicVolume - Volume pour la musique (0.3 = 30%)
+ * @param {Object} [options] - Options de mixage (ducking, fadeIn, fadeOut, tail, loudness, voiceDuration)
+ * @param {boolean} [options.loop=false] - Boucler la musique jusqu'à la fin de la voix
  * @returns {Promise<void>}
  */
-const mixVoiceAndMusic = (voicePath, musicPath, outputPath, voiceVolume = 1.0, musicVolume = 0.1) =>
-  new Promise((resolve, reject) => {
-    const progressBar = new cliProgress.SingleBar({}, cliProgress.Presets.shades_classic);
-    progressBar.start(100, 0);
-
-    ffmpeg()
-      .input(voicePath)
-      .input(musicPath)
-      // Utilise un filtre complexe pour superposer les deux pistes avec des volumes différents
-      .complexFilter([
-        `[0:a]volume=${voiceVolume}[voice]`,
-        `[1:a]volume=${musicVolume}[music]`,
-        '[voice][music]amix=inputs=2:duration=longest[aout]',
-      ])
-      .outputOptions([
-        '-map [aout]',
-        '-c:a aac', // Encode en AAC
-      ])
-      .on('progress', (progress) => {
-        if (progress.percent) {
-          progressBar.update(Math.min(progress.percent, 100));
-        }
-      })
-      .on('end', () => {
-        progressBar.update(100);
-        progressBar.stop();
-        console.log('Mixage voix+musique terminé.');
-        resolve();
-      })
-      .on('error', (err) => {
-        progressBar.stop();
-        console.error('Erreur lors du mixage audio :', err.message);
-        reject(err);
-      })
-      .save(outputPath);
-  });
+const mixVoiceAndMusic = async (voicePath, musicPath, outputPath, voiceVolume = 1.0, musicVolume = 0.1, options = {}) => {
+  const { loop, ...mixOptions } = options;
+  await mixAudio(voicePath, musicPath, outputPath, { ...mixOptions, voiceVolume, musicVolume, loopMusic: loop });
+  getReporter().info('Mixage voix+musique terminé.');
+};
 
 /**
- * Vérifie le ratio d'une vidéo et la recadre/rognée en 9:16 si nécessaire,
+ * Vérifie le ratio d'une vidéo et la recadre en 9:16 si nécessaire,
  * en affichant une barre de progression pendant l'encodage.
  *
  * @param {string} inputPath  - Chemin de la vidéo d'entrée
  * @param {string} outputPath - Chemin de la vidéo de sortie
+ * @param {Object} [options]
+ * @param {string|Object} [options.reframe='center'] - Recadrage : "center", "blur", "manual" (x / y / images clés) ou "auto" (voir reframe.js)
+ * @param {number} [options.width=720] - Largeur finale
+ * @param {number} [options.height=1280] - Hauteur finale
  * @returns {Promise<string>}   Retourne le chemin de la vidéo finale (9:16)
  */
-const checkAndResizeVideo = (inputPath, outputPath) => {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(inputPath, (err, metadata) => {
-      if (err) return reject(err);
+const checkAndResizeVideo = async (inputPath, outputPath, options = {}) => {
+  const { width: finalWidth = 720, height: finalHeight = 1280 } = options;
 
-      // Récupérer la largeur et la hauteur de la première piste vidéo
-      const videoStream = metadata.streams.find(s => s.width && s.height);
-      if (!videoStream) {
-        return reject(new Error('Impossible de récupérer les dimensions de la vidéo'));
-      }
-      const { width, height } = videoStream;
-
-      // Ratio actuel de la vidéo
-      const currentRatio = width / height;
-      // Ratio cible : 9/16 ~ 0.5625
-      const targetRatio = 9 / 16;
-
-      // Vérification du ratio avec une petite tolérance
-      if (Math.abs(currentRatio - targetRatio) < 0.001) {
-        console.log('La vidéo est déjà au ratio 9:16, pas de recadrage nécessaire.');
-        return resolve(inputPath); // On peut retourner directement la vidéo d'origine
-      } else {
-        console.log(`Vidéo au ratio ${currentRatio.toFixed(3)}, recadrage en 9:16...`);
-
-        // Choisissez une résolution finale (ex: 720x1280 ou 1080x1920)
-        const finalWidth = 720;
-        const finalHeight = 1280;
-
-        // Barre de progression
-        const progressBar = new cliProgress.SingleBar(
-          {
-            format: 'Recadrage 9:16 |{bar}| {percentage}% | ETA: {eta}s',
-          },
-          cliProgress.Presets.shades_classic
-        );
-        progressBar.start(100, 0);
-
-        ffmpeg(inputPath)
-          .videoFilters([
-            // 1) On agrandit la vidéo pour qu'elle "couvre" au moins 720x1280
-            `scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=increase`,
-            // 2) On crop le surplus pour avoir exactement 720x1280
-            `crop=${finalWidth}:${finalHeight}`,
-          ])
-          // Copier l'audio tel quel
-          .outputOptions(['-c:a copy'])
-          .on('progress', (progress) => {
-            if (progress.percent) {
-              progressBar.update(Math.min(progress.percent, 100));
-            }
-          })
-          .on('error', (err) => {
-            progressBar.stop();
-            reject(new Error(`Erreur recadrage 9:16: ${err.message}`));
-          })
-          .on('end', () => {
-            progressBar.update(100);
-            progressBar.stop();
-            console.log('Recadrage 9:16 terminé. Fichier créé :', outputPath);
-            resolve(outputPath);
-          })
-          .save(outputPath);
-      }
-    });
-  });
-};
+  // Récupérer la largeur et la hauteur de la première piste vidéo
+  const { width, height } = await probeVideoSize(inputPath);
 
-const deleteFiles = (filePaths) => {
-  filePaths.forEach((filePath) => {
-    if (fs.existsSync(filePath)) {
-      fs.unlink(filePath, (err) => {
-        if (err) {
-          console.error(`Erreur lors de la suppression du fichier : ${filePath}`, err.message);
-        } else {
-          console.log(`Fichier supprimé : ${filePath}`);
-        }
-      });
-    }
-  });
-};
+  // Ratio actuel de la vidéo
+  const currentRatio = width / height;
+  // Ratio cible : 9/16 ~ 0.5625
+  const targetRatio = finalWidth / finalHeight;
 
-/**
- * Supprime tous les fichiers dans un répertoire.
- * @param {string} directory - Le chemin du dossier à nettoyer.
- * @param {Array<string>} exceptions - Liste de chemins de fichiers à ne pas supprimer.
- */
-function cleanDirectory(directory, exceptions = []) {
-  const files = fs.readdirSync(directory);
-  files.forEach(file => {
-    const filePath = path.join(directory, file);
-    if (!exceptions.includes(filePath)) {
-      try {
-        fs.unlinkSync(filePath);
-        console.log(`Fichier supprimé : ${filePath}`);
-      } catch (err) {
-        console.error(`Erreur lors de la suppression du fichier ${filePath} : ${err.message}`);
-      }
-    }
+  // Vérification du ratio avec une petite tolérance
+  if (Math.abs(currentRatio - targetRatio) < 0.001) {
+    getReporter().info('La vidéo est déjà au ratio 9:16, pas de recadrage nécessaire.');
+    return inputPath; // On peut retourner directement la vidéo d'origine
+  }
+
+  // Le mode "auto" analyse la vidéo pour choisir le cadrage de chaque plan
+  const reframe = await resolveReframe(inputPath, options.reframe, { width: finalWidth, height: finalHeight });
+  getReporter().info(`Vidéo au ratio ${currentRatio.toFixed(3)}, recadrage en 9:16 (${reframe.source || reframe.mode})...`);
+
+  return new Promise((resolve, reject) => {
+    const progress = getReporter().progress('Recadrage 9:16');
+
+    getReporter().track(ffmpeg(inputPath))
+      .complexFilter(buildReframeFilters('0:v', 'vreframed', reframe, { width: finalWidth, height: finalHeight }))
+      // Copier l'audio tel quel (s'il existe)
+      .outputOptions(['-map [vreframed]', '-map 0:a?', '-c:a copy'])
+      .on('progress', (info) => {
+        if (info.percent) progress.update(info.percent);
+      })
+      .on('error', (err) => reject(new Error(`Erreur recadrage 9:16: ${err.message}`)))
+      .on('end', () => {
+        progress.done();
+        getReporter().info('Recadrage 9:16 terminé. Fichier créé :', outputPath);
+        resolve(outputPath);
+      })
+      .save(outputPath);
   });
-}
+};
 
 /**
- * Transcrit l’audio en sous-titres `.srt` avec Whisper
+ * Transcrit l’audio en sous-titres `.srt` via un fournisseur de transcription
+ * (service Whisper HTTP, binaire whisper/whisper.cpp local, ou fichier fourni).
  * @param {string} audioPath - Chemin du fichier audio.
  * @param {string} outputDir - Dossier de sortie pour le fichier `.srt`
- * @returns {Promise<string>} - Chemin du fichier `.srt` généré
+ * @param {Object} [options] - Configuration du fournisseur (voir transcription.js), ex: { provider: 'cli', engine: 'whisper.cpp', model: '...' }
+ * @returns {Promise<{srtPath: string, wordsPath: string|null, segments: Array<Object>, words: Array<Object>|null, provider: string}>}
  */
-const generateSubtitles = (audioPath, outputDir) => {
-  return new Promise((resolve, reject) => {
-    const subtitlePath = path.join(outputDir, `${path.basename(audioPath, path.extname(audioPath))}.srt`);
-
-    console.log('Tentative de transcription de l’audio avec Whisper...');
-    console.log(`Fichier audio : ${audioPath}`);
-    console.log(`Dossier de sortie : ${outputDir}`);
-
-    const formData = new FormData();
-
-    // Log pour vérifier si le fichier existe
-    console.log(`Vérification de l'existence du fichier audio...`);
-    if (fs.existsSync(audioPath)) {
-      formData.append('file', fs.createReadStream(audioPath));
-      console.log('Fichier ajouté à la requête.');
-    } else {
-      console.error('Fichier audio non trouvé : ', audioPath);
-      return reject('Fichier audio non trouvé');
-    }
-
-    // Envoi de la requête POST avec le fichier audio via axios
-    console.log('Envoi de la requête à l\'API Whisper...');
-    axios.post('http://whisper-api:5005/transcribe', formData, {
-      headers: {
-        ...formData.getHeaders(),  // Ajoute les bons en-têtes pour le multipart/form-data
-        'Content-Type': 'multipart/form-data', // Ceci peut parfois être nécessaire
-      },
-    })
-      .then(response => {
-        console.log('Réponse de l\'API :', response.data);
-
-        // Vérifie si l'API a renvoyé une erreur
-        if (response.data.error) {
-          console.error(`Erreur dans la réponse de l'API : ${response.data.error}`);
-          return reject(response.data.error);
-        }
-
-        console.log(`Sous-titres générés avec succès : ${subtitlePath}`);
-        resolve(subtitlePath);
-      })
-      .catch(error => {
-        console.error('Erreur lors de l\'envoi de la requête à l\'API Whisper', error);
-        reject(error);
-      });
-  });
-}
+const generateSubtitles = async (audioPath, outputDir, options = {}) => {
+  const provider = createTranscriptionProvider(options);
+  getReporter().info(`Transcription de l’audio (fournisseur : ${provider.name})...`);
+  return provider.transcribe(audioPath, outputDir);
+};
 
 /**
- * Corrige les sous-titres `.srt` en les alignant avec le script original
+ * Corrige les sous-titres `.srt` par alignement mot à mot avec le script original :
+ * les timings de la transcription sont reportés sur l'orthographe du script,
+ * les mots non transcrits reçoivent un timing interpolé, et le texte est redistribué
+ * dans les cues d'origine.
  * @param {string} srtPath - Chemin du fichier `.srt` généré par Whisper
  * @param {string} scriptPath - Chemin du fichier contenant le script original
  * @param {string} outputDir - Dossier de sortie pour le fichier `.srt` corrigé
- * @returns {Promise<string>} - Chemin du fichier `.srt` corrigé
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.words] - Mots horodatés de la transcription (défaut : `.words.json` voisin du `.srt`, sinon estimés depuis les cues)
+ * @param {number} [options.minScore] - Score d'alignement minimal : en dessous, la correction est rejetée
+ * @param {number} [options.maxMissingRun] - Nombre maximal de mots consécutifs absents de la transcription
+ * @param {number} [options.duration] - Durée de l'audio : les mots du script non transcrits en fin de piste
+ *   sont répartis jusqu'à cette durée (défaut : fin du dernier mot transcrit)
+ * @returns {Promise<{srtPath: string, wordsPath: string, words: Array<Object>, report: Object}>}
  */
-const correctSubtitles = (srtPath, scriptPath, outputDir) => {
-  return new Promise((resolve, reject) => {
-    const correctedSrtPath = path.join(outputDir, 'corrected.srt');
-
-    fs.readFile(srtPath, 'utf8', (err, srtData) => {
-      if (err) return reject(err);
+const correctSubtitles = async (srtPath, scriptPath, outputDir, options = {}) => {
+  const correctedSrtPath = path.join(outputDir, 'corrected.srt');
+  const reportPath = path.join(outputDir, 'corrected.alignment.json');
+
+  const [srtData, scriptData] = await Promise.all([
+    fs.promises.readFile(srtPath, 'utf8'),
+    fs.promises.readFile(scriptPath, 'utf8'),
+  ]);
+
+  const cues = parseSrt(srtData);
+  const transcriptWords = options.words || readWords(srtPath) || estimateWordsFromCues(cues);
+  const { words, report } = alignScriptToTranscript(transcriptWords, scriptData, { duration: options.duration });
+
+  await fs.promises.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  getReporter().info(`Alignement : score ${report.score.toFixed(2)}, ${report.matched}/${report.scriptWords} mots identiques, `
+    + `${report.substituted} substitués, ${report.missing} interpolés, ${report.extra} en trop.`);
+
+  if (options.minScore !== undefined || options.maxMissingRun !== undefined) {
+    const problems = checkAlignmentQuality(report, options);
+    if (problems.length) {
+      throw new Error(`Alignement du script rejeté (${problems.join(' ; ')}). Rapport : ${reportPath}`);
+    }
+  }
 
-      fs.readFile(scriptPath, 'utf8', (err, scriptData) => {
-        if (err) return reject(err);
+  await fs.promises.writeFile(correctedSrtPath, buildSrt(regroupWordsIntoCues(words, cues)), 'utf8');
+  const wordsPath = writeWords(correctedSrtPath, words);
 
-        const scriptSentences = scriptData.split('. ');
-        const srtLines = srtData.split('\n');
-
-        let correctedSrt = '';
-        let scriptIndex = 0;
-
-        for (let i = 0; i < srtLines.length; i++) {
-          if (srtLines[i].includes('-->')) {
-            correctedSrt += srtLines[i] + '\n'; // Garder le timing original
-          } else if (srtLines[i].trim() && !srtLines[i].match(/^\d+$/)) {
-            // Remplacer le texte du sous-titre par le script correct
-            if (scriptIndex < scriptSentences.length) {
-              correctedSrt += scriptSentences[scriptIndex].trim() + '\n';
-              scriptIndex++;
-            }
-          } else {
-            correctedSrt += srtLines[i] + '\n';
-          }
-        }
-
-        fs.writeFile(correctedSrtPath, correctedSrt, 'utf8', (err) => {
-          if (err) return reject(err);
-          console.log(`✅ Sous-titres corrigés générés : ${correctedSrtPath}`);
-          resolve(correctedSrtPath);
-        });
-      });
-    });
-  });
+  getReporter().info(`✅ Sous-titres corrigés générés : ${correctedSrtPath}`);
+  return { srtPath: correctedSrtPath, wordsPath, words, report };
 };
 
-const convertSrtToAss = (srtPath, outputDir) => {
+/**
+ * Convertit un `.srt` en sous-titres ASS stylisés, affichés par blocs de quelques mots.
+ * Le style (police, couleurs, marges...) vient d'un préréglage du dossier `styles/`.
+ * Les timings par mot (options.words, ou `.words.json` voisin du `.srt`) permettent un
+ * vrai karaoké ; sinon la durée de chaque cue est répartie uniformément entre ses mots.
+ * @param {string} srtPath - Chemin du fichier `.srt`
+ * @param {string} outputDir - Dossier de sortie pour le fichier `.ass`
+ * @param {Object} [options] - Options d'animation (voir assSubtitles.js), prioritaires sur celles du préréglage :
+ *   { style, chunkSize, maxCharsPerLine, animation: 'fade'|'karaoke'|'highlight', karaokeTag, highlightColour, pop, fade, words }
+ * @param {string|Object} [options.style='tiktok'] - Préréglage de style (nom, chemin JSON/YAML ou objet chargé)
+ * @returns {Promise<string>} - Chemin du fichier `.ass`
+ */
+const convertSrtToAss = (srtPath, outputDir, options = {}) => {
   return new Promise((resolve, reject) => {
     const assPath = path.join(outputDir, `${path.basename(srtPath, '.srt')}.ass`);
+    const { words: providedWords, style: preset, ...eventOptions } = options;
 
-    // En-tête du fichier ASS avec un style adapté (n'hésitez pas à ajuster Fontsize et MarginV)
-    const assHeader = `[Script Info]
-Title: Sous-titres TikTok
-ScriptType: v4.00+
-Collisions: Normal
-PlayDepth: 0
-Timer: 100.0000
-
-[V4+ Styles]
-; Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Format: Name,Fontname,Fontsize,PrimaryColour,SecondaryColour,OutlineColour,BackColour,Bold,Italic,Underline,StrikeOut,ScaleX,ScaleY,Spacing,Angle,BorderStyle,Outline,Shadow,Alignment,MarginL,MarginR,MarginV,Encoding
-Style: TikTokStyle,Montserrat,12,&H00FFFFFF,&H000000FF,&H00000000,&H64000000,-1,0,0,0,100,100,0,0,1,2,2,2,20,20,50,1
-
-[Events]
-Format: Layer, Start, End, Style, MarginL, MarginR, MarginV, Effect, Text
-`;
-
-    // Convertit une chaîne de temps SRT ("HH:MM:SS,mmm") en secondes
-    function timeStringToSeconds(timeString) {
-      const regex = /(\d+):(\d+):(\d+),(\d+)/;
-      const match = timeString.match(regex);
-      if (!match) return 0;
-      const hours = parseInt(match[1], 10);
-      const minutes = parseInt(match[2], 10);
-      const seconds = parseInt(match[3], 10);
-      const milliseconds = parseInt(match[4], 10);
-      return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
-    }
-
-    // Convertit des secondes en format ASS ("H:MM:SS.cs")
-    function secondsToAssTime(totalSeconds) {
-      const hours = Math.floor(totalSeconds / 3600);
-      const minutes = Math.floor((totalSeconds % 3600) / 60);
-      const seconds = totalSeconds % 60;
-      const secondsStr = seconds.toFixed(2).padStart(5, '0'); // ex: "05.50"
-      return `${hours}:${minutes.toString().padStart(2, '0')}:${secondsStr}`;
+    let style;
+    try {
+      style = loadStylePreset(preset);
+    } catch (err) {
+      return reject(err);
     }
 
     fs.readFile(srtPath, 'utf8', (err, data) => {
       if (err) return reject(err);
 
-      const lines = data.split('\n');
-      let assBody = '';
-      let startTimeSeconds = 0;
-      let endTimeSeconds = 0;
-      let textBuffer = '';
-      let lastEndTime = 0; // Pour éviter que les sous-titres se chevauchent dans le même bloc
-
-      // Fonction pour traiter un bloc de texte accumulé
-      function processBlock() {
-        if (!textBuffer) return;
-        const words = textBuffer.trim().split(' ');
-        const chunkSize = 4; // Nombre de mots par bloc
-        const totalDuration = endTimeSeconds - startTimeSeconds;
-        const timePerWord = totalDuration / words.length;
-
-        for (let i = 0; i < words.length; i += chunkSize) {
-          const chunkWords = words.slice(i, i + chunkSize).join(' ');
-          let chunkStart = startTimeSeconds + i * timePerWord;
-          let chunkEnd = startTimeSeconds + Math.min(i + chunkSize, words.length) * timePerWord;
-
-          // Pour le même bloc, éviter le chevauchement interne
-          if (chunkStart < lastEndTime) {
-            chunkStart = lastEndTime;
-          }
-          if (chunkEnd > endTimeSeconds) {
-            chunkEnd = endTimeSeconds;
-          }
-
-          const chunkStartStr = secondsToAssTime(chunkStart);
-          const chunkEndStr = secondsToAssTime(chunkEnd);
-
-          assBody += `Dialogue: 0,${chunkStartStr},${chunkEndStr},TikTokStyle,0,0,0,,{\\fad(200,200)} ${chunkWords}\n`;
-          lastEndTime = chunkEnd;
-        }
-        // Réinitialiser pour le prochain bloc
-        textBuffer = '';
-        lastEndTime = 0;
-      }
-
-      lines.forEach((line) => {
-        if (line.match(/^\d+$/)) {
-          // Ignore les numéros de sous-titres
-          return;
-        } else if (line.includes('-->')) {
-          // Si un bloc précédent avait du texte accumulé, le traiter avant de passer au suivant
-          processBlock();
-
-          // Extraction des timestamps et conversion en secondes
-          const times = line.split('-->');
-          startTimeSeconds = timeStringToSeconds(times[0].trim());
-          endTimeSeconds = timeStringToSeconds(times[1].trim());
-        } else if (line.trim()) {
-          // Accumuler le texte du sous-titre
-          textBuffer += line.trim() + ' ';
-        } else {
-          // Ligne vide : fin du bloc, traiter le texte accumulé
-          processBlock();
-        }
-      });
-
-      // Traiter le dernier bloc s'il n'est pas suivi d'une ligne vide
-      processBlock();
+      const words = providedWords || readWords(srtPath);
+      // Avec des timings par mot, un seul bloc continu ; sinon un bloc par cue, réparti uniformément
+      const blocks = words && words.length ? [words] : splitCuesEvenly(parseSrt(data));
+      const assBody = buildAssEvents(
+        blocks,
+        { maxCharsPerLine: style.maxCharsPerLine, secondaryColour: style.secondaryColour, ...style.events, ...eventOptions },
+        style.name
+      );
 
       // Écriture du fichier ASS final
-      fs.writeFile(assPath, assHeader + '\n' + assBody, 'utf8', (err) => {
+      fs.writeFile(assPath, buildAssHeader(style) + '\n' + assBody, 'utf8', (err) => {
         if (err) return reject(err);
-        console.log(`✅ Sous-titres stylisés générés : ${assPath}`);
+        getReporter().info(`✅ Sous-titres stylisés générés (style ${style.name}) : ${assPath}`);
         resolve(assPath);
       });
     });
@@ -510,30 +316,119 @@ Format: Layer, Start, End, Style, MarginL, MarginR, MarginV, Effect, Text
 
 
 
+/**
+ * Échappe un chemin pour l'utiliser comme valeur d'option d'un filtre FFmpeg (ex: ass=filename=...).
+ * @param {string} filePath
+ * @returns {string}
+ */
+const escapeFilterPath = (filePath) =>
+  `'${filePath.replace(/\\/g, '/').replace(/'/g, "'\\''")}'`;
+
+/**
+ * Filtre FFmpeg d'incrustation d'un fichier ASS, avec les polices embarquées fournies à libass.
+ * @param {string} subtitlePath - Chemin du fichier `.ass`
+ * @param {string} [fontsDir] - Dossier des polices (défaut : font/ du projet, s'il existe)
+ * @returns {string}
+ */
+const buildAssFilter = (subtitlePath, fontsDir = path.join(__dirname, 'font')) =>
+  `ass=filename=${escapeFilterPath(subtitlePath)}`
+  + (fs.existsSync(fontsDir) ? `:fontsdir=${escapeFilterPath(fontsDir)}` : '');
+
 /**
  * Ajoute des sous-titres à une vidéo.
+ * Les polices du dossier `font/` du projet (ou `options.fontsDir`) sont fournies à libass.
  * @param {string} videoPath - Chemin du fichier vidéo.
- * @param {string} subtitlePath - Chemin du fichier sous-titres (.srt).
+ * @param {string} subtitlePath - Chemin du fichier sous-titres (.ass).
  * @param {string} outputPath - Chemin du fichier final.
+ * @param {Object} [options]
+ * @param {string} [options.fontsDir] - Dossier des polices embarquées (défaut : font/)
+ * @param {Array<string>} [options.outputOptions] - Options d'encodage (voir buildEncodingOptions dans outputProfiles.js)
  * @returns {Promise<void>}
  */
-const addStyledSubtitlesToVideo = (videoPath, subtitlePath, outputPath) => {
+const addStyledSubtitlesToVideo = (videoPath, subtitlePath, outputPath, options = {}) => {
   return new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
-      .outputOptions(`-vf ass=${subtitlePath}`)
+    getReporter().track(ffmpeg(videoPath))
+      .outputOptions(['-vf', buildAssFilter(subtitlePath, options.fontsDir), ...(options.outputOptions || [])])
       .on('end', () => {
-        console.log('Sous-titres stylisés ajoutés à la vidéo.');
+        getReporter().info('Sous-titres stylisés ajoutés à la vidéo.');
         resolve();
       })
       .on('error', (err) => {
-        console.error('Erreur lors de l’ajout des sous-titres stylisés :', err.message);
+        getReporter().error('Erreur lors de l’ajout des sous-titres stylisés :', err.message);
         reject(err);
       })
       .save(outputPath);
   });
 };
 
+// Codes de langue ISO 639-2 attendus par le conteneur MP4, pour les codes courts courants
+const SUBTITLE_LANGUAGES = { fr: 'fra', en: 'eng', es: 'spa', de: 'deu', it: 'ita', pt: 'por', nl: 'nld' };
+
+/**
+ * Ajoute une piste de sous-titres désactivables (mov_text) à un MP4, sans réencoder la vidéo ni l'audio.
+ * La vidéo est remplacée sur place ; une piste de sous-titres existante est remplacée.
+ * @param {string} videoPath - Fichier MP4
+ * @param {string} srtPath - Sous-titres (.srt), déjà synchronisés avec la vidéo
+ * @param {Object} [options]
+ * @param {string} [options.language='fra'] - Langue de la piste (ISO 639-2, ou code court : "fr")
+ * @returns {Promise<string>}
+ */
+const muxSubtitleTrack = (videoPath, srtPath, options = {}) => {
+  const language = options.language || 'fra';
+  const tempPath = videoPath.replace(/(\.[^.]+)$/, '.muxing$1');
+  return new Promise((resolve, reject) => {
+    getReporter().track(ffmpeg(videoPath))
+      .input(srtPath)
+      .outputOptions([
+        '-map 0:v',
+        '-map 0:a?',
+        '-map 1:0',
+        '-c:v copy',
+        '-c:a copy',
+        '-c:s mov_text',
+        `-metadata:s:s:0 language=${SUBTITLE_LANGUAGES[language] || language}`,
+        '-movflags +faststart',
+      ])
+      .on('end', () => {
+        fs.renameSync(tempPath, videoPath);
+        getReporter().info(`Piste de sous-titres ajoutée : ${videoPath}`);
+        resolve(videoPath);
+      })
+      .on('error', (err) => {
+        fs.rmSync(tempPath, { force: true });
+        reject(new Error(`Erreur lors de l'ajout de la piste de sous-titres : ${err.message}`));
+      })
+      .save(tempPath);
+  });
+};
 
+/**
+ * Écrit des métadonnées dans le conteneur d'une vidéo (titre, commentaire...), sans réencodage.
+ * La vidéo est remplacée sur place ; toutes ses pistes sont conservées.
+ * @param {string} videoPath - Fichier MP4
+ * @param {Object<string, string>} tags - Ex: { title, comment, description } (valeurs vides ignorées)
+ * @returns {Promise<string>}
+ */
+const setContainerTags = (videoPath, tags) => {
+  const tempPath = videoPath.replace(/(\.[^.]+)$/, '.tagging$1');
+  const metadata = Object.entries(tags)
+    .filter(([, value]) => value)
+    .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+  return new Promise((resolve, reject) => {
+    getReporter().track(ffmpeg(videoPath))
+      // Arguments séparés : fluent-ffmpeg ne redécoupe pas les valeurs contenant des espaces
+      .outputOptions('-map', '0', '-map_metadata', '0', '-c', 'copy', ...metadata, '-movflags', '+faststart')
+      .on('end', () => {
+        fs.renameSync(tempPath, videoPath);
+        resolve(videoPath);
+      })
+      .on('error', (err) => {
+        fs.rmSync(tempPath, { force: true });
+        reject(new Error(`Erreur lors de l'écriture des métadonnées : ${err.message}`));
+      })
+      .save(tempPath);
+  });
+};
 
 // On exporte toutes les fonctions utilitaires
 module.exports = {
@@ -545,10 +440,12 @@ module.exports = {
   getRandomMusicFile,
   mixVoiceAndMusic,
   checkAndResizeVideo,
-  deleteFiles,
-  cleanDirectory,
   generateSubtitles,
   correctSubtitles,
   convertSrtToAss,
   addStyledSubtitlesToVideo,
+  muxSubtitleTrack,
+  setContainerTags,
+  escapeFilterPath,
+  buildAssFilter,
 };